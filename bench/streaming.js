@@ -0,0 +1,157 @@
+#!/usr/bin/env node
+/**
+ * Benchmark for streaming duplicate detection. Generates CSV files of growing
+ * size, runs `findDuplicatesInFile` on each in a child process with a small heap
+ * limit and checks that peak memory stays flat while the file grows.
+ *
+ * Usage: npm run bench -- [largest size in MB, default 64]
+ */
+import { spawnSync } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { once } from 'events';
+
+// Heap limit of the detection run; well below the size of the largest file
+const HEAP_LIMIT_MB = 48;
+
+// Peak memory of the largest run may exceed the smallest by at most this factor
+const MAX_GROWTH = 1.5;
+
+const scriptPath = fileURLToPath(import.meta.url);
+
+/**
+ * Build a Body HTML value of roughly 2 KB
+ * @param {number} seed - Varies the text
+ * @returns {string} HTML
+ */
+function makeBody(seed) {
+    const sentence = `Ontdek onze collectie nummer ${seed} met zorgvuldig gekozen producten. `;
+    return `<div><h2>Collectie ${seed}</h2><p>${sentence.repeat(28)}</p></div>`;
+}
+
+/**
+ * Write a Matrixify-like CSV of about the given size. Every tenth row repeats
+ * the title and body of an earlier one, so there are duplicates to find.
+ * @param {string} filePath - Where to write
+ * @param {number} sizeMb - Target size in MB
+ * @returns {Promise<number>} The number of rows written
+ */
+async function generateFile(filePath, sizeMb) {
+    const stream = fs.createWriteStream(filePath, 'utf8');
+    const target = sizeMb * 1024 * 1024;
+    let written = 0;
+    let row = 0;
+
+    stream.write('ID,Handle,Command,Title,Body HTML\n');
+    while (written < target) {
+        row++;
+        const source = row % 10 === 0 ? row - 5 : row;
+        const line = `${row},collectie-${row},MERGE,Collectie ${source},"${makeBody(source)}"\n`;
+        written += line.length;
+        if (!stream.write(line)) {
+            await once(stream, 'drain');
+        }
+    }
+
+    stream.end();
+    await once(stream, 'finish');
+    return row;
+}
+
+/**
+ * Child process: run the streaming detection and report time and peak memory
+ * @param {string} inputPath - CSV file to check
+ * @param {string} outputPath - Where to write the marked rows
+ */
+async function runChild(inputPath, outputPath) {
+    const { configureLogger } = await import('../lib/logger.js');
+    const { findDuplicatesInFile } = await import('../lib/duplicates.js');
+    configureLogger({ verbose: false });
+    console.time = () => {};
+    console.timeEnd = () => {};
+    console.log = () => {};
+
+    const started = Date.now();
+    const { rows, duplicateCount } = await findDuplicatesInFile(inputPath, outputPath, [
+        'ID',
+        'Handle',
+        'Command'
+    ]);
+
+    process.stdout.write(
+        JSON.stringify({
+            rows,
+            duplicateCount,
+            ms: Date.now() - started,
+            // maxRSS is reported in kilobytes
+            peakMb: process.resourceUsage().maxRSS / 1024
+        })
+    );
+}
+
+/**
+ * Benchmark the streaming detection on files of growing size
+ * @param {number} largestMb - Size of the largest file in MB
+ */
+async function main(largestMb) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fix-duplicates-bench-'));
+    const sizes = [largestMb / 4, largestMb / 2, largestMb].map((size) => Math.max(1, size));
+    const results = [];
+
+    try {
+        for (const sizeMb of sizes) {
+            const inputPath = path.join(dir, `input-${sizeMb}.csv`);
+            await generateFile(inputPath, sizeMb);
+
+            const child = spawnSync(
+                process.execPath,
+                [
+                    `--max-old-space-size=${HEAP_LIMIT_MB}`,
+                    scriptPath,
+                    '--child',
+                    inputPath,
+                    path.join(dir, 'output.csv')
+                ],
+                { encoding: 'utf8' }
+            );
+            fs.unlinkSync(inputPath);
+
+            if (child.status !== 0) {
+                throw new Error(
+                    `Detection on ${sizeMb} MB failed with a ${HEAP_LIMIT_MB} MB heap:\n${child.stderr}`
+                );
+            }
+
+            const result = { sizeMb, ...JSON.parse(child.stdout) };
+            results.push(result);
+            console.log(
+                `${String(sizeMb).padStart(6)} MB  ${String(result.rows).padStart(8)} rows  ` +
+                    `${String(result.duplicateCount).padStart(7)} duplicates  ` +
+                    `${(result.ms / 1000).toFixed(1).padStart(6)} s  ` +
+                    `peak ${result.peakMb.toFixed(0)} MB`
+            );
+        }
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+
+    const growth = results[results.length - 1].peakMb / results[0].peakMb;
+    const sizeGrowth = sizes[sizes.length - 1] / sizes[0];
+    console.log(`Peak memory grew ${growth.toFixed(2)}x while the file grew ${sizeGrowth}x`);
+
+    if (growth > MAX_GROWTH) {
+        console.error(`Memory is not bounded: growth is above ${MAX_GROWTH}x`);
+        process.exit(1);
+    }
+}
+
+if (process.argv[2] === '--child') {
+    runChild(process.argv[3], process.argv[4]);
+} else {
+    main(Number(process.argv[2]) || 64).catch((error) => {
+        console.error(error.message);
+        process.exit(1);
+    });
+}
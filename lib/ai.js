@@ -1,6 +1,15 @@
-import Ollama from 'ollama';
 import { log } from './logger.js';
-import { getBodyPrompt, getTitlePrompt, getDescriptionPrompt, getGeneralPrompt } from '../prompts.js';
+import {
+    getBodyPrompt,
+    getTitlePrompt,
+    getDescriptionPrompt,
+    getGeneralPrompt,
+    getRetryFeedback,
+    getGlossaryInstructions,
+    renderPrompt,
+    DEFAULT_LOCALE
+} from '../prompts.js';
+import { extractTextSegments } from './html.js';
 
 // Prompt types lookup
 const PROMPT_TYPES = {
@@ -10,6 +19,12 @@ const PROMPT_TYPES = {
     GENERAL: 'general'
 };
 
+// How HTML fields are rewritten: the whole document at once, or only its text segments
+const HTML_MODES = {
+    RAW: 'raw',
+    SEGMENTS: 'segments'
+};
+
 /**
  * Determine the prompt type based on the field name
  * @param {string} fieldName - The name of the field
@@ -29,6 +44,45 @@ function getPromptType(fieldName) {
     }
 }
 
+/**
+ * Check whether a prompt mapping pattern matches a field name. Patterns written
+ * as /regex/flags are regular expressions; any other pattern must equal the
+ * field name, ignoring case.
+ * @param {string} pattern - Column name or /regex/flags
+ * @param {string} fieldName - The name of the field
+ * @returns {boolean} Whether the pattern matches
+ */
+function matchesField(pattern, fieldName) {
+    const regex = String(pattern).match(/^\/(.+)\/([a-z]*)$/);
+    if (regex) {
+        return new RegExp(regex[1], regex[2]).test(fieldName);
+    }
+    return String(pattern).toLowerCase() === fieldName.toLowerCase();
+}
+
+/**
+ * Choose the prompt template and validation type for a field. The first entry of
+ * the prompt mapping whose `match` fits the field wins; without a match the
+ * template is picked from the field name by getPromptType.
+ * @param {string} fieldName - The name of the field
+ * @param {Array<Object>} promptMapping - Entries with match, template and optional type
+ * @returns {Object} The template name and the prompt type used for validation
+ */
+function resolvePromptTemplate(fieldName, promptMapping = []) {
+    const entry = promptMapping.find((candidate) => matchesField(candidate.match, fieldName));
+
+    if (!entry) {
+        const type = getPromptType(fieldName);
+        return { template: type, type };
+    }
+
+    const isBuiltInType = Object.values(PROMPT_TYPES).includes(entry.template);
+    return {
+        template: entry.template,
+        type: entry.type || (isBuiltInType ? entry.template : PROMPT_TYPES.GENERAL)
+    };
+}
+
 /**
  * Get the appropriate prompt function based on the field type
  * @param {string} fieldName - The name of the field
@@ -128,47 +182,139 @@ function cleanVariation(variation) {
 }
 
 /**
- * Generate a variation using Ollama
+ * Send a prompt, with the glossary terms and feedback about rejected answers, and return
+ * the trimmed reply
+ * @param {string} prompt - The prompt
+ * @param {Object} provider - Provider from createProvider
+ * @param {Array<Object>} rejected - Earlier answers that were rejected, with variation and reason
+ * @param {Object} templateOptions - Locale, custom templates directory and glossary terms
+ * @returns {Promise<string>} The reply
+ */
+async function requestCompletion(prompt, provider, rejected, { locale, templatesDir, terms } = {}) {
+    let fullPrompt = prompt;
+    const instructions = terms ? getGlossaryInstructions(terms, locale, templatesDir) : '';
+    if (instructions) {
+        fullPrompt += `\n\n${instructions}`;
+    }
+    if (rejected.length > 0) {
+        log.info(`Adding feedback about ${rejected.length} rejected answer(s)`);
+        fullPrompt += `\n\n${getRetryFeedback(rejected, locale, templatesDir)}`;
+    }
+
+    log.info(`Calling ${provider.name} with ${provider.model} model...`);
+    const response = await provider.chat([{ role: 'user', content: fullPrompt }]);
+
+    const reply = response.trim();
+    log.info('Generated variation:', reply.substring(0, 100) + (reply.length > 100 ? '...' : ''));
+    return reply;
+}
+
+/**
+ * Parse a JSON array of strings from a reply, e.g. rewritten segments or group variants
+ * @param {string} reply - The model reply
+ * @param {number} count - Number of strings expected
+ * @param {string} noun - What the strings are, for the error message
+ * @returns {Array<string>} The strings
+ */
+function parseStringArrayReply(reply, count, noun) {
+    const cleaned = cleanVariation(reply);
+    const start = cleaned.indexOf('[');
+    const end = cleaned.lastIndexOf(']');
+
+    let texts;
+    try {
+        texts = JSON.parse(cleaned.slice(start, end + 1));
+    } catch (error) {
+        texts = null;
+    }
+
+    if (start === -1 || !Array.isArray(texts) || texts.some((text) => typeof text !== 'string')) {
+        throw new Error('the answer is not a JSON array of strings');
+    }
+    if (texts.length !== count) {
+        throw new Error(`the answer has ${texts.length} ${noun} instead of ${count}`);
+    }
+
+    return texts;
+}
+
+/**
+ * Generate a variation of an HTML field by rewriting only its text segments,
+ * so tags, attributes, links and images stay exactly as they were
+ * @param {Object} variables - Placeholder values; `value` holds the original HTML
+ * @param {Object} provider - Provider from createProvider
+ * @param {Array<Object>} rejected - Earlier answers that were rejected, with variation and reason
+ * @param {Object} templateOptions - Locale, custom templates directory and glossary terms
+ * @returns {Promise<string>} The rebuilt HTML. Unusable replies throw an error with the
+ * reply in `error.response`, so it can be sent back as feedback.
+ */
+async function generateHtmlSegmentsVariation(variables, provider, rejected, templateOptions) {
+    const { segments, rebuild } = extractTextSegments(variables.value);
+    log.info(`Rewriting ${segments.length} text segments of the HTML`);
+
+    const prompt = renderPrompt(
+        'html-segments',
+        templateOptions.locale,
+        { ...variables, segments: JSON.stringify(segments, null, 2), count: segments.length },
+        templateOptions.templatesDir
+    );
+    const reply = await requestCompletion(prompt, provider, rejected, templateOptions);
+
+    try {
+        return rebuild(parseStringArrayReply(reply, segments.length, 'segments'));
+    } catch (error) {
+        error.response = reply;
+        throw error;
+    }
+}
+
+/**
+ * Generate a variation using an LLM provider
  * @param {string} text - Text to generate a variation for
  * @param {string} handle - Product handle with additional details
  * @param {string} fieldName - The name of the field being processed
- * @param {string} modelName - The Ollama model to use
+ * @param {Object} provider - Provider from createProvider
+ * @param {Array<Object>} rejected - Earlier answers that were rejected, with variation and reason
+ * @param {Object} options - Generation options
+ * @param {string} options.htmlMode - How HTML fields are rewritten: raw (default) or segments
+ * @param {string} options.locale - Locale of the prompt templates (default DEFAULT_LOCALE)
+ * @param {Object} options.row - The whole row, for {{row.<Column>}} placeholders
+ * @param {Array<Object>} options.promptMapping - Field to template mapping, see resolvePromptTemplate
+ * @param {string} options.templatesDir - Directory with custom templates, if any
+ * @param {Object} options.terms - Glossary terms to show, from describeTerms, if any
  * @returns {Promise<string>} Generated variation
  */
-async function generateVariation(text, handle, fieldName, modelName) {
+async function generateVariation(text, handle, fieldName, provider, rejected = [], options = {}) {
     log.info('\nGenerating variation for:');
     log.info('Field:', fieldName);
     log.info('Original text:', text.substring(0, 100) + (text.length > 100 ? '...' : ''));
     log.info('Handle:', handle);
 
-    // Get the appropriate prompt function based on the field type
-    const promptFunction = getPromptFunction(fieldName);
-    const promptType = getPromptType(fieldName);
+    const { locale = DEFAULT_LOCALE, row = {}, promptMapping, templatesDir, terms } = options;
+    const templateOptions = { locale, templatesDir, terms };
+    const variables = { value: text, handle, field: fieldName, row };
 
-    log.info(`Using ${promptType} prompt for field "${fieldName}"`);
+    // Get the appropriate template based on the mapping or the field name
+    const { template, type: promptType } = resolvePromptTemplate(fieldName, promptMapping);
 
-    const prompt = promptFunction(text, handle);
-    log.info(`Calling Ollama with ${modelName} model...`);
+    log.info(`Using ${template} prompt (${locale}) for field "${fieldName}"`);
 
-    const response = await Ollama.chat({
-        model: modelName,
-        messages: [{ role: 'user', content: prompt }]
-    });
+    // Markup-free values have nothing to preserve, so they use the normal prompt
+    if (
+        promptType === PROMPT_TYPES.HTML &&
+        options.htmlMode === HTML_MODES.SEGMENTS &&
+        /<[a-z]/i.test(text)
+    ) {
+        return generateHtmlSegmentsVariation(variables, provider, rejected, templateOptions);
+    }
 
-    const rawVariation = response.message.content.trim();
-    log.info(
-        'Generated variation:',
-        rawVariation.substring(0, 100) + (rawVariation.length > 100 ? '...' : '')
+    const rawVariation = await requestCompletion(
+        renderPrompt(template, locale, variables, templatesDir),
+        provider,
+        rejected,
+        templateOptions
     );
 
-    // Check if variation starts with triple quotes and throw error if it does
-    if (rawVariation.startsWith('"""')) {
-        log.error('CRITICAL ERROR: Generated variation starts with triple quotes (""")');
-        log.error('This indicates a malformed response from the AI model');
-        log.error('Stopping the entire process to prevent data corruption');
-        throw new Error('AI response contains triple quotes (""") - stopping process');
-    }
-
     // Clean the variation
     const cleanedVariation = cleanVariation(rawVariation);
     if (cleanedVariation !== rawVariation) {
@@ -181,4 +327,82 @@ async function generateVariation(text, handle, fieldName, modelName) {
     return cleanedVariation;
 }
 
-export { generateVariation, cleanVariation, getPromptType, getPromptFunction, PROMPT_TYPES };
+/**
+ * Describe the rows of a group for the prompt: one numbered line per row with its
+ * handle, and its title when another field is rewritten
+ * @param {Array<Object>} rows - The rows that need a variant
+ * @param {string} fieldName - The field being rewritten
+ * @returns {string} The list
+ */
+function describeGroupRows(rows, fieldName) {
+    return rows
+        .map((row, index) => {
+            const title = fieldName !== 'Title' && row.Title ? ` (${row.Title})` : '';
+            return `${index + 1}. ${row.Handle || `ID ${row.ID}`}${title}`;
+        })
+        .join('\n');
+}
+
+/**
+ * Generate distinct variants of one duplicated value for several rows in a single
+ * request. The model answers with a JSON array holding one variant per row.
+ * @param {string} text - The duplicated value
+ * @param {Array<Object>} rows - The rows that need a variant, in the order of the answer
+ * @param {string} fieldName - The name of the field being processed
+ * @param {Object} provider - Provider from createProvider
+ * @param {Array<Object>} rejected - Earlier variants that were rejected, with variation and reason
+ * @param {Object} options - Generation options
+ * @param {string} options.locale - Locale of the prompt templates (default DEFAULT_LOCALE)
+ * @param {string} options.templatesDir - Directory with custom templates, if any
+ * @param {Object} options.terms - Glossary terms shared by the rows, from describeTerms, if any
+ * @returns {Promise<Array<string>>} The cleaned variants, one per row. Unusable replies
+ * throw an error with the reply in `error.response`, so it can be sent back as feedback.
+ */
+async function generateGroupVariations(
+    text,
+    rows,
+    fieldName,
+    provider,
+    rejected = [],
+    options = {}
+) {
+    const { locale = DEFAULT_LOCALE, templatesDir, terms } = options;
+    const templateOptions = { locale, templatesDir, terms };
+
+    log.info(`\nGenerating ${rows.length} variations of ${fieldName} in one request`);
+    log.info('Original text:', text.substring(0, 100) + (text.length > 100 ? '...' : ''));
+
+    const prompt = renderPrompt(
+        'group',
+        locale,
+        {
+            value: text,
+            field: fieldName,
+            count: rows.length,
+            rows: describeGroupRows(rows, fieldName)
+        },
+        templatesDir
+    );
+    const reply = await requestCompletion(prompt, provider, rejected, templateOptions);
+
+    try {
+        return parseStringArrayReply(reply, rows.length, 'variations').map((variation) =>
+            cleanVariation(variation.trim())
+        );
+    } catch (error) {
+        error.response = reply;
+        throw error;
+    }
+}
+
+export {
+    generateVariation,
+    generateGroupVariations,
+    cleanVariation,
+    getPromptType,
+    getPromptFunction,
+    resolvePromptTemplate,
+    matchesField,
+    PROMPT_TYPES,
+    HTML_MODES
+};
@@ -0,0 +1,176 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { log } from './logger.js';
+
+/**
+ * Build the cache key of a request: a hash of everything that decides the reply
+ * @param {Object} provider - Provider with name, model and options
+ * @param {Array<Object>} messages - Chat messages with role and content
+ * @returns {string} Hex SHA-256 digest
+ */
+function getCacheKey(provider, messages) {
+    // Unset options are left out, so adding a new option does not invalidate the cache
+    const options = Object.fromEntries(
+        Object.entries(provider.options || {})
+            .filter(([, value]) => value !== undefined)
+            .sort(([a], [b]) => a.localeCompare(b))
+    );
+
+    return crypto
+        .createHash('sha256')
+        .update(JSON.stringify([provider.name, provider.model, options, messages]))
+        .digest('hex');
+}
+
+/**
+ * Open the response cache: one JSON file per reply, named after its key and spread
+ * over subdirectories by the first two characters. Reading an entry touches it, so
+ * pruneCache can tell which entries are still in use.
+ * @param {string} dir - Directory of the cache
+ * @returns {Object} Cache with get, set and dir
+ */
+function openResponseCache(dir) {
+    /**
+     * Path of the file of an entry
+     * @param {string} key - Key from getCacheKey
+     * @returns {string} The path
+     */
+    const entryPath = (key) => path.join(dir, key.slice(0, 2), `${key}.json`);
+
+    return {
+        dir,
+
+        /**
+         * Look up a cached reply
+         * @param {string} key - Key from getCacheKey
+         * @returns {string|undefined} The reply, or undefined when it is not cached
+         */
+        get(key) {
+            const filePath = entryPath(key);
+            if (!fs.existsSync(filePath)) {
+                return undefined;
+            }
+
+            try {
+                const { reply } = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+                const now = new Date();
+                fs.utimesSync(filePath, now, now);
+                return reply;
+            } catch (error) {
+                log.warn(`Ignoring unreadable cache entry ${filePath}: ${error.message}`);
+                return undefined;
+            }
+        },
+
+        /**
+         * Store a reply. The file is written under a temporary name and renamed,
+         * so an interrupted run never leaves half an entry behind.
+         * @param {string} key - Key from getCacheKey
+         * @param {Object} entry - Provider name, model and the reply
+         */
+        set(key, entry) {
+            const filePath = entryPath(key);
+            fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+            const temporaryPath = `${filePath}.${process.pid}.tmp`;
+            const stored = { ...entry, cachedAt: new Date().toISOString() };
+            fs.writeFileSync(temporaryPath, JSON.stringify(stored), 'utf8');
+            fs.renameSync(temporaryPath, filePath);
+        }
+    };
+}
+
+/**
+ * Wrap a provider with the response cache. Cached replies are returned without
+ * calling the model; new replies are stored. Failed requests are not cached.
+ * @param {Object} provider - Provider to wrap, e.g. from createLimitedProvider
+ * @param {Object} cache - Cache from openResponseCache
+ * @param {Object} options - Cache options
+ * @param {boolean} options.refresh - Ignore cached replies, but still store the new ones
+ * @returns {Object} Provider with the same interface; `stats()` adds cache hits and misses
+ */
+function createCachedProvider(provider, cache, { refresh = false } = {}) {
+    let hits = 0;
+    let misses = 0;
+
+    return {
+        ...provider,
+
+        /**
+         * Return the cached reply, or ask the provider and cache its reply
+         * @param {Array<Object>} messages - Chat messages with role and content
+         * @param {Object} requestOptions - Per-request options, passed on to the provider
+         * @returns {Promise<string>} The reply
+         */
+        async chat(messages, requestOptions) {
+            const key = getCacheKey(provider, messages);
+
+            if (!refresh) {
+                const cached = cache.get(key);
+                if (cached !== undefined) {
+                    hits++;
+                    log.info('Using cached reply');
+                    return cached;
+                }
+            }
+
+            misses++;
+            const reply = await provider.chat(messages, requestOptions);
+            cache.set(key, { provider: provider.name, model: provider.model, reply });
+            return reply;
+        },
+
+        /**
+         * Request statistics of the wrapped provider, with the cache hits and misses
+         * @returns {Object} The statistics
+         */
+        stats() {
+            const stats = typeof provider.stats === 'function' ? provider.stats() : {};
+            return { ...stats, cacheHits: hits, cacheMisses: misses };
+        }
+    };
+}
+
+/**
+ * Remove cache entries that were not used for a while
+ * @param {string} dir - Directory of the cache
+ * @param {Object} options - Prune options
+ * @param {number} options.maxAge - Days since an entry was last used; 0 removes everything
+ * @returns {Object} Number of removed and kept entries and the bytes freed
+ */
+function pruneCache(dir, { maxAge = 30 } = {}) {
+    const result = { removed: 0, kept: 0, bytes: 0 };
+    if (!fs.existsSync(dir)) {
+        return result;
+    }
+
+    const cutoff = Date.now() - maxAge * 24 * 60 * 60 * 1000;
+
+    fs.readdirSync(dir, { withFileTypes: true })
+        .filter((entry) => entry.isDirectory() && /^[0-9a-f]{2}$/.test(entry.name))
+        .forEach((subdir) => {
+            const subdirPath = path.join(dir, subdir.name);
+
+            fs.readdirSync(subdirPath).forEach((name) => {
+                const filePath = path.join(subdirPath, name);
+                const { mtimeMs, size } = fs.statSync(filePath);
+
+                if (maxAge <= 0 || mtimeMs < cutoff) {
+                    fs.unlinkSync(filePath);
+                    result.removed++;
+                    result.bytes += size;
+                } else {
+                    result.kept++;
+                }
+            });
+
+            if (fs.readdirSync(subdirPath).length === 0) {
+                fs.rmdirSync(subdirPath);
+            }
+        });
+
+    return result;
+}
+
+export { getCacheKey, openResponseCache, createCachedProvider, pruneCache };
@@ -0,0 +1,168 @@
+import path from 'path';
+import { pathToFileURL } from 'url';
+
+// How the occurrence that keeps its value is chosen in a group of duplicates
+const CANONICAL_STRATEGIES = {
+    FIRST: 'first',
+    MAX: 'max',
+    MIN: 'min',
+    CUSTOM: 'custom'
+};
+
+/**
+ * Turn a cell into something that can be ordered: numbers and ISO dates compare
+ * by value, anything else as lowercase text
+ * @param {string} value - The cell
+ * @returns {number|string|null} The sortable value, or null when the cell is empty
+ */
+function toSortable(value) {
+    if (value === undefined || value === null || String(value).trim() === '') {
+        return null;
+    }
+
+    const text = String(value).trim();
+    const number = Number(text);
+    if (!Number.isNaN(number)) {
+        return number;
+    }
+
+    // Dates like "2023-05-01" or "2023-05-01T10:00:00+02:00" from Shopify exports
+    if (/^\d{4}-\d{2}-\d{2}/.test(text)) {
+        const time = Date.parse(text);
+        if (!Number.isNaN(time)) return time;
+    }
+
+    return text.toLowerCase();
+}
+
+/**
+ * Compare two cells for ordering. Empty cells always sort last, so a row with a
+ * value beats one without, whichever direction is chosen.
+ * @param {string} a - First cell
+ * @param {string} b - Second cell
+ * @param {string} order - MAX to prefer the larger value, MIN for the smaller
+ * @returns {number} Negative when a comes first, positive when b does, 0 when equal
+ */
+function compareCells(a, b, order) {
+    const left = toSortable(a);
+    const right = toSortable(b);
+
+    if (left === null || right === null) {
+        return (left === null) - (right === null);
+    }
+
+    let result;
+    if (typeof left === 'number' && typeof right === 'number') {
+        result = left - right;
+    } else {
+        result = String(left).localeCompare(String(right));
+    }
+    return order === CANONICAL_STRATEGIES.MAX ? -result : result;
+}
+
+/**
+ * Load a custom canonical comparator. The module's default export (or its
+ * `compare` export) is called as compare(a, b, { field }) with two rows, and
+ * returns a negative number when row a should keep its value over row b.
+ * @param {string} modulePath - Path of the JavaScript module
+ * @param {string} cwd - Directory the path is relative to
+ * @returns {Promise<Function>} The comparator
+ */
+async function loadCanonicalComparator(modulePath, cwd = process.cwd()) {
+    let module;
+    try {
+        module = await import(pathToFileURL(path.resolve(cwd, modulePath)).href);
+    } catch (error) {
+        throw new Error(`Could not load the canonical comparator ${modulePath}: ${error.message}`);
+    }
+
+    const compare = module.default || module.compare;
+    if (typeof compare !== 'function') {
+        throw new Error(
+            `The canonical comparator ${modulePath} must export a function (a, b) => number`
+        );
+    }
+    return compare;
+}
+
+/**
+ * Create the function that decides which of two occurrences of a duplicate value
+ * is canonical, i.e. keeps its value. Protected rows always win; then the strategy
+ * decides; ties go to the occurrence that comes first in the file.
+ * @param {Object} options - Selection settings
+ * @param {string} options.strategy - One of CANONICAL_STRATEGIES
+ * @param {string} options.column - Column to maximise or minimise (max and min)
+ * @param {Array<string>} options.protectedRows - IDs or handles of rows that always keep their value
+ * @param {Function} options.comparator - Custom comparator (custom), from loadCanonicalComparator
+ * @returns {Function} (a, b) => number for occurrences with row and field; negative when a wins
+ */
+function createCanonicalSelector({
+    strategy = CANONICAL_STRATEGIES.FIRST,
+    column,
+    protectedRows = [],
+    comparator
+} = {}) {
+    if (!Object.values(CANONICAL_STRATEGIES).includes(strategy)) {
+        throw new Error(
+            `Unknown canonical strategy "${strategy}". ` +
+                `Use one of: ${Object.values(CANONICAL_STRATEGIES).join(', ')}`
+        );
+    }
+    if (
+        (strategy === CANONICAL_STRATEGIES.MAX || strategy === CANONICAL_STRATEGIES.MIN) &&
+        !column
+    ) {
+        throw new Error(`The "${strategy}" canonical strategy needs --canonical-column`);
+    }
+    if (strategy === CANONICAL_STRATEGIES.CUSTOM && typeof comparator !== 'function') {
+        throw new Error('The "custom" canonical strategy needs --canonical-comparator');
+    }
+
+    const protectedSet = new Set(protectedRows.map(String));
+
+    /**
+     * Check whether a row is on the protected list
+     * @param {Object} row - The row
+     * @returns {boolean} Whether its ID or handle is protected
+     */
+    const isProtected = (row) =>
+        protectedSet.has(String(row.ID)) || protectedSet.has(String(row.Handle));
+
+    return (a, b) => {
+        const protectedOrder = isProtected(b.row) - isProtected(a.row);
+        if (protectedOrder !== 0) return protectedOrder;
+
+        if (strategy === CANONICAL_STRATEGIES.MAX || strategy === CANONICAL_STRATEGIES.MIN) {
+            return compareCells(a.row[column], b.row[column], strategy);
+        }
+        if (strategy === CANONICAL_STRATEGIES.CUSTOM) {
+            return Number(comparator(a.row, b.row, { field: a.field })) || 0;
+        }
+        return 0;
+    };
+}
+
+/**
+ * Pick the canonical occurrence of a group. Only a strictly better occurrence
+ * replaces the current pick, so ties keep file order.
+ * @param {Array<Object>} members - Occurrences with row and field, in file order
+ * @param {Function} compare - Selector from createCanonicalSelector
+ * @returns {number} Index of the canonical occurrence
+ */
+function chooseCanonical(members, compare) {
+    let best = 0;
+    for (let index = 1; index < members.length; index++) {
+        if (compare(members[index], members[best]) < 0) {
+            best = index;
+        }
+    }
+    return best;
+}
+
+export {
+    CANONICAL_STRATEGIES,
+    compareCells,
+    loadCanonicalComparator,
+    createCanonicalSelector,
+    chooseCanonical
+};
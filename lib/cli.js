@@ -0,0 +1,181 @@
+import crypto from 'crypto';
+import { COMMANDS } from './commands.js';
+import { OPTIONS, CONFIG_FILE_NAMES, coerceOptionValue, resolveConfig } from './config.js';
+import { configureLogger, log } from './logger.js';
+import { getRunStatus, startRunManifest } from './manifest.js';
+
+const DEFAULT_COMMAND = 'generate';
+
+/**
+ * Find the option definition for a long flag or short alias
+ * @param {string} name - Flag name without dashes
+ * @param {boolean} isAlias - Whether the name is a short alias
+ * @returns {Object|undefined} The matching option
+ */
+function findOption(name, isAlias) {
+    return OPTIONS.find((option) => (isAlias ? option.alias === name : option.flag === name));
+}
+
+/**
+ * Parse command-line arguments
+ * @param {Array<string>} argv - Arguments without the node executable and script path
+ * @returns {Object} The command, config path, help flag and option values
+ */
+function parseArgs(argv) {
+    const parsed = { command: null, configPath: undefined, help: false, options: {} };
+    const args = [...argv];
+
+    while (args.length > 0) {
+        const arg = args.shift();
+
+        if (arg === '--help' || arg === '-h') {
+            parsed.help = true;
+            continue;
+        }
+
+        if (!arg.startsWith('-')) {
+            if (parsed.command) {
+                throw new Error(`Unexpected argument "${arg}"`);
+            }
+            parsed.command = arg;
+            continue;
+        }
+
+        const isAlias = !arg.startsWith('--');
+        let [name, inlineValue] = arg.replace(/^--?/, '').split(/=(.*)/s);
+
+        if (name === 'config' || (isAlias && name === 'c')) {
+            parsed.configPath = inlineValue !== undefined ? inlineValue : args.shift();
+            if (!parsed.configPath) {
+                throw new Error('--config expects a file path');
+            }
+            continue;
+        }
+
+        let negated = false;
+        if (!isAlias && name.startsWith('no-')) {
+            negated = true;
+            name = name.slice(3);
+        }
+
+        const option = findOption(name, isAlias);
+        if (!option) {
+            throw new Error(`Unknown option "${arg}"`);
+        }
+
+        if (option.type === 'boolean') {
+            parsed.options[option.key] =
+                inlineValue !== undefined
+                    ? coerceOptionValue(option, inlineValue, `--${option.flag}`)
+                    : !negated;
+            continue;
+        }
+
+        if (negated) {
+            throw new Error(`Option "--${option.flag}" cannot be negated`);
+        }
+
+        const value = inlineValue !== undefined ? inlineValue : args.shift();
+        if (value === undefined) {
+            throw new Error(`Option "--${option.flag}" expects a value`);
+        }
+        parsed.options[option.key] = coerceOptionValue(option, value, `--${option.flag}`);
+    }
+
+    return parsed;
+}
+
+/**
+ * Build the --help text
+ * @returns {string} Usage information
+ */
+function formatHelp() {
+    const commandLines = Object.entries(COMMANDS).map(
+        ([name, command]) => `  ${name.padEnd(22)}${command.description}`
+    );
+
+    const optionLines = OPTIONS.map((option) => {
+        const alias = option.alias ? `-${option.alias}, ` : '    ';
+        const value = option.type === 'boolean' ? '' : ' <value>';
+        const flag = `${alias}--${option.flag}${value}`;
+        return `  ${flag.padEnd(30)}${option.description} [${option.env}]`;
+    });
+
+    return [
+        'Usage: fix-duplicates-ai [command] [options]',
+        '',
+        'Commands:',
+        ...commandLines,
+        '',
+        'Options:',
+        `  ${'-c, --config <file>'.padEnd(30)}JSON or YAML config file`,
+        ...optionLines,
+        `  ${'-h, --help'.padEnd(30)}Show this help`,
+        '',
+        'Settings are merged in this order, later sources winning:',
+        `  defaults, config file (--config or ${CONFIG_FILE_NAMES.join(', ')}),`,
+        '  environment variables, command-line flags.'
+    ].join('\n');
+}
+
+/**
+ * Run the command-line interface
+ * @param {Array<string>} argv - Arguments without the node executable and script path
+ * @returns {Promise<*>} The result of the command that was run
+ */
+async function runCLI(argv) {
+    const parsed = parseArgs(argv);
+
+    if (parsed.help) {
+        console.log(formatHelp());
+        return null;
+    }
+
+    const commandName = parsed.command || DEFAULT_COMMAND;
+    const command = COMMANDS[commandName];
+    if (!command) {
+        throw new Error(`Unknown command "${commandName}". Run with --help to see the commands.`);
+    }
+
+    const config = resolveConfig({ cliOptions: parsed.options, configPath: parsed.configPath });
+    const runId = crypto.randomUUID();
+    configureLogger({
+        verbose: config.verbose,
+        logFile: config.logFile || null,
+        context: { runId }
+    });
+    const manifest = config.manifest
+        ? startRunManifest({ command: commandName, config, runId })
+        : null;
+
+    log.event('run.started', { command: commandName });
+    if (config.configFile) {
+        log.info(`Using config file ${config.configFile}`);
+    }
+
+    let result;
+    let failure;
+    try {
+        log.time('Total execution time');
+        result = await command.run(config);
+        log.timeEnd('Total execution time');
+        return result;
+    } catch (error) {
+        failure = error;
+        // Printed by the caller; recorded here so the log file and manifest have it
+        log.event('run.failed', { command: commandName, error: error.message }, { level: 'error' });
+        throw error;
+    } finally {
+        if (manifest) {
+            await manifest.finish({ result, error: failure });
+            log.info(`Run manifest written to ${config.manifestPath}`);
+        }
+        log.event('run.finished', {
+            command: commandName,
+            status: getRunStatus(result, failure)
+        });
+        configureLogger({ logFile: null });
+    }
+}
+
+export { runCLI, parseArgs, formatHelp };
@@ -0,0 +1,1043 @@
+import fs from 'fs';
+import path from 'path';
+import { PROMPT_TYPES } from './ai.js';
+import { openResponseCache, createCachedProvider, pruneCache } from './cache.js';
+import {
+    CANONICAL_STRATEGIES,
+    createCanonicalSelector,
+    loadCanonicalComparator
+} from './canonical.js';
+import { generateCheckedVariation, generateVariationsForDuplicates } from './variations.js';
+import {
+    parseCSV,
+    parseCSVFiles,
+    streamCSV,
+    writeToCSV,
+    isHelperColumn,
+    SOURCE_COLUMN
+} from './csv.js';
+import {
+    createFieldGroups,
+    findDuplicatesInData,
+    findDuplicatesInFile,
+    formatDuplicateGroups,
+    SIMILARITY_MODES
+} from './duplicates.js';
+import {
+    HANDLE_COLUMN,
+    REDIRECT_FORMATS,
+    addHandleToVariation,
+    buildRedirects,
+    findDuplicateHandles,
+    proposeHandles
+} from './handles.js';
+import { loadGlossary } from './glossary.js';
+import { openJournal } from './journal.js';
+import { resolveRowLocale } from './language.js';
+import { log } from './logger.js';
+import {
+    ENTITIES,
+    buildMatrixifyRows,
+    detectEntity,
+    getTopRows,
+    isContinuationRow,
+    validateMatrixifyRows,
+    writeMatrixifyFile
+} from './matrixify.js';
+import { createProvider } from './providers/index.js';
+import { buildReport, writeReport } from './report.js';
+import { createLimitedProvider } from './scheduler.js';
+import {
+    approveVariations,
+    getReviewItems,
+    openDecisions,
+    runReview,
+    updateVariationRow
+} from './review.js';
+import { createUniquenessRegistry } from './uniqueness.js';
+import { getAvailableLocales, loadTemplate, DEFAULT_LOCALE } from '../prompts.js';
+
+/**
+ * List the input files of a run; inputPath holds one path or several
+ * @param {Object} config - Resolved run configuration
+ * @returns {Array<string>} Paths of the input files
+ */
+function getInputPaths(config) {
+    const inputPaths = [].concat(config.inputPath).filter(Boolean);
+    if (inputPaths.length === 0) {
+        throw new Error('No input file given. Set --input');
+    }
+    return inputPaths;
+}
+
+/**
+ * Collect the dialect settings of the input files that are set rather than detected
+ * @param {Object} config - Resolved run configuration
+ * @returns {Object} Overrides for parseCSV and streamCSV
+ */
+function getDialectOverrides(config) {
+    const overrides = {};
+    ['delimiter', 'encoding', 'newline'].forEach((key) => {
+        if (config[key] && config[key] !== 'auto') overrides[key] = config[key];
+    });
+    return overrides;
+}
+
+/**
+ * Load the configured glossary of protected, required and forbidden terms
+ * @param {Object} config - Resolved run configuration
+ * @returns {Object|null} Glossary from loadGlossary, or null when none is set
+ */
+function loadRunGlossary(config) {
+    return config.glossaryPath ? loadGlossary(path.resolve(config.glossaryPath)) : null;
+}
+
+/**
+ * Work out the path a per-file output gets when there are several input files,
+ * e.g. applied-output.csv and smart-collections.csv give applied-output-smart-collections.csv
+ * @param {string} outputPath - The configured output path
+ * @param {string} inputPath - The input file the output belongs to
+ * @returns {string} The output path for that input file
+ */
+function getOutputPathForInput(outputPath, inputPath) {
+    const { dir, name, ext } = path.parse(outputPath);
+    return path.join(dir, `${name}-${path.parse(inputPath).name}${ext}`);
+}
+
+/**
+ * Check whether a variation row belongs to an input file. Rows from a single-file
+ * run have no sourceFile column and belong to any input.
+ * @param {Object} row - Variation row
+ * @param {string} inputPath - The input file
+ * @returns {boolean} Whether the row came from the file
+ */
+function isFromInput(row, inputPath) {
+    return !row[SOURCE_COLUMN] || path.resolve(row[SOURCE_COLUMN]) === path.resolve(inputPath);
+}
+
+/**
+ * Leave out the lines that continue a multi-row entity, unless multiRow is off
+ * @param {Array<Object>} rows - Rows of the input, in file order
+ * @param {Object} config - Resolved run configuration
+ * @returns {Array<Object>} One row per entity
+ */
+function getEntityRows(rows, config) {
+    return config.multiRow ? getTopRows(rows) : rows;
+}
+
+/**
+ * Set up how values are grouped and which occurrence of a duplicate is canonical
+ * @param {Object} config - Resolved run configuration
+ * @returns {Promise<Object>} The field group lookup, the canonical selector (none for the
+ * default "first" strategy without protected rows) and the columns it reads
+ */
+async function createDetectionSettings(config) {
+    const groupOf = createFieldGroups(config.fieldGroups);
+    const strategy = config.canonicalStrategy || CANONICAL_STRATEGIES.FIRST;
+    const protectedRows = config.protectedRows || [];
+
+    if (strategy === CANONICAL_STRATEGIES.FIRST && protectedRows.length === 0) {
+        return { groupOf, compare: undefined, canonicalColumns: [] };
+    }
+
+    const comparator =
+        strategy === CANONICAL_STRATEGIES.CUSTOM && config.canonicalComparator
+            ? await loadCanonicalComparator(config.canonicalComparator)
+            : undefined;
+    const compare = createCanonicalSelector({
+        strategy,
+        column: config.canonicalColumn,
+        protectedRows,
+        comparator
+    });
+
+    return {
+        groupOf,
+        compare,
+        canonicalColumns: config.canonicalColumn ? [config.canonicalColumn] : []
+    };
+}
+
+/**
+ * Parse the input files and mark duplicate rows
+ * @param {Object} config - Resolved run configuration
+ * @returns {Promise<Object>} Rows marked as duplicate or not, the duplicate rows, the duplicate
+ * groups, the occurrence map, the field group lookup, the canonical selector and the dialect
+ * of the input
+ */
+async function runDetection(config) {
+    const { groupOf, compare } = await createDetectionSettings(config);
+
+    log.time('Parsing CSV');
+    const { data, dialect } = parseCSVFiles(getInputPaths(config), {
+        dialect: getDialectOverrides(config)
+    });
+    log.timeEnd('Parsing CSV');
+
+    const { canonicalStrategy: strategy, canonicalColumn: column } = config;
+    if (
+        (strategy === CANONICAL_STRATEGIES.MAX || strategy === CANONICAL_STRATEGIES.MIN) &&
+        data.length > 0 &&
+        !data.some((row) => column in row)
+    ) {
+        throw new Error(`The input has no "${column}" column to pick canonical rows by`);
+    }
+
+    log.time('Finding duplicates');
+    const { result, duplicates, groups, occurrenceMap } = findDuplicatesInData(
+        data,
+        [...config.excludedFields, SOURCE_COLUMN],
+        {
+            similarityMode: config.similarityMode,
+            similarityThreshold: config.similarityThreshold,
+            shingleSize: config.shingleSize,
+            groupOf,
+            compare,
+            multiRow: config.multiRow
+        }
+    );
+    log.timeEnd('Finding duplicates');
+
+    return { result, duplicates, groups, occurrenceMap, groupOf, compare, dialect };
+}
+
+/**
+ * Stream the input files twice and write the marked rows to the output file as
+ * they are read
+ * @param {Object} config - Resolved run configuration
+ * @param {Object} options - What to keep in memory
+ * @param {boolean} options.collectDuplicates - Keep the duplicate rows and the digests the
+ * uniqueness checks need
+ * @returns {Promise<Object>} Row, entity and duplicate counts, the duplicate groups, the field
+ * group lookup, the dialect of the input, and the duplicate rows and digests when collected
+ */
+async function runStreamingDetection(config, { collectDuplicates = false } = {}) {
+    if (config.similarityMode === SIMILARITY_MODES.FUZZY) {
+        throw new Error('--stream only supports exact duplicate detection, not --similarity fuzzy');
+    }
+    if (config.canonicalStrategy === CANONICAL_STRATEGIES.CUSTOM) {
+        throw new Error(
+            '--stream does not keep whole rows, so it cannot use --canonical custom. ' +
+                'Use first, max or min'
+        );
+    }
+
+    const { groupOf, compare, canonicalColumns } = await createDetectionSettings(config);
+    const duplicates = [];
+    const detection = await findDuplicatesInFile(
+        getInputPaths(config),
+        config.outputPath,
+        config.excludedFields,
+        {
+            onDuplicate: collectDuplicates ? (row) => duplicates.push(row) : undefined,
+            collectNormalized: collectDuplicates,
+            collectGroups: true,
+            groupOf,
+            compare,
+            canonicalColumns,
+            dialect: getDialectOverrides(config),
+            multiRow: config.multiRow
+        }
+    );
+
+    return { ...detection, duplicates, groupOf };
+}
+
+/**
+ * Write the duplicate groups report: one line per occurrence of a duplicate value,
+ * with the file, row ID and column it was found in
+ * @param {Array<Object>} groups - Duplicate groups from detection
+ * @param {Object} config - Resolved run configuration
+ * @param {Object} dialect - Dialect of the input, which the report is written in
+ * @returns {Array<Object>} The rows that were written
+ */
+function writeGroupsReport(groups, config, dialect) {
+    const rows = formatDuplicateGroups(groups, getInputPaths(config)[0]);
+    writeToCSV(rows, config.groupsOutputPath, {
+        columns: ['group', 'fieldGroup', 'sourceFile', 'ID', 'Handle', 'column', 'kept', 'value'],
+        dialect
+    });
+    log.info(`Found ${groups.length} duplicate groups, listed in ${config.groupsOutputPath}`);
+    return rows;
+}
+
+/**
+ * Write the HTML and JSON duplicate analysis report, unless it is switched off
+ * @param {Array<Object>} groupRows - Rows of the duplicate groups report
+ * @param {Array<Object>|null} variations - Rows of the variations file, or null before generation
+ * @param {Object} config - Resolved run configuration
+ * @param {number} rows - Number of rows checked, if known
+ */
+function writeDuplicateReport(groupRows, variations, config, rows) {
+    if (!config.report) return;
+    const report = buildReport(groupRows, variations, { inputs: getInputPaths(config), rows });
+    writeReport(report, config.reportPath);
+}
+
+/**
+ * Detect duplicates and write the marked rows
+ * @param {Object} config - Resolved run configuration
+ * @returns {Promise<Object>} Rows marked as duplicate or not, and the duplicate rows
+ */
+async function detect(config) {
+    if (config.stream) {
+        const { rows, entities, duplicateCount, groups, dialect } =
+            await runStreamingDetection(config);
+        writeDuplicateReport(writeGroupsReport(groups, config, dialect), null, config, entities);
+        log.info(`Done. Output written to ${config.outputPath}`);
+        log.info(`Found ${duplicateCount} rows with duplicates out of ${entities}`);
+        return { rows, duplicateCount, groups };
+    }
+
+    const { result, duplicates, groups, dialect } = await runDetection(config);
+
+    log.time('Writing results');
+    writeToCSV(result, config.outputPath, { dialect });
+    writeDuplicateReport(
+        writeGroupsReport(groups, config, dialect),
+        null,
+        config,
+        getEntityRows(result, config).length
+    );
+    log.timeEnd('Writing results');
+
+    log.info(`Done. Output written to ${config.outputPath}`);
+    log.info(`Found ${duplicates.length} rows with duplicates`);
+
+    return { result, duplicates, groups };
+}
+
+/**
+ * Check the prompt mapping before any request is made, so a typo in a template
+ * name does not surface halfway through a run
+ * @param {Array<Object>} promptMapping - Entries with match, template and optional type
+ * @param {Object} templateOptions - Locale and custom templates directory
+ */
+function validatePromptMapping(promptMapping, { locale, templatesDir }) {
+    if (!Array.isArray(promptMapping)) {
+        throw new Error('promptMapping must be a list of { match, template } entries');
+    }
+
+    const templateLocale = locale === 'auto' ? DEFAULT_LOCALE : locale;
+    promptMapping.forEach((entry, index) => {
+        if (!entry || !entry.match || !entry.template) {
+            throw new Error(`promptMapping entry ${index + 1} needs both "match" and "template"`);
+        }
+        if (entry.type && !Object.values(PROMPT_TYPES).includes(entry.type)) {
+            throw new Error(
+                `promptMapping entry ${index + 1} has unknown type "${entry.type}". ` +
+                    `Use one of: ${Object.values(PROMPT_TYPES).join(', ')}`
+            );
+        }
+        loadTemplate(entry.template, templateLocale, templatesDir);
+    });
+}
+
+/**
+ * Create the configured provider with the run's rate limit, request timeout and
+ * reply cache. Cached replies skip the rate limit, since they never reach the model.
+ * @param {Object} config - Resolved run configuration
+ * @param {Object} options - Provider options
+ * @param {AbortSignal} options.signal - Cancels waiting and running requests, if given
+ * @param {Object} options.provider - Provider to use instead of the configured one, if given
+ * @param {boolean} options.refresh - Ignore cached replies (default config.refresh)
+ * @returns {Object} The provider
+ */
+function createRunProvider(config, { signal, provider, refresh = config.refresh } = {}) {
+    const limited = createLimitedProvider(provider || createProvider(config), {
+        rateLimit: config.rateLimit,
+        timeout: config.requestTimeout,
+        signal
+    });
+
+    if (!config.cache) {
+        return limited;
+    }
+    return createCachedProvider(limited, openResponseCache(config.cacheDir), { refresh });
+}
+
+/**
+ * Add the rows that get a new handle to the duplicate rows, in file order. Rows
+ * without duplicate values get no generated fields, only the new handle.
+ * @param {Array<Object>} result - Marked rows from detection
+ * @param {Array<Object>} duplicates - Duplicate rows from detection, in file order
+ * @param {Array<Object>} handleGroups - Groups from findDuplicateHandles
+ * @returns {Array<Object>} Entries with the marked row and the duplicate row to generate for
+ */
+function addHandleDuplicates(result, duplicates, handleGroups) {
+    const renamed = new Set(
+        handleGroups.flatMap(({ rows, canonical }) =>
+            rows.filter((row, index) => index !== canonical)
+        )
+    );
+
+    let next = 0;
+    return result.flatMap((row) => {
+        if (row.duplicate === 'true') {
+            return [{ row, duplicate: duplicates[next++] }];
+        }
+        return renamed.has(row) ? [{ row, duplicate: { ...row, duplicateFields: '' } }] : [];
+    });
+}
+
+/**
+ * Propose new handles for the handle groups, made from the generated titles, and add
+ * them to the variation rows
+ * @param {Array<Object>} handleGroups - Groups from findDuplicateHandles
+ * @param {Array<Object>} entries - Entries from addHandleDuplicates, in the order of the variations
+ * @param {Array<Object>} variations - Generated variation rows
+ * @param {Array<Object>} result - Marked rows from detection, for every handle in use
+ * @returns {Array<Object>} Proposals from proposeHandles
+ */
+function addHandleProposals(handleGroups, entries, variations, result) {
+    const variationOf = new Map(entries.map(({ row }, index) => [row, variations[index]]));
+    const proposals = proposeHandles(handleGroups, {
+        existingHandles: result.map((row) => row[HANDLE_COLUMN]).filter(Boolean),
+        titleOf: (row) => {
+            const variation = variationOf.get(row);
+            return variation && variation.Title !== undefined ? variation.Title : row.Title;
+        }
+    });
+
+    proposals.forEach((proposal) => addHandleToVariation(variationOf.get(proposal.row), proposal));
+
+    const kept = proposals.filter((proposal) => proposal.status !== 'generated').length;
+    log.info(
+        `Found ${handleGroups.length} groups of duplicate handles and proposed ` +
+            `${proposals.length - kept} new handles`
+    );
+    if (kept > 0) {
+        log.warn(`${kept} rows keep their handle for now; edit them in review`);
+    }
+    return proposals;
+}
+
+/**
+ * Detect duplicates, generate variations for them and write both files
+ * @param {Object} config - Resolved run configuration
+ * @param {Object} options - Run options
+ * @param {Object} options.provider - Provider to use instead of the configured one,
+ * e.g. a scripted model in tests
+ * @returns {Promise<Object>} Marked rows, duplicate rows, generated variations and the run summary
+ */
+async function generate(config, { provider: modelProvider } = {}) {
+    const locales = getAvailableLocales();
+    if (config.locale !== 'auto' && !locales.includes(config.locale)) {
+        throw new Error(
+            `No prompt templates for locale "${config.locale}". Available: ${locales.join(', ')}, auto`
+        );
+    }
+
+    validatePromptMapping(config.promptMapping, config);
+    const glossary = loadRunGlossary(config);
+    if (config.handleMode && config.stream) {
+        throw new Error('--handle-mode compares every handle in memory, so it cannot use --stream');
+    }
+
+    // The streaming pass writes the marked rows while it reads them
+    let result = null;
+    let duplicates;
+    let registry;
+    let groupRows;
+    let rowCount;
+    let dialect;
+    let handleGroups = [];
+    let handleEntries = [];
+    if (config.stream) {
+        const detection = await runStreamingDetection(config, { collectDuplicates: true });
+        duplicates = detection.duplicates;
+        registry = createUniquenessRegistry(
+            undefined,
+            detection.normalizedDigests,
+            detection.groupOf
+        );
+        dialect = detection.dialect;
+        groupRows = writeGroupsReport(detection.groups, config, dialect);
+        rowCount = detection.entities;
+    } else {
+        const detection = await runDetection(config);
+        result = detection.result;
+        duplicates = detection.duplicates;
+        if (config.handleMode) {
+            handleGroups = findDuplicateHandles(getEntityRows(result, config), detection.compare);
+            handleEntries = addHandleDuplicates(result, duplicates, handleGroups);
+            duplicates = handleEntries.map((entry) => entry.duplicate);
+        }
+        registry = createUniquenessRegistry(detection.occurrenceMap, null, detection.groupOf);
+        dialect = detection.dialect;
+        groupRows = writeGroupsReport(detection.groups, config, dialect);
+        rowCount = getEntityRows(result, config).length;
+    }
+
+    // Ctrl+C stops the run and still writes what finished; a second Ctrl+C quits at once
+    const controller = new AbortController();
+    const onInterrupt = () => {
+        log.warn('Stopping: cancelling running requests and writing finished results...');
+        controller.abort(new Error('Cancelled by the user'));
+    };
+    process.once('SIGINT', onInterrupt);
+
+    const provider = createRunProvider(config, {
+        signal: controller.signal,
+        provider: modelProvider
+    });
+    const journal = openJournal(config.journalPath, { resume: config.resume });
+
+    log.time('Generating variations');
+    let variations;
+    let cancelled;
+    let summary;
+    try {
+        ({ variations, cancelled, summary } = await generateVariationsForDuplicates(
+            duplicates,
+            provider,
+            {
+                concurrency: config.concurrency,
+                signal: controller.signal,
+                journal,
+                registry,
+                maxRetries: config.maxRetries,
+                retryDelay: config.retryDelay,
+                htmlMode: config.htmlMode,
+                groupMode: config.groupMode,
+                locale: config.locale,
+                localeColumn: config.localeColumn,
+                promptMapping: config.promptMapping,
+                templatesDir: config.templatesDir,
+                glossary
+            }
+        ));
+    } finally {
+        process.removeListener('SIGINT', onInterrupt);
+    }
+    log.timeEnd('Generating variations');
+
+    if (handleGroups.length > 0) {
+        addHandleProposals(handleGroups, handleEntries, variations, result).forEach(
+            ({ status }) => {
+                summary.statuses[status] = (summary.statuses[status] || 0) + 1;
+            }
+        );
+    }
+
+    log.time('Writing results');
+    if (result) writeToCSV(result, config.outputPath, { dialect });
+    writeToCSV(variations, config.variationsOutputPath, { dialect });
+    writeDuplicateReport(groupRows, variations, config, rowCount);
+    log.timeEnd('Writing results');
+
+    log.info(`Done. Output written to ${config.outputPath}`);
+    log.info(`Found ${duplicates.length} rows with duplicates`);
+    log.info(
+        `Generated ${variations.length} variations and exported to ${config.variationsOutputPath}`
+    );
+    if (cancelled) {
+        log.warn('The run was cancelled. Run generate again with --resume to finish it');
+    }
+
+    return { result, duplicates, variations, cancelled, summary };
+}
+
+/**
+ * Read the variations file and keep only the values approved in review
+ * @param {Object} config - Resolved run configuration
+ * @returns {Array<Object>} Variation rows with only approved fields in duplicateFields
+ */
+function readApprovedVariations(config) {
+    const { data } = parseCSV(config.variationsOutputPath);
+    const decisions = openDecisions(config.decisionsPath);
+    const { rows, counts } = approveVariations(data, decisions, {
+        requireApproval: config.requireApproval
+    });
+
+    log.info(`Using ${counts.approved} approved values, skipping ${counts.rejected} rejected`);
+    if (counts.pending > 0) {
+        log.warn(
+            `${counts.pending} values have not been reviewed and are left out. ` +
+                'Run the review command first, or pass --no-require-approval to use them anyway'
+        );
+    }
+
+    return rows;
+}
+
+/**
+ * Write the URL redirects for the handles that changed; nothing is written when
+ * no handle changed
+ * @param {Array<Object>} changes - Changed handles with original, value and URL prefix
+ * @param {Array<string>} inputHandles - Every handle in the input files, before the change
+ * @param {Object} config - Resolved run configuration
+ * @returns {Array<Object>} The redirects that were written
+ */
+function writeRedirects(changes, inputHandles, config) {
+    if (changes.length === 0) {
+        return [];
+    }
+
+    const redirects = buildRedirects(changes, { inputHandles, format: config.redirectsFormat });
+    writeToCSV(redirects, config.redirectsPath, {
+        columns: REDIRECT_FORMATS[config.redirectsFormat]
+    });
+    log.info(`Wrote ${redirects.length} URL redirects to ${config.redirectsPath}`);
+    return redirects;
+}
+
+/**
+ * Put the variations into the rows of one input file, by ID and field. A value is
+ * only replaced when the input still holds the original the variation was made
+ * from; otherwise the input changed since generate and the value is skipped.
+ * With multiRow, values go to the top row of an entity only; the lines below it
+ * just follow a new handle.
+ * @param {Array<Object>} data - Rows of the input file
+ * @param {Array<string>} columns - Columns kept in the output, in file order
+ * @param {Map} variationsById - Approved variation rows by ID
+ * @param {Object} options - Merge options
+ * @param {boolean} options.multiRow - Treat consecutive rows with the same ID as one entity
+ * @returns {Object} The merged rows, the changed cells and the skipped ones
+ */
+function mergeVariations(data, columns, variationsById, { multiRow = false } = {}) {
+    const changes = [];
+    const conflicts = [];
+    let top = null;
+
+    const rows = data.map((row, index) => {
+        const merged = {};
+        columns.forEach((column) => (merged[column] = row[column]));
+
+        if (multiRow && isContinuationRow(row, data[index - 1])) {
+            if (row[HANDLE_COLUMN] === top.row[HANDLE_COLUMN]) {
+                merged[HANDLE_COLUMN] = top.merged[HANDLE_COLUMN];
+            }
+            return merged;
+        }
+        top = { row, merged };
+
+        const variation = variationsById.get(row.ID);
+        if (!variation || !variation.duplicateFields) {
+            return merged;
+        }
+
+        variation.duplicateFields.split(',').forEach((field) => {
+            const value = variation[field];
+            if (!columns.includes(field) || value === undefined || value === row[field]) {
+                return;
+            }
+
+            // Hand-edited variation files may lack the original; then the value is used as is
+            const original = variation[`original_${field}`];
+            const change = { ID: row.ID, Handle: row.Handle, field, original: row[field], value };
+            if (original !== undefined && original !== row[field]) {
+                conflicts.push(change);
+                return;
+            }
+
+            merged[field] = value;
+            changes.push(change);
+        });
+        return merged;
+    });
+
+    return { rows, changes, conflicts };
+}
+
+/**
+ * Write the approved variations back into the input files, keeping their columns
+ * and row order and leaving out the helper columns this tool adds. With several
+ * input files each gets its own output, named after the file. Every replaced cell
+ * is listed in the change log, and every changed handle gets a URL redirect.
+ * @param {Object} config - Resolved run configuration
+ * @returns {Promise<Object>} The updated rows, the number of replaced values, the
+ * changes, the values skipped because the input changed and the redirects
+ */
+async function apply(config) {
+    const inputPaths = getInputPaths(config);
+    const variations = readApprovedVariations(config);
+    const rows = [];
+    const changes = [];
+    const conflicts = [];
+    const handleChanges = [];
+    const inputHandles = [];
+    let changeLogDialect = null;
+
+    inputPaths.forEach((inputPath) => {
+        log.time('Parsing CSV');
+        const { data, fields, dialect } = parseCSV(inputPath, {
+            dialect: getDialectOverrides(config)
+        });
+        log.timeEnd('Parsing CSV');
+
+        const columns = fields.filter((column) => !isHelperColumn(column));
+        if (columns.length < fields.length) {
+            log.info(
+                `Leaving out ${fields.length - columns.length} helper columns of ${inputPath}`
+            );
+        }
+
+        // Variations from a multi-file run name the file their row came from
+        const variationsById = new Map(
+            variations.filter((row) => isFromInput(row, inputPath)).map((row) => [row.ID, row])
+        );
+        const merged = mergeVariations(data, columns, variationsById, {
+            multiRow: config.multiRow
+        });
+        const source = inputPaths.length > 1 ? { [SOURCE_COLUMN]: inputPath } : {};
+
+        merged.conflicts.forEach((conflict) => {
+            log.event(
+                'apply.conflict',
+                { id: conflict.ID, field: conflict.field, ...source },
+                {
+                    level: 'warn',
+                    message:
+                        `Skipping ID ${conflict.ID} - ${conflict.field}: ` +
+                        'the input no longer holds the value the variation was made from'
+                }
+            );
+        });
+
+        const outputPath =
+            inputPaths.length > 1
+                ? getOutputPathForInput(config.appliedOutputPath, inputPath)
+                : config.appliedOutputPath;
+
+        log.time('Writing results');
+        writeToCSV(merged.rows, outputPath, { columns, dialect });
+        log.timeEnd('Writing results');
+
+        log.info(`Replaced ${merged.changes.length} values and wrote ${outputPath}`);
+        const fileHandleChanges = merged.changes.filter(({ field }) => field === HANDLE_COLUMN);
+        if (fileHandleChanges.length > 0) {
+            const { urlPrefix: prefix } = ENTITIES[resolveEntity(config, inputPath)];
+            handleChanges.push(...fileHandleChanges.map((change) => ({ ...change, prefix })));
+        }
+        inputHandles.push(...getEntityRows(data, config).map((row) => row[HANDLE_COLUMN]));
+
+        rows.push(...merged.rows);
+        changes.push(...merged.changes.map((change) => ({ ...change, ...source })));
+        conflicts.push(...merged.conflicts.map((conflict) => ({ ...conflict, ...source })));
+        changeLogDialect = changeLogDialect || dialect;
+    });
+
+    const changeLogColumns = ['ID', 'Handle', 'field', 'original', 'value'];
+    if (inputPaths.length > 1) {
+        changeLogColumns.push(SOURCE_COLUMN);
+    }
+    writeToCSV(changes, config.changeLogPath, {
+        columns: changeLogColumns,
+        dialect: changeLogDialect
+    });
+    const redirects = writeRedirects(handleChanges, inputHandles, config);
+
+    if (conflicts.length > 0) {
+        log.warn(
+            `${conflicts.length} values were skipped because the input changed after they were ` +
+                'generated. Run generate again for those rows'
+        );
+    }
+
+    return { rows, replaced: changes.length, changes, conflicts, redirects };
+}
+
+/**
+ * Work out the Matrixify entity of an input file from the setting or the file itself
+ * @param {Object} config - Resolved run configuration
+ * @param {string} inputPath - The input file
+ * @returns {string} Entity key from ENTITIES
+ */
+function resolveEntity(config, inputPath) {
+    if (config.entity && config.entity !== 'auto') {
+        return config.entity;
+    }
+    if (!fs.existsSync(inputPath)) {
+        throw new Error(
+            `Cannot detect the Matrixify sheet without the input file ${inputPath}. ` +
+                `Set --entity to one of: ${Object.keys(ENTITIES).join(', ')}`
+        );
+    }
+
+    const { data } = parseCSV(inputPath, { preview: 1, dialect: getDialectOverrides(config) });
+    return detectEntity(data.length > 0 ? Object.keys(data[0]) : [], inputPath);
+}
+
+/**
+ * Turn the variations file into a Matrixify import file. The variations of each
+ * input file go to the sheet of that file's entity; changed handles get URL redirects.
+ * @param {Object} config - Resolved run configuration
+ * @returns {Promise<Object>} The sheets that were written, each with entity and rows, and
+ * the redirects
+ */
+async function exportMatrixify(config) {
+    const inputPaths = getInputPaths(config);
+    const variations = readApprovedVariations(config);
+    const sheetsByEntity = new Map();
+    const handleChanges = [];
+
+    inputPaths.forEach((inputPath) => {
+        const entity = resolveEntity(config, inputPath);
+        const fileVariations = variations.filter((row) => isFromInput(row, inputPath));
+
+        fileVariations
+            .filter(
+                (row) =>
+                    (row.duplicateFields || '').split(',').includes(HANDLE_COLUMN) &&
+                    row[HANDLE_COLUMN] &&
+                    row[HANDLE_COLUMN] !== row[`original_${HANDLE_COLUMN}`]
+            )
+            .forEach((row) =>
+                handleChanges.push({
+                    original: row[`original_${HANDLE_COLUMN}`],
+                    value: row[HANDLE_COLUMN],
+                    prefix: ENTITIES[entity].urlPrefix
+                })
+            );
+
+        if (!sheetsByEntity.has(entity)) sheetsByEntity.set(entity, { entity, rows: [] });
+        sheetsByEntity.get(entity).rows.push(...buildMatrixifyRows(fileVariations));
+    });
+
+    const sheets = [...sheetsByEntity.values()];
+    const problems = sheets.flatMap(({ entity, rows }) =>
+        validateMatrixifyRows(rows, entity).map((problem) =>
+            sheets.length > 1 ? `${ENTITIES[entity].sheet}: ${problem}` : problem
+        )
+    );
+    if (problems.length > 0) {
+        problems.forEach((problem) => log.error(problem));
+        throw new Error(
+            `The Matrixify file would not import: ${problems.length} problem(s), nothing written`
+        );
+    }
+
+    sheets.forEach(({ entity, rows }) =>
+        log.info(
+            `Exporting ${rows.length} rows for the Matrixify "${ENTITIES[entity].sheet}" sheet`
+        )
+    );
+    await writeMatrixifyFile(sheets, config.exportOutputPath);
+    log.info(`Exported to ${config.exportOutputPath}`);
+
+    // Handles still used by rows of the input keep their URL, so they get no redirect
+    const existingInputs = inputPaths.filter((inputPath) => fs.existsSync(inputPath));
+    const inputHandles =
+        handleChanges.length > 0 && existingInputs.length > 0
+            ? getEntityRows(
+                  parseCSVFiles(existingInputs, { dialect: getDialectOverrides(config) }).data,
+                  config
+              ).map((row) => row[HANDLE_COLUMN])
+            : [];
+    const redirects = writeRedirects(handleChanges, inputHandles, config);
+
+    return { sheets, redirects };
+}
+
+/**
+ * Count the entities in a marked output file without loading it, leaving out the lines
+ * that continue a multi-row entity unless multiRow is off
+ * @param {string} filePath - Path of the marked output file
+ * @param {Object} config - Resolved run configuration
+ * @returns {Promise<number>} The number of entities
+ */
+async function countEntities(filePath, config) {
+    let previous = null;
+    let count = 0;
+    await streamCSV(filePath, (row) => {
+        if (!config.multiRow || !isContinuationRow(row, previous)) count++;
+        previous = row;
+    });
+    return count;
+}
+
+/**
+ * Write the duplicate report again from the files of an earlier run, e.g. after
+ * reviewing or regenerating variations
+ * @param {Object} config - Resolved run configuration
+ * @returns {Promise<Object>} The report
+ */
+async function report(config) {
+    if (!fs.existsSync(config.groupsOutputPath)) {
+        throw new Error(
+            `No duplicate groups file at ${config.groupsOutputPath}. Run detect or generate first`
+        );
+    }
+
+    const { data: groupRows } = parseCSV(config.groupsOutputPath);
+    const variations = fs.existsSync(config.variationsOutputPath)
+        ? parseCSV(config.variationsOutputPath).data
+        : null;
+    const rows = fs.existsSync(config.outputPath)
+        ? await countEntities(config.outputPath, config)
+        : undefined;
+
+    const built = buildReport(groupRows, variations, { inputs: getInputPaths(config), rows });
+    writeReport(built, config.reportPath);
+    return built;
+}
+
+/**
+ * Review the generated variations in the terminal. Decisions are saved as they
+ * are made; regenerated values are written back to the variations file.
+ * @param {Object} config - Resolved run configuration
+ * @returns {Promise<Object>} Counts per decision
+ */
+async function review(config) {
+    const { data: variations, dialect } = parseCSV(config.variationsOutputPath);
+    const decisions = openDecisions(config.decisionsPath);
+
+    const items = getReviewItems(variations).filter(
+        (item) => config.reviewAll || !decisions.get(item.row, item.field, item.variation)
+    );
+    if (items.length === 0) {
+        log.info(`Nothing to review in ${config.variationsOutputPath}`);
+        return { accepted: 0, rejected: 0, edited: 0, regenerated: 0, skipped: 0 };
+    }
+
+    // The provider and the uniqueness checks are only set up when a value is regenerated
+    let context = null;
+
+    /**
+     * Key of a row across input files
+     * @param {Object} row - Input or variation row
+     * @returns {string} The source file and ID
+     */
+    const rowKey = (row) => `${row[SOURCE_COLUMN] || ''}:${row.ID}`;
+
+    /**
+     * Generate a new variation for an item and save it in the variations file
+     * @param {Object} item - Item from getReviewItems
+     * @returns {Promise<Object>} Result from generateCheckedVariation
+     */
+    const regenerate = async (item) => {
+        if (item.field === HANDLE_COLUMN) {
+            return {
+                variation: item.variation,
+                status: item.status,
+                issue: 'handles are made from the title, not generated; edit it instead'
+            };
+        }
+        if (!context) {
+            const inputPaths = getInputPaths(config).filter((inputPath) =>
+                fs.existsSync(inputPath)
+            );
+            const { data: parsed } =
+                inputPaths.length > 0
+                    ? parseCSVFiles(inputPaths, { dialect: getDialectOverrides(config) })
+                    : { data: [] };
+            const data = getEntityRows(parsed, config);
+            const groupOf = createFieldGroups(config.fieldGroups);
+            const { occurrenceMap } = findDuplicatesInData(
+                data,
+                [...config.excludedFields, SOURCE_COLUMN],
+                { groupOf }
+            );
+            const registry = createUniquenessRegistry(occurrenceMap, null, groupOf);
+            getReviewItems(variations).forEach(({ row, field, variation }) =>
+                registry.accept(field, variation, row.ID)
+            );
+
+            context = {
+                // A regenerated value should differ from the one being reviewed
+                provider: createRunProvider(config, { refresh: true }),
+                glossary: loadRunGlossary(config),
+                registry,
+                inputByKey: new Map(data.map((row) => [rowKey(row), row]))
+            };
+        }
+
+        // Use the full input row for {{row.<Column>}} placeholders when it is available
+        const row = {
+            ...(context.inputByKey.get(rowKey(item.row)) || item.row),
+            [item.field]: item.original
+        };
+        const locale = resolveRowLocale(row, {
+            locale: config.locale,
+            localeColumn: config.localeColumn,
+            availableLocales: getAvailableLocales(),
+            fallbackLocale: DEFAULT_LOCALE
+        });
+
+        const result = await generateCheckedVariation(row, item.field, context.provider, {
+            registry: context.registry,
+            maxRetries: config.maxRetries,
+            retryDelay: config.retryDelay,
+            htmlMode: config.htmlMode,
+            locale,
+            promptMapping: config.promptMapping,
+            templatesDir: config.templatesDir,
+            glossary: context.glossary
+        });
+        if (result.status === 'generated' || result.status === 'not-unique') {
+            context.registry.accept(item.field, result.variation, item.row.ID);
+        }
+
+        updateVariationRow(item.row, item.field, result);
+        writeToCSV(variations, config.variationsOutputPath, { dialect });
+        return result;
+    };
+
+    const counts = await runReview(items, decisions, { regenerate });
+    log.info(
+        `Accepted ${counts.accepted}, rejected ${counts.rejected}, edited ${counts.edited}, ` +
+            `regenerated ${counts.regenerated}, skipped ${counts.skipped}. ` +
+            `Decisions saved in ${config.decisionsPath}`
+    );
+
+    return counts;
+}
+
+/**
+ * Remove cached replies that were not used for config.cacheMaxAge days
+ * @param {Object} config - Resolved run configuration
+ * @returns {Object} Number of removed and kept entries and the bytes freed
+ */
+function pruneReplyCache(config) {
+    const result = pruneCache(config.cacheDir, { maxAge: config.cacheMaxAge });
+    log.info(
+        `Removed ${result.removed} cached replies (${(result.bytes / 1024).toFixed(1)} KB), ` +
+            `kept ${result.kept} in ${config.cacheDir}`
+    );
+    return result;
+}
+
+// Subcommands available on the command line
+const COMMANDS = {
+    detect: {
+        run: detect,
+        description: 'Find duplicate values and write them with duplicate markers'
+    },
+    generate: {
+        run: generate,
+        description: 'Find duplicates and generate unique variations with AI (default)'
+    },
+    review: {
+        run: review,
+        description: 'Accept, reject, edit or regenerate each variation in the terminal'
+    },
+    apply: {
+        run: apply,
+        description: 'Write the variations file back into the input file'
+    },
+    export: {
+        run: exportMatrixify,
+        description: 'Write the variations as a Matrixify import file (CSV or XLSX)'
+    },
+    report: {
+        run: report,
+        description: 'Write the HTML and JSON duplicate report from the files of an earlier run'
+    },
+    'prune-cache': {
+        run: pruneReplyCache,
+        description: 'Remove cached model replies not used for --cache-max-age days'
+    }
+};
+
+export {
+    COMMANDS,
+    detect,
+    generate,
+    review,
+    apply,
+    exportMatrixify,
+    report,
+    pruneReplyCache,
+    runDetection
+};
@@ -0,0 +1,720 @@
+import fs from 'fs';
+import path from 'path';
+import YAML from 'yaml';
+
+// Default configuration, used when nothing else overrides a setting
+const DEFAULT_CONFIG = {
+    // Input/Output settings; inputPath can list several files to check against each other
+    inputPath: './smart-collections.csv',
+    outputPath: './found-duplicates.csv',
+    groupsOutputPath: './duplicate-groups.csv',
+
+    // Duplicate analysis report, written as <reportPath>.html and <reportPath>.json
+    report: true,
+    reportPath: './duplicate-report',
+    variationsOutputPath: './variations-output.csv',
+    appliedOutputPath: './applied-output.csv',
+    changeLogPath: './applied-changes.csv',
+    journalPath: './variations-journal.jsonl',
+    exportOutputPath: './matrixify-import.csv',
+    decisionsPath: './review-decisions.json',
+
+    // URL redirects for changed handles, as a Matrixify Redirects sheet or a Shopify import
+    redirectsPath: './url-redirects.csv',
+    redirectsFormat: 'matrixify',
+
+    // Review: show already decided values again, and only apply/export approved values
+    reviewAll: false,
+    requireApproval: true,
+
+    // Matrixify sheet of the input (smart-collections, custom-collections or products), "auto" detects it
+    entity: 'auto',
+
+    // CSV dialect of the input files, "auto" detects it; output files are written in the same one
+    delimiter: 'auto',
+    encoding: 'auto',
+    newline: 'auto',
+
+    // Processing settings: requests kept in flight, requests per minute (0 = no limit)
+    // and milliseconds before a request is abandoned (0 = no timeout)
+    concurrency: 5,
+    rateLimit: 0,
+    requestTimeout: 120000,
+    excludedFields: ['Handle', 'ID', 'Command'],
+
+    // Retries for failed requests and rejected variations, with exponential backoff
+    maxRetries: 3,
+    retryDelay: 1000,
+
+    // Rewrite HTML fields as a whole (raw) or only their text segments (segments)
+    htmlMode: 'raw',
+
+    // Ask for the variants of rows sharing the same value in one request instead of one per row
+    groupMode: false,
+
+    // Give rows with the same or near-identical handles (e.g. "sale" and "sale-1") a new
+    // handle made from their title
+    handleMode: false,
+
+    // Prompt locale ("auto" detects it per row) and an optional column with each row's locale
+    locale: 'nl',
+    localeColumn: undefined,
+
+    // Custom prompt templates and which template each column uses (config file only), e.g.
+    // [{ match: 'SEO Title Tag', template: 'title' }, { match: '/^Metafield:/i', template: 'metafield', type: 'general' }]
+    templatesDir: undefined,
+    promptMapping: [],
+
+    // JSON or YAML file with terms rewrites must keep, must contain or may not add
+    glossaryPath: undefined,
+
+    // Model settings; host, apiKey and generation options use the provider defaults when unset
+    provider: 'ollama',
+    host: undefined,
+    model: 'gemma3:4b',
+    apiKey: undefined,
+    temperature: undefined,
+    seed: undefined,
+    numCtx: undefined,
+
+    // Continue from the journal of an earlier run instead of starting over
+    resume: false,
+
+    // Replies are cached on disk per provider, model, prompt and options; refresh asks
+    // the model again and replaces the cached reply. prune-cache removes entries not
+    // used for cacheMaxAge days.
+    cache: true,
+    refresh: false,
+    cacheDir: './.fix-duplicates-cache',
+    cacheMaxAge: 30,
+
+    // Duplicate detection settings; stream reads the input twice instead of loading it
+    stream: false,
+
+    // Consecutive rows with the same ID (or Handle) are one entity, like the variant and image
+    // lines of a product in a Matrixify export; only the top row is compared and changed
+    multiRow: false,
+    similarityMode: 'exact',
+    similarityThreshold: 0.8,
+    shingleSize: 3,
+
+    // Which occurrence of a duplicate keeps its value: the first, the one with the highest
+    // (max) or lowest (min) canonicalColumn, or a comparator module (custom). Rows whose
+    // ID or Handle is in protectedRows always keep theirs.
+    canonicalStrategy: 'first',
+    canonicalColumn: undefined,
+    canonicalComparator: undefined,
+    protectedRows: [],
+
+    // Columns whose values are compared with each other (config file only), e.g.
+    // [['Title', 'SEO Title'], { name: 'descriptions', fields: ['Body HTML', 'Metafield: description_tag [string]'] }]
+    fieldGroups: [],
+
+    // Logging settings: console detail, a JSONL file with structured entries (off when
+    // unset) and a JSON manifest of every run
+    verbose: true,
+    logFile: undefined,
+    manifest: true,
+    manifestPath: './run-manifest.json'
+};
+
+// Config files looked up in the working directory when --config is not given
+const CONFIG_FILE_NAMES = [
+    'fix-duplicates.config.json',
+    'fix-duplicates.config.yaml',
+    'fix-duplicates.config.yml'
+];
+
+/**
+ * Settings that can be changed from the command line and the environment.
+ * The same table drives argument parsing, environment variables and --help.
+ */
+const OPTIONS = [
+    {
+        key: 'inputPath',
+        flag: 'input',
+        alias: 'i',
+        env: 'FIX_DUPLICATES_INPUT',
+        type: 'list',
+        description: 'CSV file to read; separate several files with commas'
+    },
+    {
+        key: 'outputPath',
+        flag: 'output',
+        alias: 'o',
+        env: 'FIX_DUPLICATES_OUTPUT',
+        type: 'string',
+        description: 'CSV file with all rows and duplicate markers'
+    },
+    {
+        key: 'groupsOutputPath',
+        flag: 'groups-output',
+        env: 'FIX_DUPLICATES_GROUPS_OUTPUT',
+        type: 'string',
+        description: 'CSV file listing every duplicate group with its file, row and column'
+    },
+    {
+        key: 'report',
+        flag: 'report',
+        env: 'FIX_DUPLICATES_REPORT',
+        type: 'boolean',
+        description: 'Write the HTML and JSON duplicate report (use --no-report to skip)'
+    },
+    {
+        key: 'reportPath',
+        flag: 'report-path',
+        env: 'FIX_DUPLICATES_REPORT_PATH',
+        type: 'string',
+        description: 'Path of the duplicate report, without extension'
+    },
+    {
+        key: 'variationsOutputPath',
+        flag: 'variations',
+        env: 'FIX_DUPLICATES_VARIATIONS',
+        type: 'string',
+        description: 'CSV file with the generated variations'
+    },
+    {
+        key: 'appliedOutputPath',
+        flag: 'applied-output',
+        env: 'FIX_DUPLICATES_APPLIED_OUTPUT',
+        type: 'string',
+        description: 'CSV file written by the apply command'
+    },
+    {
+        key: 'changeLogPath',
+        flag: 'change-log',
+        env: 'FIX_DUPLICATES_CHANGE_LOG',
+        type: 'string',
+        description: 'CSV file listing every cell the apply command changed'
+    },
+    {
+        key: 'redirectsPath',
+        flag: 'redirects',
+        env: 'FIX_DUPLICATES_REDIRECTS',
+        type: 'string',
+        description: 'CSV file with URL redirects for the handles that apply or export changed'
+    },
+    {
+        key: 'redirectsFormat',
+        flag: 'redirects-format',
+        env: 'FIX_DUPLICATES_REDIRECTS_FORMAT',
+        type: 'string',
+        choices: ['matrixify', 'shopify'],
+        description: 'Redirects file for a Matrixify import or the Shopify redirect import'
+    },
+    {
+        key: 'journalPath',
+        flag: 'journal',
+        env: 'FIX_DUPLICATES_JOURNAL',
+        type: 'string',
+        description: 'JSONL file that records every completed field'
+    },
+    {
+        key: 'exportOutputPath',
+        flag: 'export-output',
+        env: 'FIX_DUPLICATES_EXPORT_OUTPUT',
+        type: 'string',
+        description: 'Matrixify import file written by export (.csv or .xlsx)'
+    },
+    {
+        key: 'decisionsPath',
+        flag: 'decisions',
+        env: 'FIX_DUPLICATES_DECISIONS',
+        type: 'string',
+        description: 'JSON file with the review decisions'
+    },
+    {
+        key: 'reviewAll',
+        flag: 'review-all',
+        env: 'FIX_DUPLICATES_REVIEW_ALL',
+        type: 'boolean',
+        description: 'Review values that already have a decision again'
+    },
+    {
+        key: 'requireApproval',
+        flag: 'require-approval',
+        env: 'FIX_DUPLICATES_REQUIRE_APPROVAL',
+        type: 'boolean',
+        description: 'Only apply and export values approved in review'
+    },
+    {
+        key: 'entity',
+        flag: 'entity',
+        env: 'FIX_DUPLICATES_ENTITY',
+        type: 'string',
+        choices: ['auto', 'smart-collections', 'custom-collections', 'products'],
+        description: 'Matrixify sheet of the input file'
+    },
+    {
+        key: 'delimiter',
+        flag: 'delimiter',
+        env: 'FIX_DUPLICATES_DELIMITER',
+        type: 'string',
+        description: 'Delimiter of the input files: auto, tab or a character such as ;'
+    },
+    {
+        key: 'encoding',
+        flag: 'encoding',
+        env: 'FIX_DUPLICATES_ENCODING',
+        type: 'string',
+        choices: ['auto', 'utf-8', 'utf-16le', 'windows-1252'],
+        description: 'Encoding of the input files'
+    },
+    {
+        key: 'newline',
+        flag: 'newline',
+        env: 'FIX_DUPLICATES_NEWLINE',
+        type: 'string',
+        choices: ['auto', 'lf', 'crlf', 'cr'],
+        description: 'Line ending of the input files'
+    },
+    {
+        key: 'resume',
+        flag: 'resume',
+        alias: 'r',
+        env: 'FIX_DUPLICATES_RESUME',
+        type: 'boolean',
+        description: 'Skip fields already completed in the journal'
+    },
+    {
+        key: 'cache',
+        flag: 'cache',
+        env: 'FIX_DUPLICATES_CACHE',
+        type: 'boolean',
+        description: 'Reuse cached model replies (use --no-cache to always ask the model)'
+    },
+    {
+        key: 'refresh',
+        flag: 'refresh',
+        env: 'FIX_DUPLICATES_REFRESH',
+        type: 'boolean',
+        description: 'Ask the model again and replace the cached replies'
+    },
+    {
+        key: 'cacheDir',
+        flag: 'cache-dir',
+        env: 'FIX_DUPLICATES_CACHE_DIR',
+        type: 'string',
+        description: 'Directory of the reply cache'
+    },
+    {
+        key: 'cacheMaxAge',
+        flag: 'cache-max-age',
+        env: 'FIX_DUPLICATES_CACHE_MAX_AGE',
+        type: 'number',
+        description: 'Days an unused cached reply is kept by prune-cache (0 removes all)'
+    },
+    {
+        key: 'concurrency',
+        flag: 'concurrency',
+        env: 'FIX_DUPLICATES_CONCURRENCY',
+        type: 'number',
+        description: 'Number of requests kept in flight'
+    },
+    {
+        key: 'rateLimit',
+        flag: 'rate-limit',
+        env: 'FIX_DUPLICATES_RATE_LIMIT',
+        type: 'number',
+        description: 'Maximum requests per minute to the provider (0 for no limit)'
+    },
+    {
+        key: 'requestTimeout',
+        flag: 'request-timeout',
+        env: 'FIX_DUPLICATES_REQUEST_TIMEOUT',
+        type: 'number',
+        description: 'Milliseconds before a request is abandoned and retried (0 for no timeout)'
+    },
+    {
+        key: 'maxRetries',
+        flag: 'max-retries',
+        env: 'FIX_DUPLICATES_MAX_RETRIES',
+        type: 'number',
+        min: 0,
+        description: 'Times to retry a failed request or rejected variation'
+    },
+    {
+        key: 'retryDelay',
+        flag: 'retry-delay',
+        env: 'FIX_DUPLICATES_RETRY_DELAY',
+        type: 'number',
+        description: 'Milliseconds before the first retry, doubled on each retry'
+    },
+    {
+        key: 'htmlMode',
+        flag: 'html-mode',
+        env: 'FIX_DUPLICATES_HTML_MODE',
+        type: 'string',
+        choices: ['raw', 'segments'],
+        description: 'Rewrite HTML as a whole (raw) or only its text nodes (segments)'
+    },
+    {
+        key: 'groupMode',
+        flag: 'group-mode',
+        env: 'FIX_DUPLICATES_GROUP_MODE',
+        type: 'boolean',
+        description: 'Generate the variants of rows sharing a value together in one request'
+    },
+    {
+        key: 'handleMode',
+        flag: 'handle-mode',
+        env: 'FIX_DUPLICATES_HANDLE_MODE',
+        type: 'boolean',
+        description: 'Propose new handles for rows with the same or near-identical handles'
+    },
+    {
+        key: 'locale',
+        flag: 'locale',
+        alias: 'l',
+        env: 'FIX_DUPLICATES_LOCALE',
+        type: 'string',
+        description: 'Prompt locale (nl, en, de, fr, ...) or auto to detect it per row'
+    },
+    {
+        key: 'localeColumn',
+        flag: 'locale-column',
+        env: 'FIX_DUPLICATES_LOCALE_COLUMN',
+        type: 'string',
+        description: 'Column with the locale of each row, overrides --locale'
+    },
+    {
+        key: 'templatesDir',
+        flag: 'templates-dir',
+        env: 'FIX_DUPLICATES_TEMPLATES_DIR',
+        type: 'string',
+        description: 'Directory with custom prompt templates, searched first'
+    },
+    {
+        key: 'glossaryPath',
+        flag: 'glossary',
+        env: 'FIX_DUPLICATES_GLOSSARY',
+        type: 'string',
+        description: 'JSON or YAML file with protected, required and forbidden terms'
+    },
+    {
+        key: 'provider',
+        flag: 'provider',
+        alias: 'p',
+        env: 'FIX_DUPLICATES_PROVIDER',
+        type: 'string',
+        choices: ['ollama', 'openai', 'mock'],
+        description: 'LLM backend: ollama, openai (any compatible server) or mock'
+    },
+    {
+        key: 'host',
+        flag: 'host',
+        env: 'FIX_DUPLICATES_HOST',
+        type: 'string',
+        description: 'Server URL of the LLM backend'
+    },
+    {
+        key: 'model',
+        flag: 'model',
+        alias: 'm',
+        env: 'FIX_DUPLICATES_MODEL',
+        type: 'string',
+        description: 'Model used to generate variations'
+    },
+    {
+        key: 'apiKey',
+        flag: 'api-key',
+        env: 'FIX_DUPLICATES_API_KEY',
+        type: 'string',
+        description: 'API key for OpenAI-compatible servers'
+    },
+    {
+        key: 'temperature',
+        flag: 'temperature',
+        env: 'FIX_DUPLICATES_TEMPERATURE',
+        type: 'number',
+        description: 'Sampling temperature'
+    },
+    {
+        key: 'seed',
+        flag: 'seed',
+        env: 'FIX_DUPLICATES_SEED',
+        type: 'number',
+        description: 'Random seed for reproducible output'
+    },
+    {
+        key: 'numCtx',
+        flag: 'num-ctx',
+        env: 'FIX_DUPLICATES_NUM_CTX',
+        type: 'number',
+        description: 'Context window size (Ollama only)'
+    },
+    {
+        key: 'excludedFields',
+        flag: 'exclude',
+        alias: 'x',
+        env: 'FIX_DUPLICATES_EXCLUDE',
+        type: 'list',
+        description: 'Comma-separated fields to skip when looking for duplicates'
+    },
+    {
+        key: 'stream',
+        flag: 'stream',
+        env: 'FIX_DUPLICATES_STREAM',
+        type: 'boolean',
+        description: 'Stream large files in two passes instead of loading them (exact mode)'
+    },
+    {
+        key: 'multiRow',
+        flag: 'multi-row',
+        env: 'FIX_DUPLICATES_MULTI_ROW',
+        type: 'boolean',
+        description: 'Compare entities spread over rows with the same ID by their top row'
+    },
+    {
+        key: 'similarityMode',
+        flag: 'similarity',
+        env: 'FIX_DUPLICATES_SIMILARITY',
+        type: 'string',
+        choices: ['exact', 'fuzzy'],
+        description: 'Duplicate detection mode: exact or fuzzy'
+    },
+    {
+        key: 'similarityThreshold',
+        flag: 'threshold',
+        env: 'FIX_DUPLICATES_THRESHOLD',
+        type: 'number',
+        description: 'Minimum similarity (0-1) for fuzzy duplicates'
+    },
+    {
+        key: 'shingleSize',
+        flag: 'shingle-size',
+        env: 'FIX_DUPLICATES_SHINGLE_SIZE',
+        type: 'number',
+        description: 'Characters per shingle for fuzzy duplicates'
+    },
+    {
+        key: 'canonicalStrategy',
+        flag: 'canonical',
+        env: 'FIX_DUPLICATES_CANONICAL',
+        type: 'string',
+        choices: ['first', 'max', 'min', 'custom'],
+        description: 'Which occurrence keeps its value: first, max, min or custom'
+    },
+    {
+        key: 'canonicalColumn',
+        flag: 'canonical-column',
+        env: 'FIX_DUPLICATES_CANONICAL_COLUMN',
+        type: 'string',
+        description: 'Column to maximise or minimise, e.g. "Products Count" or "Created At"'
+    },
+    {
+        key: 'canonicalComparator',
+        flag: 'canonical-comparator',
+        env: 'FIX_DUPLICATES_CANONICAL_COMPARATOR',
+        type: 'string',
+        description: 'JavaScript module exporting a comparator (a, b) => number, for custom'
+    },
+    {
+        key: 'protectedRows',
+        flag: 'protect',
+        env: 'FIX_DUPLICATES_PROTECT',
+        type: 'list',
+        description: 'Comma-separated IDs or handles of rows that always keep their values'
+    },
+    {
+        key: 'verbose',
+        flag: 'verbose',
+        alias: 'v',
+        env: 'FIX_DUPLICATES_VERBOSE',
+        type: 'boolean',
+        description: 'Log progress details (use --no-verbose to silence)'
+    },
+    {
+        key: 'logFile',
+        flag: 'log-file',
+        env: 'FIX_DUPLICATES_LOG_FILE',
+        type: 'string',
+        description: 'Also append structured JSON log lines to this file'
+    },
+    {
+        key: 'manifest',
+        flag: 'manifest',
+        env: 'FIX_DUPLICATES_MANIFEST',
+        type: 'boolean',
+        description: 'Write the run manifest (use --no-manifest to skip)'
+    },
+    {
+        key: 'manifestPath',
+        flag: 'manifest-path',
+        env: 'FIX_DUPLICATES_MANIFEST_PATH',
+        type: 'string',
+        description: 'JSON file recording the config, inputs, counts, timings and errors of the run'
+    }
+];
+
+/**
+ * Check that a number is not below the minimum of its option
+ * @param {Object} option - Option definition from OPTIONS
+ * @param {number} number - The value
+ * @param {string} source - Where the value came from, used in error messages
+ * @returns {number} The value
+ */
+function checkMinimum(option, number, source) {
+    if (option.min !== undefined && number < option.min) {
+        throw new Error(`${source} expects a number of at least ${option.min}, got ${number}`);
+    }
+    return number;
+}
+
+/**
+ * Convert a raw string value to the type an option expects
+ * @param {Object} option - Option definition from OPTIONS
+ * @param {string} value - The raw value
+ * @param {string} source - Where the value came from, used in error messages
+ * @returns {*} The converted value
+ */
+function coerceOptionValue(option, value, source) {
+    switch (option.type) {
+        case 'number': {
+            const number = Number(value);
+            if (value === '' || Number.isNaN(number)) {
+                throw new Error(`${source} expects a number, got "${value}"`);
+            }
+            return checkMinimum(option, number, source);
+        }
+        case 'boolean': {
+            const normalized = String(value).toLowerCase();
+            if (['true', '1', 'yes', 'on'].includes(normalized)) return true;
+            if (['false', '0', 'no', 'off'].includes(normalized)) return false;
+            throw new Error(`${source} expects true or false, got "${value}"`);
+        }
+        case 'list':
+            return String(value)
+                .split(',')
+                .map((item) => item.trim())
+                .filter(Boolean);
+        case 'string':
+        default:
+            if (option.choices && !option.choices.includes(value)) {
+                throw new Error(
+                    `${source} expects one of ${option.choices.join(', ')}, got "${value}"`
+                );
+            }
+            return String(value);
+    }
+}
+
+/**
+ * Find the config file to load
+ * @param {string} [configPath] - Explicit path given by the user
+ * @param {string} cwd - Directory to look for default config files in
+ * @returns {string|null} Path of the config file, or null if there is none
+ */
+function findConfigFile(configPath, cwd) {
+    if (configPath) {
+        const resolved = path.resolve(cwd, configPath);
+        if (!fs.existsSync(resolved)) {
+            throw new Error(`Config file not found: ${configPath}`);
+        }
+        return resolved;
+    }
+
+    for (const fileName of CONFIG_FILE_NAMES) {
+        const candidate = path.join(cwd, fileName);
+        if (fs.existsSync(candidate)) {
+            return candidate;
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Load settings from a JSON or YAML config file
+ * @param {string} filePath - Path to the config file
+ * @returns {Object} The settings from the file
+ */
+function loadConfigFile(filePath) {
+    const contents = fs.readFileSync(filePath, 'utf8');
+    const extension = path.extname(filePath).toLowerCase();
+
+    let settings;
+    try {
+        settings = extension === '.json' ? JSON.parse(contents) : YAML.parse(contents);
+    } catch (error) {
+        throw new Error(`Could not parse config file ${filePath}: ${error.message}`);
+    }
+
+    if (settings === null || settings === undefined) {
+        return {};
+    }
+    if (typeof settings !== 'object' || Array.isArray(settings)) {
+        throw new Error(`Config file ${filePath} must contain an object`);
+    }
+
+    return settings;
+}
+
+/**
+ * Read settings from environment variables
+ * @param {Object} env - Environment variables (usually process.env)
+ * @returns {Object} The settings found in the environment
+ */
+function readEnvConfig(env = {}) {
+    const settings = {};
+
+    OPTIONS.forEach((option) => {
+        if (option.env && env[option.env] !== undefined && env[option.env] !== '') {
+            settings[option.key] = coerceOptionValue(option, env[option.env], option.env);
+        }
+    });
+
+    return settings;
+}
+
+/**
+ * Build the configuration for a run.
+ * Precedence, lowest to highest: defaults, config file, environment variables, CLI flags.
+ * @param {Object} options - Sources to merge
+ * @param {Object} options.cliOptions - Settings given as command-line flags
+ * @param {string} options.configPath - Explicit config file path (--config)
+ * @param {Object} options.env - Environment variables
+ * @param {string} options.cwd - Working directory used to find and resolve files
+ * @returns {Object} The merged configuration
+ */
+function resolveConfig({
+    cliOptions = {},
+    configPath,
+    env = process.env,
+    cwd = process.cwd()
+} = {}) {
+    const configFile = findConfigFile(configPath, cwd);
+    const fileSettings = configFile ? loadConfigFile(configFile) : {};
+
+    // Config files written before requests were scheduled individually use batchSize
+    if (fileSettings.batchSize !== undefined && fileSettings.concurrency === undefined) {
+        fileSettings.concurrency = fileSettings.batchSize;
+    }
+    delete fileSettings.batchSize;
+
+    OPTIONS.forEach((option) => {
+        if (typeof fileSettings[option.key] === 'number') {
+            checkMinimum(option, fileSettings[option.key], `${option.key} in ${configFile}`);
+        }
+    });
+
+    return {
+        ...DEFAULT_CONFIG,
+        ...fileSettings,
+        ...readEnvConfig(env),
+        ...cliOptions,
+        configFile
+    };
+}
+
+export {
+    DEFAULT_CONFIG,
+    CONFIG_FILE_NAMES,
+    OPTIONS,
+    coerceOptionValue,
+    findConfigFile,
+    loadConfigFile,
+    readEnvConfig,
+    resolveConfig
+};
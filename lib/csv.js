@@ -1,52 +1,780 @@
 import fs from 'fs';
+import { Transform } from 'stream';
 import Papa from 'papaparse';
 import { log } from './logger.js';
 
+// Column added to rows read from several input files, naming the file each row came from
+const SOURCE_COLUMN = 'sourceFile';
+
+// Columns this tool adds to the rows it writes; original_<field> columns are added too
+const HELPER_COLUMNS = [
+    SOURCE_COLUMN,
+    'duplicate',
+    'duplicateFields',
+    'canonicalIds',
+    'clusterIds',
+    'similarityScores',
+    'variationStatus',
+    'variationIssues'
+];
+
+// Encodings that can be read and written, and the byte order marks they may start with
+const ENCODINGS = ['utf-8', 'utf-16le', 'windows-1252'];
+const BOMS = {
+    'utf-8': Buffer.from([0xef, 0xbb, 0xbf]),
+    'utf-16le': Buffer.from([0xff, 0xfe])
+};
+
+// Windows-1252 is Latin-1 except for 0x80-0x9F, which hold € and typographic characters.
+// Node decodes windows-1252 as Latin-1, so these are mapped here
+const WINDOWS_1252_UPPER =
+    '\u20ac\u0081\u201a\u0192\u201e\u2026\u2020\u2021\u02c6\u2030\u0160\u2039\u0152\u008d\u017d\u008f' +
+    '\u0090\u2018\u2019\u201c\u201d\u2022\u2013\u2014\u02dc\u2122\u0161\u203a\u0153\u009d\u017e\u0178';
+
+// Delimiters tried when none is set, and the names line endings can be given by
+const DELIMITERS = [',', ';', '\t', '|'];
+const NEWLINES = { lf: '\n', crlf: '\r\n', cr: '\r' };
+
+// Bytes read from the start of a file to detect its dialect
+const SAMPLE_SIZE = 64 * 1024;
+
+// How files without a dialect of their own are written: UTF-8, commas and \r\n, quoting
+// only the values that need it
+const DEFAULT_DIALECT = {
+    encoding: 'utf-8',
+    bom: false,
+    delimiter: ',',
+    newline: '\r\n',
+    finalNewline: false,
+    quoteHeader: false,
+    quoteAll: false,
+    quotedColumns: []
+};
+
+// Default parse options, shared by parseCSV and streamCSV. Values are not trimmed, so
+// whitespace around HTML survives a round trip
+const PARSE_OPTIONS = {
+    header: true,
+    skipEmptyLines: 'greedy',
+    dynamicTyping: false,
+    quotes: true,
+    quoteChar: '"',
+    escapeChar: '"'
+};
+
+/**
+ * Create a decoder for an encoding. The byte order mark is left out of the text, and
+ * bytes that are not valid in the encoding are an error rather than a replacement
+ * character, so a wrongly guessed encoding never changes the text unnoticed.
+ * @param {string} encoding - utf-8, utf-16le or windows-1252
+ * @param {string} source - What is decoded, for the error message, e.g. the file path
+ * @returns {Function} Decodes (bytes, stream), where stream says more bytes follow
+ */
+function createDecoder(encoding, source = 'The input') {
+    if (encoding === 'windows-1252') {
+        return (bytes) =>
+            bytes
+                .toString('latin1')
+                .replace(/[\x80-\x9f]/g, (char) => WINDOWS_1252_UPPER[char.charCodeAt(0) - 0x80]);
+    }
+
+    const decoder = new TextDecoder(encoding, { fatal: true });
+    return (bytes, stream = false) => {
+        try {
+            return decoder.decode(bytes, { stream });
+        } catch {
+            throw new Error(
+                `${source} is not valid ${encoding}. Set --encoding to the encoding it uses, ` +
+                    `e.g. windows-1252`
+            );
+        }
+    };
+}
+
+/**
+ * Scan CSV text for its layout: the header, the first line break, how the cells of each
+ * column are quoted and how many empty lines there are. Text can be added in chunks, so
+ * a whole file can be scanned while it streams past without keeping its rows.
+ * @param {string} delimiter - The delimiter
+ * @returns {Object} Scanner with add(text), end() for when the text is complete, and the
+ * layout so far: header cells with value and quoted, newline, number of data rows, empty
+ * lines, and per column the number of quoted cells and of cells quoted without needing it
+ */
+function createLayoutScanner(delimiter) {
+    const layout = { header: null, newline: null, rows: 0, emptyLines: 0, columns: [] };
+    let record = [];
+    let cell = null;
+    let inQuotes = false;
+    let quoteInQuotes = false;
+    let afterCR = false;
+
+    const startCell = () => {
+        cell = { value: '', quoted: false, needsQuotes: false, blank: true, atStart: true };
+    };
+
+    const endRecord = () => {
+        record.push(cell);
+        if (!layout.header) {
+            layout.header = record.map(({ value, quoted, needsQuotes }) => ({
+                value,
+                quoted,
+                needsQuotes
+            }));
+        } else if (record.every((entry) => !entry.quoted && entry.blank)) {
+            layout.emptyLines++;
+        } else {
+            layout.rows++;
+            record.forEach((entry, index) => {
+                if (!layout.columns[index]) layout.columns[index] = { quoted: 0, needless: 0 };
+                if (entry.quoted) layout.columns[index].quoted++;
+                if (entry.quoted && !entry.needsQuotes) layout.columns[index].needless++;
+            });
+        }
+        record = [];
+        startCell();
+    };
+
+    startCell();
+    return {
+        layout,
+
+        add(text) {
+            for (let i = 0; i < text.length; i++) {
+                const char = text[i];
+                if (afterCR) {
+                    afterCR = false;
+                    layout.newline = layout.newline || (char === '\n' ? '\r\n' : '\r');
+                    if (char === '\n') continue;
+                }
+
+                // A quote inside quotes ends them, unless another quote follows
+                if (quoteInQuotes) {
+                    quoteInQuotes = false;
+                    if (char === '"') {
+                        cell.value += layout.header ? '' : '"';
+                        cell.needsQuotes = true;
+                        continue;
+                    }
+                    inQuotes = false;
+                }
+
+                if (inQuotes) {
+                    if (char === '"') {
+                        quoteInQuotes = true;
+                    } else {
+                        if (!layout.header) cell.value += char;
+                        if (char === delimiter || char === '\r' || char === '\n') {
+                            cell.needsQuotes = true;
+                        }
+                    }
+                } else if (char === '"') {
+                    inQuotes = true;
+                    cell.quoted = cell.quoted || cell.atStart;
+                    cell.blank = false;
+                    cell.atStart = false;
+                } else if (char === delimiter) {
+                    record.push(cell);
+                    startCell();
+                } else if (char === '\r' || char === '\n') {
+                    if (char === '\r') afterCR = true;
+                    else layout.newline = layout.newline || '\n';
+                    endRecord();
+                } else {
+                    if (!layout.header) cell.value += char;
+                    if (char.trim() !== '') cell.blank = false;
+                    cell.atStart = false;
+                }
+            }
+        },
+
+        end() {
+            if (afterCR) layout.newline = layout.newline || '\r';
+            if (record.length > 0 || !cell.atStart) endRecord();
+        }
+    };
+}
+
+/**
+ * Work out how a file quotes its values from its layout: a column is quoted when all
+ * its values are, or when the header is and there are no rows
+ * @param {Object} layout - Layout from createLayoutScanner
+ * @returns {Object} quoteHeader, quoteAll and quotedColumns of the dialect
+ */
+function getQuoting({ header, rows, columns }) {
+    const cells = header || [];
+    const quoteHeader = cells.length > 0 && cells.every((cell) => cell.quoted);
+    const quotedColumns = cells
+        .filter((cell, index) =>
+            rows > 0 ? Boolean(columns[index]) && columns[index].quoted === rows : quoteHeader
+        )
+        .map((cell) => cell.value);
+
+    return {
+        quoteHeader,
+        quoteAll: cells.length > 0 && quotedColumns.length === cells.length,
+        quotedColumns
+    };
+}
+
+/**
+ * Warn about what writing a file back in its dialect cannot keep: empty lines, which are
+ * skipped when reading, and quotes that differ from the rest of their column
+ * @param {string} filePath - Path of the file
+ * @param {Object} layout - Layout of the whole file from createLayoutScanner
+ * @param {Object} dialect - The dialect the file is read and written in
+ */
+function reportLayout(filePath, { header, rows, emptyLines, columns }, dialect) {
+    if (emptyLines > 0) {
+        log.warn(`${filePath} has ${emptyLines} empty lines; they are left out of the output`);
+    }
+
+    const changed = (header || [])
+        .map((cell, index) => {
+            const stats = columns[index] || { quoted: 0, needless: 0 };
+            const count = dialect.quotedColumns.includes(cell.value)
+                ? rows - stats.quoted
+                : stats.needless;
+            return { column: cell.value, count };
+        })
+        .filter(({ count }) => count > 0);
+    if ((header || []).some((cell) => cell.quoted !== dialect.quoteHeader && !cell.needsQuotes)) {
+        changed.unshift({ column: 'the header', count: 1 });
+    }
+
+    if (changed.length > 0) {
+        log.warn(
+            `${filePath} quotes some values differently from the rest of their column; ` +
+                'these get the quoting of their column when written: ' +
+                changed.map(({ column, count }) => `${column} (${count})`).join(', ')
+        );
+    }
+}
+
+/**
+ * Guess the delimiter from the first line: the candidate found most often outside quotes
+ * @param {string} text - Start of the CSV text
+ * @returns {string} The delimiter, a comma when none is found
+ */
+function guessDelimiter(text) {
+    let best = ',';
+    let bestCount = 0;
+    let inQuotes = false;
+    const counts = new Map();
+
+    for (const char of text) {
+        if (char === '"') {
+            inQuotes = !inQuotes;
+        } else if (!inQuotes && (char === '\r' || char === '\n')) {
+            break;
+        } else if (!inQuotes && DELIMITERS.includes(char)) {
+            counts.set(char, (counts.get(char) || 0) + 1);
+        }
+    }
+    counts.forEach((count, delimiter) => {
+        if (count > bestCount) {
+            best = delimiter;
+            bestCount = count;
+        }
+    });
+    return best;
+}
+
+/**
+ * Guess the encoding of a file from its bytes: a byte order mark, else UTF-8 when the
+ * bytes are valid UTF-8, else Windows-1252
+ * @param {Buffer} bytes - The whole file, or its first bytes
+ * @param {boolean} complete - Whether the bytes are the whole file
+ * @returns {string} The encoding
+ */
+function guessEncoding(bytes, complete = false) {
+    const withBom = Object.keys(BOMS).find((encoding) =>
+        bytes.subarray(0, BOMS[encoding].length).equals(BOMS[encoding])
+    );
+    if (withBom) return withBom;
+
+    try {
+        // Streaming mode allows a character cut off at the end of a sample
+        new TextDecoder('utf-8', { fatal: true }).decode(bytes, { stream: !complete });
+        return 'utf-8';
+    } catch {
+        return 'windows-1252';
+    }
+}
+
+/**
+ * Detect the dialect of a CSV file from its first bytes: encoding, byte order mark,
+ * delimiter, line ending and which columns are quoted. Set overrides win over detection.
+ * @param {Buffer} head - First bytes of the file (up to SAMPLE_SIZE)
+ * @param {Object} overrides - Settings to use instead of detecting them
+ * @param {string} overrides.delimiter - The delimiter, or "tab"
+ * @param {string} overrides.encoding - utf-8, utf-16le or windows-1252
+ * @param {string} overrides.newline - lf, crlf or cr
+ * @returns {Object} The dialect; finalNewline is left for the caller, who knows the end
+ */
+function detectDialect(head, overrides = {}) {
+    const encoding = overrides.encoding || guessEncoding(head);
+    if (!ENCODINGS.includes(encoding)) {
+        throw new Error(`Unsupported encoding "${encoding}". Use one of: ${ENCODINGS.join(', ')}`);
+    }
+    const bom =
+        Boolean(BOMS[encoding]) && head.subarray(0, BOMS[encoding].length).equals(BOMS[encoding]);
+    const text = createDecoder(encoding)(head, true);
+
+    const delimiter =
+        overrides.delimiter === 'tab' ? '\t' : overrides.delimiter || guessDelimiter(text);
+    if (delimiter.length !== 1 || /["\r\n]/.test(delimiter)) {
+        throw new Error(
+            `Invalid delimiter "${overrides.delimiter}". Use tab or a single character`
+        );
+    }
+    if (overrides.newline && !NEWLINES[overrides.newline]) {
+        throw new Error(`Unknown line ending "${overrides.newline}". Use lf, crlf or cr`);
+    }
+
+    // The last record may be cut off by the end of the sample, so it is only scanned
+    // when the sample is the whole file
+    const scanner = createLayoutScanner(delimiter);
+    scanner.add(text);
+    if (head.length < SAMPLE_SIZE) scanner.end();
+
+    return {
+        encoding,
+        bom,
+        delimiter,
+        newline: NEWLINES[overrides.newline] || scanner.layout.newline || DEFAULT_DIALECT.newline,
+        finalNewline: false,
+        ...getQuoting(scanner.layout)
+    };
+}
+
+/**
+ * Check whether encoded bytes end with a line break
+ * @param {Buffer} tail - Last bytes of a file
+ * @param {string} encoding - Encoding of the file
+ * @returns {boolean} Whether the file ends with a line break
+ */
+function endsWithLineBreak(tail, encoding) {
+    const text = encoding === 'utf-16le' ? tail.toString('utf16le') : tail.toString('latin1');
+    return /[\r\n]$/.test(text);
+}
+
+/**
+ * Guess the encoding of an open file from all of its bytes, read a sample at a time so a
+ * large file is not held in memory. Only a file that starts as UTF-8 without a byte order
+ * mark is read further, since a later byte can still make it Windows-1252.
+ * @param {number} fd - File descriptor
+ * @param {number} size - Size of the file in bytes
+ * @param {Buffer} head - First bytes of the file (up to SAMPLE_SIZE)
+ * @returns {string} The encoding
+ */
+function guessFileEncoding(fd, size, head) {
+    const encoding = guessEncoding(head, head.length === size);
+    const bom = BOMS[encoding] && head.subarray(0, BOMS[encoding].length).equals(BOMS[encoding]);
+    if (encoding !== 'utf-8' || bom || head.length === size) return encoding;
+
+    const decoder = new TextDecoder('utf-8', { fatal: true });
+    const chunk = Buffer.alloc(SAMPLE_SIZE);
+    try {
+        for (let position = 0; position < size; position += SAMPLE_SIZE) {
+            const length = fs.readSync(fd, chunk, 0, SAMPLE_SIZE, position);
+            decoder.decode(chunk.subarray(0, length), { stream: position + length < size });
+        }
+        return 'utf-8';
+    } catch {
+        return 'windows-1252';
+    }
+}
+
+/**
+ * Detect the dialect of a CSV file without holding all of it in memory
+ * @param {string} filePath - Path to the CSV file
+ * @param {Object} overrides - Settings to use instead of detecting them, see detectDialect
+ * @returns {Object} The dialect
+ */
+function readCSVDialect(filePath, overrides = {}) {
+    const fd = fs.openSync(filePath, 'r');
+    try {
+        const { size } = fs.fstatSync(fd);
+        const head = Buffer.alloc(Math.min(size, SAMPLE_SIZE));
+        fs.readSync(fd, head, 0, head.length, 0);
+        const tail = Buffer.alloc(Math.min(size, 4));
+        fs.readSync(fd, tail, 0, tail.length, size - tail.length);
+
+        const encoding = overrides.encoding || guessFileEncoding(fd, size, head);
+        const dialect = detectDialect(head, { ...overrides, encoding });
+        dialect.finalNewline = endsWithLineBreak(tail, dialect.encoding);
+        return dialect;
+    } finally {
+        fs.closeSync(fd);
+    }
+}
+
+/**
+ * Encode text in the encoding of a dialect. Characters Windows-1252 lacks become "?".
+ * @param {string} text - The text
+ * @param {string} encoding - utf-8, utf-16le or windows-1252
+ * @returns {Buffer} The bytes
+ */
+function encodeText(text, encoding) {
+    if (encoding !== 'windows-1252') {
+        return Buffer.from(text, encoding === 'utf-16le' ? 'utf16le' : 'utf8');
+    }
+
+    let missing = 0;
+    const bytes = Array.from(text, (char) => {
+        const code = char.codePointAt(0);
+        const index = WINDOWS_1252_UPPER.indexOf(char);
+        if (index !== -1) return 0x80 + index;
+        if (code < 0x80 || (code >= 0xa0 && code <= 0xff)) return code;
+        missing++;
+        return 0x3f;
+    });
+    if (missing > 0) {
+        log.warn(`${missing} characters cannot be written in Windows-1252 and became "?"`);
+    }
+    return Buffer.from(bytes);
+}
+
+/**
+ * Format one record in a dialect. A value is quoted when its column is quoted in the
+ * source or when it contains the delimiter, a quote or a line break.
+ * @param {Array<string>} columns - The columns, in order
+ * @param {Function} valueOf - Returns the value of a column
+ * @param {Object} dialect - The dialect
+ * @param {boolean} header - Whether this is the header record
+ * @returns {string} The record, without line break
+ */
+function formatRecord(columns, valueOf, dialect, header = false) {
+    return columns
+        .map((column) => {
+            const value = valueOf(column);
+            const text = value === undefined || value === null ? '' : String(value);
+            const quoted = header
+                ? dialect.quoteHeader
+                : dialect.quoteAll || dialect.quotedColumns.includes(column);
+
+            if (quoted || text.includes(dialect.delimiter) || /["\r\n]/.test(text)) {
+                return `"${text.replace(/"/g, '""')}"`;
+            }
+            return text;
+        })
+        .join(dialect.delimiter);
+}
+
 /**
  * Parse CSV file with configurable settings
  * @param {string} filePath - Path to the CSV file
  * @param {Object} options - Optional parsing configuration
- * @returns {Object} Parsed data and any errors
+ * @param {Object} options.dialect - Dialect settings to use instead of detecting them
+ * @returns {Object} Parsed data, the columns in file order, any errors and the dialect
  */
 function parseCSV(filePath, options = {}) {
-    const csvData = fs.readFileSync(filePath, 'utf8');
-
-    // Default parse options with overrides
-    const parseOptions = {
-        header: true,
-        skipEmptyLines: 'greedy',
-        dynamicTyping: false,
-        quotes: true,
-        quoteChar: '"',
-        escapeChar: '"',
-        delimiter: ',',
-        newline: '\n',
-        transform: (value) => value.trim(),
-        ...options
-    };
+    const { dialect: overrides = {}, ...parseOptions } = options;
+    const buffer = fs.readFileSync(filePath);
+
+    // The whole file decides the encoding and quoting, not only its first bytes
+    const encoding = overrides.encoding || guessEncoding(buffer, true);
+    const dialect = detectDialect(buffer.subarray(0, SAMPLE_SIZE), { ...overrides, encoding });
+    dialect.finalNewline = endsWithLineBreak(buffer.subarray(-4), dialect.encoding);
 
-    const { data, errors } = Papa.parse(csvData, parseOptions);
+    const csvData = createDecoder(dialect.encoding, filePath)(buffer);
+    const scanner = createLayoutScanner(dialect.delimiter);
+    scanner.add(csvData);
+    scanner.end();
+    Object.assign(dialect, getQuoting(scanner.layout));
+    reportLayout(filePath, scanner.layout, dialect);
+
+    const { data, errors, meta } = Papa.parse(csvData, {
+        ...PARSE_OPTIONS,
+        delimiter: dialect.delimiter,
+        newline: dialect.newline,
+        ...parseOptions
+    });
 
     if (errors.length) {
         log.warn('CSV Parse Warnings:', errors);
     }
 
-    return { data, errors };
+    return { data, fields: meta.fields || [], errors, dialect };
+}
+
+/**
+ * Parse several CSV files into one list of rows. With more than one file every
+ * row gets a sourceFile column naming the file it came from; a single file is
+ * parsed as is.
+ * @param {string|Array<string>} filePaths - Path or paths of the CSV files
+ * @param {Object} options - Optional parsing configuration
+ * @returns {Object} Parsed data, any errors and the dialect of the first file
+ */
+function parseCSVFiles(filePaths, options = {}) {
+    const paths = [].concat(filePaths);
+    if (paths.length === 1) {
+        return parseCSV(paths[0], options);
+    }
+
+    const data = [];
+    const errors = [];
+    let dialect = null;
+    paths.forEach((filePath) => {
+        const parsed = parseCSV(filePath, options);
+        parsed.data.forEach((row) => data.push({ ...row, [SOURCE_COLUMN]: filePath }));
+        errors.push(...parsed.errors);
+        dialect = dialect || parsed.dialect;
+    });
+
+    return { data, errors, dialect };
+}
+
+/**
+ * Open a CSV file as a stream of decoded text
+ * @param {string} filePath - Path to the CSV file
+ * @param {string} encoding - Encoding of the file
+ * @param {Function} onText - Called with every piece of text, if given
+ * @returns {Object} Readable stream of strings, without the byte order mark. It fails
+ * when the file has bytes that are not valid in the encoding.
+ */
+function openTextStream(filePath, encoding, onText = () => {}) {
+    const decode = createDecoder(encoding, filePath);
+
+    /**
+     * Decode bytes and pass the text on
+     * @param {Buffer} bytes - The bytes
+     * @param {boolean} stream - Whether more bytes follow
+     * @param {Function} done - Transform callback
+     */
+    const push = (bytes, stream, done) => {
+        let text;
+        try {
+            text = decode(bytes, stream);
+        } catch (error) {
+            done(error);
+            return;
+        }
+        onText(text);
+        done(null, text || undefined);
+    };
+
+    const text = new Transform({
+        encoding: 'utf8',
+        transform(chunk, chunkEncoding, done) {
+            push(chunk, true, done);
+        },
+        flush(done) {
+            push(Buffer.alloc(0), false, done);
+        }
+    });
+    const input = fs.createReadStream(filePath);
+    input.on('error', (error) => text.destroy(error));
+    return input.pipe(text);
+}
+
+/**
+ * Read the column names of a CSV file without reading the rest of it
+ * @param {string} filePath - Path to the CSV file
+ * @param {Object} overrides - Dialect settings to use instead of detecting them
+ * @returns {Promise<Array<string>>} The columns, in file order
+ */
+function readCSVHeader(filePath, overrides = {}) {
+    return new Promise((resolve, reject) => {
+        const dialect = readCSVDialect(filePath, overrides);
+        const input = openTextStream(filePath, dialect.encoding);
+        Papa.parse(input, {
+            ...PARSE_OPTIONS,
+            delimiter: dialect.delimiter,
+            newline: dialect.newline,
+            header: false,
+            preview: 1,
+            complete: (results) => {
+                input.destroy();
+                resolve(results.data[0] || []);
+            },
+            error: reject
+        });
+    });
+}
+
+/**
+ * Parse a CSV file row by row without loading it into memory. When onRow returns
+ * a promise, parsing pauses until it settles.
+ * @param {string} filePath - Path to the CSV file
+ * @param {Function} onRow - Called with each row (an object keyed by column)
+ * @param {Object} options - Optional parsing configuration
+ * @param {Object} options.dialect - Dialect settings to use instead of detecting them
+ * @returns {Promise<number>} The number of rows read
+ */
+function streamCSV(filePath, onRow, options = {}) {
+    const { dialect: overrides, ...parseOptions } = options;
+
+    return new Promise((resolve, reject) => {
+        let count = 0;
+        let failed = false;
+
+        /**
+         * Stop parsing after the row callback failed
+         * @param {Object} parser - Papa parser handle
+         * @param {Error} error - The failure
+         */
+        const fail = (parser, error) => {
+            failed = true;
+            parser.abort();
+            reject(error);
+        };
+
+        const dialect = readCSVDialect(filePath, overrides);
+        const scanner = createLayoutScanner(dialect.delimiter);
+        const input = openTextStream(filePath, dialect.encoding, (text) => scanner.add(text));
+
+        Papa.parse(input, {
+            ...PARSE_OPTIONS,
+            delimiter: dialect.delimiter,
+            newline: dialect.newline,
+            ...parseOptions,
+            step: (results, parser) => {
+                if (failed) return;
+                if (results.errors.length) {
+                    log.warn('CSV Parse Warnings:', results.errors);
+                }
+                count++;
+
+                try {
+                    const pending = onRow(results.data);
+                    if (pending && typeof pending.then === 'function') {
+                        // Pausing the parser alone lets the rest of the file pile up in Papa's queue
+                        input.pause();
+                        parser.pause();
+                        pending.then(
+                            () => {
+                                input.resume();
+                                parser.resume();
+                            },
+                            (error) => fail(parser, error)
+                        );
+                    }
+                } catch (error) {
+                    fail(parser, error);
+                }
+            },
+            complete: () => {
+                if (failed) return;
+                scanner.end();
+                reportLayout(filePath, scanner.layout, dialect);
+                resolve(count);
+            },
+            error: reject
+        });
+    });
+}
+
+/**
+ * Open a CSV file for writing row by row
+ * @param {string} filePath - Path to write to
+ * @param {Array<string>} columns - Columns of the file, in order
+ * @param {Object} dialect - Dialect to write in, e.g. that of the input (default DEFAULT_DIALECT)
+ * @returns {Object} Writer with write(row), which returns a promise when the caller should
+ * wait for the file to catch up, and close()
+ */
+function createCSVWriter(filePath, columns, dialect = DEFAULT_DIALECT) {
+    const stream = fs.createWriteStream(filePath);
+    const format = { ...DEFAULT_DIALECT, ...dialect };
+    const { encoding, newline } = format;
+    let rows = 0;
+
+    /**
+     * Write text to the file
+     * @param {string} text - Text to write
+     * @returns {Promise|undefined} A promise when the stream buffer is full
+     */
+    const writeText = (text) => {
+        const ready = stream.write(encodeText(text, encoding));
+        return ready ? undefined : new Promise((resolve) => stream.once('drain', resolve));
+    };
+
+    if (format.bom) stream.write(BOMS[encoding]);
+    // Rows start with the line break, so the file ends like one from writeToCSV
+    writeText(formatRecord(columns, (column) => column, format, true));
+
+    return {
+        write(row) {
+            rows++;
+            return writeText(newline + formatRecord(columns, (column) => row[column], format));
+        },
+
+        close() {
+            return new Promise((resolve, reject) => {
+                stream.once('error', reject);
+                const ending = format.finalNewline ? encodeText(newline, encoding) : undefined;
+                stream.end(ending, () => {
+                    log.success(`Successfully wrote ${rows} rows to ${filePath}`);
+                    resolve(rows);
+                });
+            });
+        }
+    };
+}
+
+/**
+ * Collect the columns of all rows, in the order they first appear
+ * @param {Array} data - Rows to inspect
+ * @returns {Array<string>} Column names
+ */
+function getColumns(data) {
+    const columns = new Set();
+    data.forEach((row) => Object.keys(row).forEach((key) => columns.add(key)));
+    return [...columns];
+}
+
+/**
+ * Check whether a column was added by this tool rather than being part of the export
+ * @param {string} column - Column name
+ * @returns {boolean} Whether it is a helper column
+ */
+function isHelperColumn(column) {
+    return HELPER_COLUMNS.includes(column) || column.startsWith('original_');
 }
 
 /**
  * Write data to a CSV file
  * @param {Array} data - Data to write
  * @param {string} filePath - Path to write to
- * @param {Object} options - Optional Papa.unparse options
+ * @param {Object} options - Optional write settings
+ * @param {Array<string>} options.columns - Columns to write, in order
+ * @param {Object} options.dialect - Dialect to write in, e.g. that of the input file
  */
 function writeToCSV(data, filePath, options = {}) {
     log.info(`Writing ${data.length} rows to ${filePath}...`);
-    const csvOut = Papa.unparse(data, options);
-    fs.writeFileSync(filePath, csvOut, 'utf8');
+    // Rows can have different fields (e.g. variations), so use every column by default
+    const { columns = getColumns(data) } = options;
+    const dialect = { ...DEFAULT_DIALECT, ...options.dialect };
+
+    const records = [
+        formatRecord(columns, (column) => column, dialect, true),
+        ...data.map((row) => formatRecord(columns, (column) => row[column], dialect))
+    ];
+    const text = records.join(dialect.newline) + (dialect.finalNewline ? dialect.newline : '');
+    const bytes = encodeText(text, dialect.encoding);
+
+    fs.writeFileSync(
+        filePath,
+        dialect.bom ? Buffer.concat([BOMS[dialect.encoding], bytes]) : bytes
+    );
     log.success(`Successfully wrote data to ${filePath}`);
 }
 
+/**
+ * Check whether a row has a value outside the excluded fields
+ * @param {Object} row - Row to check
+ * @param {Array} excludedFields - Fields to exclude from empty check
+ * @returns {boolean} Whether the row has content
+ */
+function hasContent(row, excludedFields = []) {
+    return Object.keys(row).some((key) => {
+        if (!excludedFields.includes(key)) {
+            return row[key] && row[key].trim() !== '';
+        }
+        return false;
+    });
+}
+
 /**
  * Clean CSV data by filtering out empty rows
  * @param {Array} data - Data to clean
@@ -54,14 +782,24 @@ function writeToCSV(data, filePath, options = {}) {
  * @returns {Array} Cleaned data
  */
 function cleanCSVData(data, excludedFields = []) {
-    return data.filter((row) => {
-        return Object.keys(row).some((key) => {
-            if (!excludedFields.includes(key)) {
-                return row[key] && row[key].trim() !== '';
-            }
-            return false;
-        });
-    });
+    return data.filter((row) => hasContent(row, excludedFields));
 }
 
-export { parseCSV, writeToCSV, cleanCSVData };
+export {
+    SOURCE_COLUMN,
+    HELPER_COLUMNS,
+    ENCODINGS,
+    DEFAULT_DIALECT,
+    detectDialect,
+    readCSVDialect,
+    parseCSV,
+    parseCSVFiles,
+    readCSVHeader,
+    streamCSV,
+    writeToCSV,
+    createCSVWriter,
+    cleanCSVData,
+    hasContent,
+    getColumns,
+    isHelperColumn
+};
@@ -1,5 +1,64 @@
-import { cleanCSVData } from './csv.js';
+import {
+    cleanCSVData,
+    createCSVWriter,
+    hasContent,
+    readCSVDialect,
+    readCSVHeader,
+    streamCSV,
+    writeToCSV,
+    SOURCE_COLUMN
+} from './csv.js';
 import { log } from './logger.js';
+import { chooseCanonical } from './canonical.js';
+import { getEntityKey, getLineColumns, isContinuationRow } from './matrixify.js';
+import {
+    clusterSimilarValues,
+    digestValue,
+    getShingles,
+    jaccardSimilarity,
+    normalizeValue
+} from './similarity.js';
+
+// Duplicate detection modes
+const SIMILARITY_MODES = {
+    EXACT: 'exact',
+    FUZZY: 'fuzzy'
+};
+
+/**
+ * Build the lookup from a column to the group it is compared in. Values are only
+ * compared within a group: by default every column is its own group, and columns
+ * listed together in `fieldGroups` share one, so the same text in `Title` and
+ * `SEO Title` counts as a duplicate.
+ * @param {Array} fieldGroups - Groups as lists of columns, or objects with name and fields
+ * @returns {Function} (field) => group name; the field itself when it is in no group
+ */
+function createFieldGroups(fieldGroups = []) {
+    if (!Array.isArray(fieldGroups)) {
+        throw new Error('fieldGroups must be a list of column lists, e.g. [[Title, SEO Title]]');
+    }
+
+    const groupByField = new Map();
+    fieldGroups.forEach((group, index) => {
+        const fields = Array.isArray(group) ? group : group && group.fields;
+        if (!Array.isArray(fields) || fields.length < 2) {
+            throw new Error(`fieldGroups entry ${index + 1} needs at least two columns`);
+        }
+
+        const name = (!Array.isArray(group) && group.name) || fields.join('+');
+        fields.forEach((field) => {
+            if (groupByField.has(field)) {
+                throw new Error(
+                    `Column "${field}" is in more than one field group ` +
+                        `("${groupByField.get(field)}" and "${name}")`
+                );
+            }
+            groupByField.set(field, name);
+        });
+    });
+
+    return (field) => groupByField.get(field) ?? field;
+}
 
 /**
  * Get all field values from a row, excluding specified fields
@@ -23,16 +82,17 @@ function getFieldValues(row, excludedFields = []) {
  * Count occurrences of each value in all fields
  * @param {Array} data - Cleaned data
  * @param {Array} excludedFields - Fields to exclude from counting
- * @returns {Map} Map of values to their occurrence counts
+ * @param {Function} groupOf - Field group lookup from createFieldGroups
+ * @returns {Map} Map of values to their occurrence counts (keys are `${group}:${value}`)
  */
-function countOccurrences(data, excludedFields = []) {
+function countOccurrences(data, excludedFields = [], groupOf = (field) => field) {
     const map = new Map();
 
     data.forEach((row) => {
         const fieldValues = getFieldValues(row, excludedFields);
 
         Object.entries(fieldValues).forEach(([field, value]) => {
-            const key = `${field}:${value}`;
+            const key = `${groupOf(field)}:${value}`;
             map.set(key, (map.get(key) || 0) + 1);
         });
     });
@@ -41,65 +101,519 @@ function countOccurrences(data, excludedFields = []) {
 }
 
 /**
- * Find duplicates and mark them in the result
+ * Find duplicates and mark them in the result. Every value that occurs more than
+ * once forms a group; one occurrence per group is canonical and keeps its value,
+ * every other one is flagged, also when it is in another column of the same field
+ * group. Without a selector the first occurrence in the file is canonical.
  * @param {Array} data - Cleaned data
  * @param {Map} occurrenceMap - Map of values to their occurrence counts
  * @param {Array} excludedFields - Fields to exclude from duplicate checking
- * @returns {Object} Result with duplicates marked and array of duplicates
+ * @param {Object} options - Detection options
+ * @param {Function} options.groupOf - Field group lookup from createFieldGroups
+ * @param {Function} options.compare - Canonical selector from createCanonicalSelector
+ * @returns {Object} Result with duplicates marked, array of duplicates and the duplicate groups
  */
-function findDuplicates(data, occurrenceMap, excludedFields = []) {
-    const seen = new Map(); // Map to track seen values by field
-    const duplicates = [];
+function findDuplicates(data, occurrenceMap, excludedFields = [], options = {}) {
+    const { groupOf = (field) => field, compare } = options;
 
-    const result = data.map((row) => {
-        const fieldValues = getFieldValues(row, excludedFields);
-        let isDuplicate = false;
-        const duplicateFields = [];
-
-        // Check each field for duplicates
-        Object.entries(fieldValues).forEach(([field, value]) => {
-            const key = `${field}:${value}`;
+    // Collect every occurrence of the values that appear more than once
+    const groupsByKey = new Map();
+    data.forEach((row, rowIndex) => {
+        Object.entries(getFieldValues(row, excludedFields)).forEach(([field, value]) => {
+            const group = groupOf(field);
+            const key = `${group}:${value}`;
             if (occurrenceMap.get(key) > 1) {
-                if (!seen.has(key)) {
-                    seen.set(key, true);
-                } else {
-                    isDuplicate = true;
-                    duplicateFields.push(field);
+                if (!groupsByKey.has(key)) {
+                    groupsByKey.set(key, { group, value, members: [] });
                 }
+                groupsByKey.get(key).members.push({ row, rowIndex, field });
             }
         });
+    });
 
-        // Add to duplicates array if any field is a duplicate
-        if (isDuplicate) {
-            duplicates.push({
-                ...row,
-                duplicateFields: duplicateFields.join(',')
+    // Flags per row: field -> ID of the row that keeps the value
+    const flags = data.map(() => new Map());
+    const groups = numberGroups([...groupsByKey.values()]).map((group) => {
+        const canonical = compare ? chooseCanonical(group.members, compare) : 0;
+        group.members.forEach((member, index) => {
+            if (index !== canonical) {
+                flags[member.rowIndex].set(member.field, group.members[canonical].row.ID);
+            }
+        });
+        return { ...group, canonical };
+    });
+
+    const duplicates = [];
+    const result = data.map((row, rowIndex) => {
+        const rowFlags = flags[rowIndex];
+
+        if (rowFlags.size === 0) {
+            return { ...row, duplicate: 'false', duplicateFields: '', canonicalIds: '' };
+        }
+
+        // List the fields in column order
+        const duplicateFields = Object.keys(row).filter((field) => rowFlags.has(field));
+        const markers = {
+            duplicateFields: duplicateFields.join(','),
+            canonicalIds: duplicateFields.map((field) => rowFlags.get(field)).join(',')
+        };
+        duplicates.push({ ...row, ...markers });
+        return { ...row, duplicate: 'true', ...markers };
+    });
+
+    return { result, duplicates, groups };
+}
+
+/**
+ * Number duplicate groups from 1 in the order they were found
+ * @param {Array<Object>} groups - Groups with group, value, members and the index of the
+ * canonical member
+ * @returns {Array<Object>} The same groups with an id
+ */
+function numberGroups(groups) {
+    return groups.map((group, index) => ({ id: index + 1, ...group }));
+}
+
+/**
+ * Find near-duplicates by clustering similar values per field group and mark them
+ * in the result. The canonical row of each cluster (the first one, unless a
+ * selector picks another) keeps its value; the other rows are flagged with the
+ * cluster id and their similarity to the canonical row.
+ * @param {Array} data - Cleaned data
+ * @param {Array} excludedFields - Fields to exclude from duplicate checking
+ * @param {Object} options - Clustering settings passed to clusterSimilarValues
+ * @param {Function} options.groupOf - Field group lookup from createFieldGroups
+ * @param {Function} options.compare - Canonical selector from createCanonicalSelector
+ * @returns {Object} Result with duplicates marked, array of duplicates and the clusters as
+ * duplicate groups
+ */
+function findSimilarDuplicates(data, excludedFields = [], options = {}) {
+    const { groupOf = (field) => field, compare, ...clusterOptions } = options;
+
+    // Collect the values of each field group with the row and column they came from
+    const valuesByGroup = new Map();
+    data.forEach((row, rowIndex) => {
+        Object.entries(getFieldValues(row, excludedFields)).forEach(([field, value]) => {
+            const group = groupOf(field);
+            if (!valuesByGroup.has(group)) valuesByGroup.set(group, []);
+            valuesByGroup.get(group).push({ rowIndex, field, value });
+        });
+    });
+
+    // Flags per row: field -> { clusterId, score, canonicalId }
+    const flags = data.map(() => []);
+    const groups = [];
+
+    valuesByGroup.forEach((entries, group) => {
+        const clusters = clusterSimilarValues(
+            entries.map((entry) => entry.value),
+            clusterOptions
+        );
+
+        clusters.forEach(({ members, scores }) => {
+            const clusterId = groups.length + 1;
+            const occurrences = members.map((memberIndex) => ({
+                row: data[entries[memberIndex].rowIndex],
+                field: entries[memberIndex].field,
+                value: entries[memberIndex].value
+            }));
+            const canonical = compare ? chooseCanonical(occurrences, compare) : 0;
+            groups.push({
+                group,
+                value: occurrences[canonical].value,
+                members: occurrences,
+                canonical
+            });
+
+            // Scores are relative to the first member; measure again when another one is kept
+            const canonicalShingles =
+                canonical === 0
+                    ? null
+                    : getShingles(
+                          normalizeValue(occurrences[canonical].value),
+                          clusterOptions.shingleSize
+                      );
+
+            members.forEach((memberIndex, i) => {
+                if (i === canonical) return;
+                flags[entries[memberIndex].rowIndex].push({
+                    field: entries[memberIndex].field,
+                    clusterId,
+                    canonicalId: occurrences[canonical].row.ID,
+                    score: canonicalShingles
+                        ? jaccardSimilarity(
+                              canonicalShingles,
+                              getShingles(
+                                  normalizeValue(occurrences[i].value),
+                                  clusterOptions.shingleSize
+                              )
+                          )
+                        : scores[i]
+                });
             });
-            return { ...row, duplicate: 'true', duplicateFields: duplicateFields.join(',') };
-        } else {
-            return { ...row, duplicate: 'false', duplicateFields: '' };
+        });
+    });
+
+    log.info(`Found ${groups.length} clusters of similar values`);
+
+    const duplicates = [];
+    const result = data.map((row, rowIndex) => {
+        const rowFlags = flags[rowIndex];
+
+        if (rowFlags.length === 0) {
+            return {
+                ...row,
+                duplicate: 'false',
+                duplicateFields: '',
+                canonicalIds: '',
+                clusterIds: '',
+                similarityScores: ''
+            };
         }
+
+        const markers = {
+            duplicateFields: rowFlags.map((flag) => flag.field).join(','),
+            canonicalIds: rowFlags.map((flag) => flag.canonicalId).join(','),
+            clusterIds: rowFlags.map((flag) => flag.clusterId).join(','),
+            similarityScores: rowFlags.map((flag) => flag.score.toFixed(2)).join(',')
+        };
+        duplicates.push({ ...row, ...markers });
+        return { ...row, duplicate: 'true', ...markers };
     });
 
-    return { result, duplicates };
+    return { result, duplicates, groups: numberGroups(groups) };
+}
+
+/**
+ * Put the lines that continue a multi-row entity back between the marked top rows,
+ * unmarked. Top rows with nothing left to compare are kept unmarked too, so no line of
+ * an entity goes missing; only rows without an ID or Handle are left out when empty.
+ * @param {Array} data - Raw CSV data
+ * @param {Array<boolean>} continuation - Per row of data, whether it continues an entity
+ * @param {Array} cleaned - Top rows with content, in file order
+ * @param {Array} result - Marked rows, one per cleaned row
+ * @param {Object} markers - Marker columns for an unmarked row
+ * @returns {Array} Marked rows in file order
+ */
+function addContinuationRows(data, continuation, cleaned, result, markers) {
+    const kept = new Set(cleaned);
+    let next = 0;
+
+    return data.flatMap((row, index) => {
+        if (!continuation[index] && kept.has(row)) return [result[next++]];
+        return continuation[index] || getEntityKey(row) ? [{ ...row, ...markers }] : [];
+    });
 }
 
 /**
  * Complete process to find duplicates in data
  * @param {Array} data - Raw CSV data
  * @param {Array} excludedFields - Fields to exclude from duplicate checking
- * @returns {Object} Result with duplicates marked and array of duplicates
+ * @param {Object} options - Detection settings
+ * @param {string} options.similarityMode - 'exact' (default) or 'fuzzy'
+ * @param {number} options.similarityThreshold - Minimum similarity for fuzzy matches (0-1)
+ * @param {number} options.shingleSize - Characters per shingle for fuzzy matching
+ * @param {Function} options.groupOf - Field group lookup from createFieldGroups
+ * @param {Function} options.compare - Canonical selector from createCanonicalSelector
+ * @param {boolean} options.multiRow - Compare only the top row of entities spread over
+ * consecutive rows with the same ID, without the columns that hold a value per line; the
+ * other lines are kept unmarked
+ * @returns {Object} Result with duplicates marked, array of duplicates, the duplicate groups
+ * and the occurrence map
  */
-function findDuplicatesInData(data, excludedFields = []) {
+function findDuplicatesInData(data, excludedFields = [], options = {}) {
+    const { groupOf = (field) => field, compare } = options;
+    const fuzzy = options.similarityMode === SIMILARITY_MODES.FUZZY;
+
+    const continuation = options.multiRow
+        ? data.map((row, index) => isContinuationRow(row, data[index - 1]))
+        : null;
+    const topRows = continuation ? data.filter((row, index) => !continuation[index]) : data;
+    if (topRows.length < data.length) {
+        const lineColumns = getLineColumns(data);
+        excludedFields = [...excludedFields, ...lineColumns];
+        log.info(
+            `Comparing ${topRows.length} entities; ${data.length - topRows.length} lines ` +
+                `continue the entity above them. Per-line columns: ${[...lineColumns].join(', ')}`
+        );
+    }
+
     log.time('Cleaning data');
-    const cleaned = cleanCSVData(data, excludedFields);
+    const cleaned = cleanCSVData(topRows, excludedFields);
     log.timeEnd('Cleaning data');
 
+    let found;
+    let occurrenceMap;
+    if (fuzzy) {
+        log.time('Clustering similar values');
+        found = findSimilarDuplicates(cleaned, excludedFields, {
+            threshold: options.similarityThreshold,
+            shingleSize: options.shingleSize,
+            groupOf,
+            compare
+        });
+        log.timeEnd('Clustering similar values');
+
+        // Exact counts are still needed to check generated variations for uniqueness
+        occurrenceMap = countOccurrences(cleaned, excludedFields, groupOf);
+    } else {
+        log.time('Counting occurrences');
+        occurrenceMap = countOccurrences(cleaned, excludedFields, groupOf);
+        log.timeEnd('Counting occurrences');
+
+        found = findDuplicates(cleaned, occurrenceMap, excludedFields, { groupOf, compare });
+    }
+
+    if (continuation) {
+        const markers = { duplicate: 'false', duplicateFields: '', canonicalIds: '' };
+        if (fuzzy) Object.assign(markers, { clusterIds: '', similarityScores: '' });
+        found.result = addContinuationRows(data, continuation, cleaned, found.result, markers);
+    }
+
+    return { ...found, occurrenceMap };
+}
+
+/**
+ * Find exact duplicates in CSV files in two streaming passes: the first counts
+ * the values, the second writes every row with duplicate markers. Values are only
+ * remembered as fixed-size digests, so memory does not depend on their length and
+ * no rows are held in memory. Several files are read one after the other and
+ * checked against each other; their rows get a sourceFile column.
+ * @param {string|Array<string>} inputPaths - CSV file or files to check
+ * @param {string} outputPath - Path to write the marked rows to
+ * @param {Array} excludedFields - Fields to exclude from duplicate checking
+ * @param {Object} options - Streaming options
+ * @param {Function} options.onDuplicate - Called with each duplicate row (with duplicateFields)
+ * @param {boolean} options.collectNormalized - Also collect digests of the normalised values
+ * per field group, for createUniquenessRegistry
+ * @param {boolean} options.collectGroups - Also collect the duplicate groups; keeps one value
+ * and the ID, Handle and column of every member per group
+ * @param {Function} options.groupOf - Field group lookup from createFieldGroups
+ * @param {Function} options.compare - Canonical selector from createCanonicalSelector; the
+ * first pass then keeps the best occurrence of every value so far
+ * @param {Array<string>} options.canonicalColumns - Columns the selector reads, kept with
+ * those occurrences besides ID and Handle
+ * @param {Object} options.dialect - Dialect settings of the input files to use instead of
+ * detecting them
+ * @param {boolean} options.multiRow - Compare only the top row of entities spread over
+ * consecutive rows with the same ID; the other lines are written unmarked
+ * @returns {Promise<Object>} Number of rows, entities (rows without the lines that continue
+ * one) and duplicate rows, the dialect the output was written in, and the normalised
+ * digests and duplicate groups when collected
+ */
+async function findDuplicatesInFile(inputPaths, outputPath, excludedFields = [], options = {}) {
+    const { groupOf = (field) => field, compare, canonicalColumns = [] } = options;
+    const filePaths = [].concat(inputPaths);
+    const multiple = filePaths.length > 1;
+    const excluded = multiple ? [...excludedFields, SOURCE_COLUMN] : excludedFields;
+    const keptColumns = ['ID', 'Handle', SOURCE_COLUMN, ...canonicalColumns];
+    const counts = new Map();
+    const best = compare ? new Map() : null;
+    const normalizedDigests = options.collectNormalized ? new Map() : null;
+    let lineColumns = null;
+
+    /**
+     * Stream every input file, tagging rows with their file when there are several
+     * @param {Function} onRow - Called with each row that has content or continues an
+     * entity, its position and, when it continues one, the top row of that entity
+     * @returns {Promise<void>}
+     */
+    const streamInputs = async (onRow) => {
+        let position = 0;
+        for (const filePath of filePaths) {
+            let previous = null;
+            let top = null;
+            await streamCSV(
+                filePath,
+                (row) => {
+                    const continuation =
+                        Boolean(options.multiRow) && isContinuationRow(row, previous);
+                    previous = row;
+                    if (!continuation) top = row;
+
+                    // Entities are kept whole, also when their top row has nothing to compare
+                    const kept = continuation || (options.multiRow && getEntityKey(row));
+                    if (!kept && !hasContent(row, excluded)) return;
+                    return onRow(
+                        multiple ? { ...row, [SOURCE_COLUMN]: filePath } : row,
+                        position++,
+                        continuation ? top : null
+                    );
+                },
+                { dialect: options.dialect }
+            );
+        }
+    };
+
     log.time('Counting occurrences');
-    const occurrenceMap = countOccurrences(cleaned, excludedFields);
+    await streamInputs((row, position, top) => {
+        if (top) {
+            lineColumns = getLineColumns([top, row], lineColumns || undefined);
+            return;
+        }
+        Object.entries(getFieldValues(row, excluded)).forEach(([field, value]) => {
+            const group = groupOf(field);
+            const key = digestValue(`${group}:${value}`);
+            counts.set(key, (counts.get(key) || 0) + 1);
+
+            if (best) {
+                const candidate = { row, field };
+                const current = best.get(key);
+                if (!current || compare(candidate, current) < 0) {
+                    const slim = Object.fromEntries(
+                        keptColumns.map((column) => [column, row[column]])
+                    );
+                    best.set(key, { row: slim, field, position });
+                }
+            }
+
+            if (normalizedDigests) {
+                if (!normalizedDigests.has(group)) normalizedDigests.set(group, new Set());
+                normalizedDigests.get(group).add(digestValue(normalizeValue(value)));
+            }
+        });
+    });
     log.timeEnd('Counting occurrences');
 
-    return findDuplicates(cleaned, occurrenceMap, excludedFields);
+    // Only values that occur more than once matter from here on
+    counts.forEach((count, key) => {
+        if (count < 2) {
+            counts.delete(key);
+            if (best) best.delete(key);
+        }
+    });
+
+    // Columns with a value per line of an entity are not compared
+    const compared = lineColumns ? [...excluded, ...lineColumns] : excluded;
+
+    // The files can have different columns, so the output gets all of them
+    let columns = null;
+    if (multiple) {
+        const header = new Set();
+        for (const filePath of filePaths) {
+            (await readCSVHeader(filePath, options.dialect)).forEach((column) =>
+                header.add(column)
+            );
+        }
+        columns = [...header, SOURCE_COLUMN, 'duplicate', 'duplicateFields', 'canonicalIds'];
+    }
+
+    // The marked rows are written in the dialect of the (first) input file
+    const dialect = readCSVDialect(filePaths[0], options.dialect);
+
+    // Without a selector the first occurrence is canonical: value digest -> its row ID
+    const seen = new Map();
+    const groups = options.collectGroups ? new Map() : null;
+    let writer = null;
+    let rows = 0;
+    let entities = 0;
+    let duplicateCount = 0;
+
+    log.time('Marking duplicates');
+    await streamInputs((row, position, top) => {
+        const duplicateFields = [];
+        const canonicalIds = [];
+        const values = top ? {} : getFieldValues(row, compared);
+        Object.entries(values).forEach(([field, value]) => {
+            const key = digestValue(`${groupOf(field)}:${value}`);
+            if (!counts.has(key)) return;
+
+            let canonicalId;
+            if (best) {
+                const canonical = best.get(key);
+                canonicalId =
+                    canonical.position === position && canonical.field === field
+                        ? null
+                        : canonical.row.ID;
+            } else if (!seen.has(key)) {
+                seen.set(key, row.ID);
+                canonicalId = null;
+            } else {
+                canonicalId = seen.get(key);
+            }
+
+            if (groups) {
+                if (!groups.has(key)) {
+                    groups.set(key, { group: groupOf(field), value, members: [], canonical: 0 });
+                }
+                const group = groups.get(key);
+                if (canonicalId === null) group.canonical = group.members.length;
+                const { ID, Handle, [SOURCE_COLUMN]: source } = row;
+                group.members.push({ row: { ID, Handle, [SOURCE_COLUMN]: source }, field });
+            }
+
+            if (canonicalId !== null) {
+                duplicateFields.push(field);
+                canonicalIds.push(canonicalId);
+            }
+        });
+
+        const markers = {
+            duplicateFields: duplicateFields.join(','),
+            canonicalIds: canonicalIds.join(',')
+        };
+        if (duplicateFields.length > 0) {
+            duplicateCount++;
+            if (options.onDuplicate) options.onDuplicate({ ...row, ...markers });
+        }
+
+        const marked = { ...row, duplicate: String(duplicateFields.length > 0), ...markers };
+        if (!writer) {
+            writer = createCSVWriter(outputPath, columns || Object.keys(marked), dialect);
+        }
+        rows++;
+        if (!top) entities++;
+        return writer.write(marked);
+    });
+    log.timeEnd('Marking duplicates');
+
+    if (writer) {
+        await writer.close();
+    } else {
+        writeToCSV([], outputPath, { dialect });
+    }
+
+    return {
+        rows,
+        entities,
+        duplicateCount,
+        dialect,
+        normalizedDigests,
+        groups: groups ? numberGroups([...groups.values()]) : null
+    };
+}
+
+/**
+ * Turn duplicate groups into report rows: one row per occurrence, with the
+ * file, row and column it was found in. The canonical occurrence keeps its value.
+ * Members of fuzzy clusters carry their own value; exact groups share one.
+ * @param {Array<Object>} groups - Groups from findDuplicatesInData or findDuplicatesInFile
+ * @param {string} defaultSource - File to report for rows without a sourceFile column
+ * @returns {Array<Object>} Report rows
+ */
+function formatDuplicateGroups(groups, defaultSource = '') {
+    return groups.flatMap(({ id, group, value, members, canonical = 0 }) =>
+        members.map((member, index) => ({
+            group: id,
+            fieldGroup: group,
+            sourceFile: member.row[SOURCE_COLUMN] || defaultSource,
+            ID: member.row.ID,
+            Handle: member.row.Handle,
+            column: member.field,
+            kept: String(index === canonical),
+            value: member.value ?? value
+        }))
+    );
 }
 
-export { findDuplicatesInData, getFieldValues, countOccurrences, findDuplicates };
+export {
+    createFieldGroups,
+    findDuplicatesInData,
+    findDuplicatesInFile,
+    formatDuplicateGroups,
+    getFieldValues,
+    countOccurrences,
+    findDuplicates,
+    findSimilarDuplicates,
+    SIMILARITY_MODES
+};
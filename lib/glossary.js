@@ -0,0 +1,211 @@
+import fs from 'fs';
+import YAML from 'yaml';
+import { matchesField } from './ai.js';
+
+// Letters and digits; plain terms only match as whole words
+const WORD_BOUNDARY_BEFORE = '(?<![\\p{L}\\p{N}])';
+const WORD_BOUNDARY_AFTER = '(?![\\p{L}\\p{N}])';
+
+/**
+ * Compile a glossary term. Terms written as /regex/flags are regular expressions;
+ * any other term matches as a whole word or phrase, ignoring case.
+ * @param {string} term - The term
+ * @returns {Object} The term and its global pattern
+ */
+function compileTerm(term) {
+    const text = String(term);
+    const regex = text.match(/^\/(.+)\/([a-z]*)$/);
+    if (regex) {
+        const flags = regex[2].includes('g') ? regex[2] : `${regex[2]}g`;
+        return { term: text, pattern: new RegExp(regex[1], flags), literal: false };
+    }
+
+    const escaped = text.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return {
+        term: text.trim(),
+        pattern: new RegExp(`${WORD_BOUNDARY_BEFORE}${escaped}${WORD_BOUNDARY_AFTER}`, 'giu'),
+        literal: true
+    };
+}
+
+/**
+ * Check a list of terms from the glossary file
+ * @param {*} terms - Value from the file
+ * @param {string} name - Name of the list, for the error message
+ * @param {string} filePath - Path of the glossary file
+ * @returns {Array<Object>} The compiled terms
+ */
+function compileTermList(terms, name, filePath) {
+    if (terms === undefined || terms === null) {
+        return [];
+    }
+    if (!Array.isArray(terms) || terms.some((term) => typeof term !== 'string' || !term.trim())) {
+        throw new Error(`Glossary ${filePath}: "${name}" must be a list of terms`);
+    }
+    try {
+        return terms.map(compileTerm);
+    } catch (error) {
+        throw new Error(`Glossary ${filePath}: "${name}" has an invalid pattern: ${error.message}`);
+    }
+}
+
+/**
+ * Load a glossary file (JSON or YAML) with three lists:
+ * - `protected`: terms that must stay exactly as they are whenever the original has them,
+ *   such as brand names, product lines, sizes and legal wording
+ * - `required`: entries with a `handle` pattern, `terms` every variation of a matching row
+ *   must contain, and optionally the `fields` they apply to
+ * - `forbidden`: terms a variation may not add
+ * Handle and field patterns work like the `match` of a promptMapping entry.
+ * @param {string} filePath - Path of the glossary file
+ * @returns {Object} The glossary with compiled terms
+ */
+function loadGlossary(filePath) {
+    if (!fs.existsSync(filePath)) {
+        throw new Error(`No glossary file at ${filePath}`);
+    }
+
+    let contents;
+    try {
+        contents = YAML.parse(fs.readFileSync(filePath, 'utf8')) || {};
+    } catch (error) {
+        throw new Error(`Could not parse glossary ${filePath}: ${error.message}`);
+    }
+    if (typeof contents !== 'object' || Array.isArray(contents)) {
+        throw new Error(`Glossary ${filePath} must contain an object`);
+    }
+
+    const required = contents.required || [];
+    if (!Array.isArray(required)) {
+        throw new Error(`Glossary ${filePath}: "required" must be a list of { handle, terms }`);
+    }
+
+    return {
+        protected: compileTermList(contents.protected, 'protected', filePath),
+        required: required.map((entry, index) => {
+            if (!entry || !entry.handle || !entry.terms) {
+                throw new Error(
+                    `Glossary ${filePath}: required entry ${index + 1} needs both "handle" and "terms"`
+                );
+            }
+            if (entry.fields !== undefined && !Array.isArray(entry.fields)) {
+                throw new Error(
+                    `Glossary ${filePath}: required entry ${index + 1} has "fields" that is not a list`
+                );
+            }
+            return {
+                handle: String(entry.handle),
+                fields: entry.fields,
+                terms: compileTermList(entry.terms, `required entry ${index + 1}`, filePath)
+            };
+        }),
+        forbidden: compileTermList(contents.forbidden, 'forbidden', filePath)
+    };
+}
+
+/**
+ * Check whether a text contains a term
+ * @param {string} text - The text
+ * @param {Object} term - Compiled term
+ * @returns {boolean} Whether the term occurs in the text
+ */
+function containsTerm(text, term) {
+    return String(text || '').search(term.pattern) !== -1;
+}
+
+/**
+ * Work out which glossary terms apply to one field of a row. Protected terms become
+ * the exact texts the original has for them, so a variation must spell them the same.
+ * @param {Object} glossary - Glossary from loadGlossary
+ * @param {Object} row - The row
+ * @param {string} field - The field being rewritten
+ * @returns {Object} The protected texts, the required terms and the forbidden terms
+ */
+function resolveTerms(glossary, row, field) {
+    const original = String(row[field] || '');
+
+    const protectedTexts = new Set();
+    glossary.protected.forEach(({ pattern }) => {
+        for (const match of original.matchAll(pattern)) {
+            if (match[0].trim()) protectedTexts.add(match[0]);
+        }
+    });
+
+    const required = new Map();
+    glossary.required
+        .filter(
+            (entry) =>
+                matchesField(entry.handle, row.Handle || '') &&
+                (!entry.fields || entry.fields.some((pattern) => matchesField(pattern, field)))
+        )
+        .forEach((entry) => entry.terms.forEach((term) => required.set(term.term, term)));
+
+    return {
+        protected: [...protectedTexts],
+        required: [...required.values()],
+        forbidden: glossary.forbidden.filter((term) => !containsTerm(original, term))
+    };
+}
+
+/**
+ * Keep the terms that apply to every row of a group, for the shared prompt. Each
+ * variant is still checked against the terms of its own row.
+ * @param {Array<Object>} termsPerRow - Terms from resolveTerms, one per row
+ * @returns {Object} The shared terms
+ */
+function getSharedTerms(termsPerRow) {
+    const [first] = termsPerRow;
+    return {
+        protected: first.protected,
+        required: first.required.filter((term) =>
+            termsPerRow.every((terms) => terms.required.some((other) => other.term === term.term))
+        ),
+        forbidden: first.forbidden
+    };
+}
+
+/**
+ * Check a variation against the glossary terms of its field
+ * @param {string} variation - The cleaned variation
+ * @param {Object} terms - Terms from resolveTerms, if a glossary is used
+ * @returns {Array<string>} Reasons the variation was rejected (empty when it is fine)
+ */
+function checkTerms(variation, terms) {
+    if (!terms) {
+        return [];
+    }
+
+    const errors = [];
+    terms.protected
+        .filter((text) => !variation.includes(text))
+        .forEach((text) => errors.push(`the protected term "${text}" is missing or changed`));
+    terms.required
+        .filter((term) => !containsTerm(variation, term))
+        .forEach((term) => errors.push(`the required term "${term.term}" is missing`));
+    terms.forbidden.forEach((term) => {
+        const matches = variation.match(term.pattern);
+        if (matches) errors.push(`the answer adds the forbidden term "${matches[0]}"`);
+    });
+    return errors;
+}
+
+/**
+ * List the terms to show in the prompt. Required and forbidden patterns mean little
+ * to a model, so only plain terms are shown; they are checked all the same.
+ * @param {Object} terms - Terms from resolveTerms, if a glossary is used
+ * @returns {Object|null} Lists of display texts: protected, required and forbidden
+ */
+function describeTerms(terms) {
+    if (!terms) {
+        return null;
+    }
+
+    const plain = (list) => list.filter((term) => term.literal).map((term) => term.term);
+    return {
+        protected: terms.protected,
+        required: plain(terms.required),
+        forbidden: plain(terms.forbidden)
+    };
+}
+
+export { compileTerm, loadGlossary, resolveTerms, getSharedTerms, checkTerms, describeTerms };
@@ -0,0 +1,216 @@
+import { chooseCanonical } from './canonical.js';
+
+// Column with the URL handle of a row
+const HANDLE_COLUMN = 'Handle';
+
+// Number Shopify adds to a handle that is already taken, e.g. "zomer-sale-1"
+const SUFFIX_PATTERN = /-([1-9]\d?)$/;
+
+// Columns of the redirects file per import format
+const REDIRECT_FORMATS = {
+    matrixify: ['Path', 'Target', 'Command'],
+    shopify: ['Redirect from', 'Redirect to']
+};
+
+/**
+ * Turn a text into a handle the way Shopify does: lowercase, without accents, with
+ * dashes between the words
+ * @param {string} text - Text such as a title
+ * @returns {string} The handle, empty when the text has no letters or digits
+ */
+function slugify(text) {
+    return String(text || '')
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^\p{L}\p{N}]+/gu, '-')
+        .replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Normalise a handle for comparison
+ * @param {string} handle - The handle
+ * @returns {string} The trimmed, lowercase handle
+ */
+function normalizeHandle(handle) {
+    return String(handle || '')
+        .trim()
+        .toLowerCase();
+}
+
+/**
+ * The handle that Shopify numbered to get this one. Shopify counts up from 1 until a handle
+ * is free, so "zomer-sale-2" is a numbered "zomer-sale" only when "zomer-sale" and
+ * "zomer-sale-1" are in use too. A number outside that run, as in "iphone-12" next to
+ * "iphone", is part of the name.
+ * @param {string} handle - Normalised handle
+ * @param {Function} isUsed - (handle) => whether a handle is in use
+ * @returns {string|null} The bare handle, or null when the handle has no number Shopify added
+ */
+function getNumberedBase(handle, isUsed) {
+    const match = handle.match(SUFFIX_PATTERN);
+    if (!match) return null;
+
+    const base = handle.slice(0, match.index);
+    for (let number = 0; number < Number(match[1]); number++) {
+        if (!isUsed(number === 0 ? base : `${base}-${number}`)) return null;
+    }
+    return base;
+}
+
+/**
+ * Find rows whose handles are the same or differ only by the number Shopify adds, such as
+ * "zomer-sale" and "zomer-sale-1". Handles like "iphone" and "iphone-12" stay apart.
+ * @param {Array<Object>} rows - Input rows, in file order
+ * @param {Function} compare - Selector from createCanonicalSelector, if any
+ * @returns {Array<Object>} Groups with the key, their rows and the index of the row that
+ * keeps its handle
+ */
+function findDuplicateHandles(rows, compare) {
+    const used = new Set(rows.map((row) => normalizeHandle(row[HANDLE_COLUMN])));
+    const isUsed = (handle) => used.has(handle);
+
+    const membersByKey = new Map();
+    rows.forEach((row) => {
+        const handle = normalizeHandle(row[HANDLE_COLUMN]);
+        if (!handle) return;
+
+        const key = getNumberedBase(handle, isUsed) || handle;
+        if (!membersByKey.has(key)) membersByKey.set(key, []);
+        membersByKey.get(key).push({ row, field: HANDLE_COLUMN, handle });
+    });
+
+    const groups = [];
+    membersByKey.forEach((members, key) => {
+        if (members.length < 2) return;
+
+        // The bare handle keeps its URL; among several, the canonical strategy picks one
+        const bare = members.filter((member) => member.handle === key);
+        const candidates = bare.length > 0 ? bare : members;
+        const best = candidates[compare ? chooseCanonical(candidates, compare) : 0];
+        groups.push({
+            key,
+            rows: members.map((member) => member.row),
+            canonical: members.indexOf(best)
+        });
+    });
+    return groups;
+}
+
+/**
+ * Propose a new handle for every row of a group except the one that keeps its URL. The
+ * handle is made from the row's title, usually the newly generated one, and must differ
+ * from every handle in the input and every handle proposed before, and may not be one of
+ * them with a number Shopify would add, or the other way round. Rows without such a handle
+ * keep theirs, with the reason as issue.
+ * @param {Array<Object>} groups - Groups from findDuplicateHandles
+ * @param {Object} options - Proposal options
+ * @param {Array<string>} options.existingHandles - Every handle in the input
+ * @param {Function} options.titleOf - (row) => title to make the handle from
+ * @returns {Array<Object>} Proposals with row, original, handle, status and issue
+ */
+function proposeHandles(groups, { existingHandles = [], titleOf = (row) => row.Title } = {}) {
+    const taken = new Set(existingHandles.map(normalizeHandle));
+    const isTaken = (handle) => taken.has(handle);
+
+    return groups.flatMap(({ key, rows, canonical }) =>
+        rows
+            .filter((row, index) => index !== canonical)
+            .map((row) => {
+                const original = row[HANDLE_COLUMN];
+                const handle = slugify(titleOf(row));
+                const keep = (issue) => ({
+                    row,
+                    original,
+                    handle: original,
+                    status: 'fallback',
+                    issue
+                });
+
+                if (!handle || handle === key || getNumberedBase(handle, isTaken) === key) {
+                    return keep(`the title gives no handle that differs from "${key}"; edit it`);
+                }
+                if (isTaken(handle) || isTaken(`${handle}-1`) || getNumberedBase(handle, isTaken)) {
+                    return keep(`"${handle}" is too close to a handle already in use; edit it`);
+                }
+
+                taken.add(handle);
+                return { row, original, handle, status: 'generated', issue: '' };
+            })
+    );
+}
+
+/**
+ * Put a proposed handle into a row of the variations file, as one more field with
+ * its original, status and issue
+ * @param {Object} variation - Row of the variations file
+ * @param {Object} proposal - Proposal from proposeHandles
+ */
+function addHandleToVariation(variation, { original, handle, status, issue }) {
+    const append = (list, entry, separator) =>
+        [...(list || '').split(separator).filter(Boolean), entry].join(separator);
+
+    variation[HANDLE_COLUMN] = handle;
+    variation[`original_${HANDLE_COLUMN}`] = original;
+    variation.duplicate = 'true';
+    variation.duplicateFields = append(variation.duplicateFields, HANDLE_COLUMN, ',');
+    variation.variationStatus = append(
+        variation.variationStatus,
+        `${HANDLE_COLUMN}:${status}`,
+        ','
+    );
+    if (issue) {
+        variation.variationIssues = append(
+            variation.variationIssues,
+            `${HANDLE_COLUMN}: ${issue}`,
+            ' | '
+        );
+    }
+}
+
+/**
+ * Build the URL redirects for changed handles. An old handle that another row of the
+ * input keeps using gets no redirect, since its URL still leads somewhere.
+ * @param {Array<Object>} changes - Changed handles with original, value and the URL prefix
+ * of their entity, e.g. "/collections/"
+ * @param {Object} options - Redirect options
+ * @param {Array<string>} options.inputHandles - Every handle in the input, before the change
+ * @param {string} options.format - One of the REDIRECT_FORMATS keys
+ * @returns {Array<Object>} Rows of the redirects file
+ */
+function buildRedirects(changes, { inputHandles = [], format = 'matrixify' } = {}) {
+    if (!REDIRECT_FORMATS[format]) {
+        throw new Error(
+            `Unknown redirects format "${format}". Use one of: ${Object.keys(REDIRECT_FORMATS).join(', ')}`
+        );
+    }
+
+    const remaining = new Map();
+    inputHandles.map(normalizeHandle).forEach((handle) => {
+        remaining.set(handle, (remaining.get(handle) || 0) + 1);
+    });
+    changes.forEach(({ original }) => {
+        const handle = normalizeHandle(original);
+        remaining.set(handle, (remaining.get(handle) || 0) - 1);
+    });
+
+    return changes
+        .filter(({ original }) => !(remaining.get(normalizeHandle(original)) > 0))
+        .map(({ original, value, prefix }) => {
+            const from = `${prefix}${original}`;
+            const to = `${prefix}${value}`;
+            return format === 'shopify'
+                ? { 'Redirect from': from, 'Redirect to': to }
+                : { Path: from, Target: to, Command: 'MERGE' };
+        });
+}
+
+export {
+    HANDLE_COLUMN,
+    REDIRECT_FORMATS,
+    slugify,
+    findDuplicateHandles,
+    proposeHandles,
+    addHandleToVariation,
+    buildRedirects
+};
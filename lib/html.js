@@ -0,0 +1,177 @@
+/**
+ * Minimal HTML tokenizer used to rewrite the text of an HTML field while
+ * leaving every tag exactly as it was
+ */
+
+// Elements that never have a closing tag
+const VOID_ELEMENTS = new Set([
+    'area',
+    'base',
+    'br',
+    'col',
+    'embed',
+    'hr',
+    'img',
+    'input',
+    'link',
+    'meta',
+    'source',
+    'track',
+    'wbr'
+]);
+
+// Elements whose text content is not prose and must not be rewritten
+const RAW_TEXT_ELEMENTS = new Set(['script', 'style']);
+
+// Comments, doctypes and tags (attribute values may contain '>')
+const TAG_PATTERN =
+    /<!--[\s\S]*?-->|<![^>]*>|<\/?[a-zA-Z][^\s/>]*(?:\s*[^\s=>/]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s>]+))?)*\s*\/?>/g;
+
+/**
+ * Split HTML into tag, comment and text tokens. Joining the `raw` values of
+ * the tokens gives back the input unchanged.
+ * @param {string} html - HTML to tokenize
+ * @returns {Array<Object>} Tokens with type, raw and, for tags, name and closing
+ */
+function tokenizeHtml(html) {
+    const tokens = [];
+    let lastIndex = 0;
+    let match;
+
+    TAG_PATTERN.lastIndex = 0;
+    while ((match = TAG_PATTERN.exec(html)) !== null) {
+        if (match.index > lastIndex) {
+            tokens.push({ type: 'text', raw: html.slice(lastIndex, match.index) });
+        }
+
+        const raw = match[0];
+        if (raw.startsWith('<!')) {
+            tokens.push({ type: 'comment', raw });
+        } else {
+            const name = raw.match(/^<\/?([^\s/>]+)/)[1].toLowerCase();
+            tokens.push({
+                type: 'tag',
+                raw,
+                name,
+                closing: raw.startsWith('</'),
+                selfClosing: VOID_ELEMENTS.has(name) || raw.endsWith('/>')
+            });
+        }
+        lastIndex = TAG_PATTERN.lastIndex;
+    }
+
+    if (lastIndex < html.length) {
+        tokens.push({ type: 'text', raw: html.slice(lastIndex) });
+    }
+
+    return tokens;
+}
+
+/**
+ * Check that every opened HTML tag is closed in the right order
+ * @param {string} html - HTML to check
+ * @returns {string|null} What is wrong, or null if the tags are balanced
+ */
+function checkHtmlTags(html) {
+    const stack = [];
+
+    for (const token of tokenizeHtml(html)) {
+        if (token.type !== 'tag' || token.selfClosing) continue;
+
+        if (!token.closing) {
+            stack.push(token.name);
+        } else if (stack[stack.length - 1] === token.name) {
+            stack.pop();
+        } else {
+            return `unexpected closing tag </${token.name}>`;
+        }
+    }
+
+    if (stack.length > 0) {
+        return `unclosed tag <${stack[stack.length - 1]}>`;
+    }
+    return null;
+}
+
+/**
+ * Compare the markup of two HTML strings. Tags, attributes and comments must be
+ * identical and in the same order; only the text between them may differ.
+ * @param {string} original - The original HTML
+ * @param {string} variation - The rewritten HTML
+ * @returns {string|null} The first difference, or null if the structure is identical
+ */
+function compareHtmlStructure(original, variation) {
+    const originalTags = tokenizeHtml(original).filter((token) => token.type !== 'text');
+    const variationTags = tokenizeHtml(variation).filter((token) => token.type !== 'text');
+
+    const length = Math.max(originalTags.length, variationTags.length);
+    for (let i = 0; i < length; i++) {
+        const expected = originalTags[i];
+        const actual = variationTags[i];
+
+        if (!expected) {
+            return `unexpected extra markup ${actual.raw}`;
+        }
+        if (!actual) {
+            return `missing markup ${expected.raw}`;
+        }
+        if (expected.raw !== actual.raw) {
+            return `expected ${expected.raw} but found ${actual.raw}`;
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Extract the rewritable text of an HTML document. Whitespace around each text
+ * node, text inside script/style and text without letters are left alone.
+ * @param {string} html - The original HTML
+ * @returns {Object} The text segments and a rebuild(texts) function that puts new
+ * texts back in place of the segments
+ */
+function extractTextSegments(html) {
+    const tokens = tokenizeHtml(html);
+    const segments = [];
+    const slots = [];
+    const openElements = [];
+
+    tokens.forEach((token, index) => {
+        if (token.type === 'tag' && !token.selfClosing) {
+            if (!token.closing) {
+                openElements.push(token.name);
+            } else if (openElements.includes(token.name)) {
+                openElements.splice(openElements.lastIndexOf(token.name));
+            }
+            return;
+        }
+
+        if (token.type !== 'text' || !/\p{L}/u.test(token.raw)) return;
+        if (openElements.some((name) => RAW_TEXT_ELEMENTS.has(name))) return;
+
+        const [, leading, text, trailing] = token.raw.match(/^(\s*)([\s\S]*?)(\s*)$/);
+        segments.push(text);
+        slots.push({ index, leading, trailing });
+    });
+
+    /**
+     * Rebuild the document with new texts for the segments
+     * @param {Array<string>} texts - One replacement per segment, in order
+     * @returns {string} The rebuilt HTML
+     */
+    function rebuild(texts) {
+        if (texts.length !== segments.length) {
+            throw new Error(`Expected ${segments.length} text segments, got ${texts.length}`);
+        }
+
+        const raws = tokens.map((token) => token.raw);
+        slots.forEach(({ index, leading, trailing }, i) => {
+            raws[index] = `${leading}${texts[i].trim()}${trailing}`;
+        });
+        return raws.join('');
+    }
+
+    return { segments, rebuild };
+}
+
+export { tokenizeHtml, checkHtmlTags, compareHtmlStructure, extractTextSegments, VOID_ELEMENTS };
@@ -0,0 +1,106 @@
+import fs from 'fs';
+import { SOURCE_COLUMN } from './csv.js';
+import { log } from './logger.js';
+
+/**
+ * Build the lookup key for a journal entry; rows with the same ID in different files of
+ * a multi-file run get their own
+ * @param {string} id - Row ID
+ * @param {string} field - Field name
+ * @param {string} sourceFile - File the row came from, in a multi-file run
+ * @returns {string} The key
+ */
+function getJournalKey(id, field, sourceFile) {
+    return `${sourceFile || ''}\u0000${id}\u0000${field}`;
+}
+
+/**
+ * Read the entries of an existing journal file. Lines that cannot be parsed
+ * (for example a line cut off by a crash) are skipped.
+ * @param {string} filePath - Path to the journal file
+ * @returns {Array<Object>} The journal entries
+ */
+function readJournal(filePath) {
+    if (!fs.existsSync(filePath)) {
+        return [];
+    }
+
+    const entries = [];
+    const lines = fs.readFileSync(filePath, 'utf8').split('\n');
+
+    lines.forEach((line, index) => {
+        if (line.trim() === '') return;
+        try {
+            entries.push(JSON.parse(line));
+        } catch (error) {
+            log.warn(`Skipping unreadable journal line ${index + 1} in ${filePath}`);
+        }
+    });
+
+    return entries;
+}
+
+/**
+ * Open the progress journal. Every completed field is appended to the file
+ * straight away, so a crash or Ctrl+C loses at most the requests in flight.
+ * @param {string} filePath - Path to the JSONL journal file
+ * @param {Object} options - Journal options
+ * @param {boolean} options.resume - Keep existing entries instead of starting over
+ * @returns {Object} Journal with get, record and size
+ */
+function openJournal(filePath, { resume = false } = {}) {
+    const entries = new Map();
+
+    if (resume) {
+        readJournal(filePath).forEach((entry) => {
+            entries.set(getJournalKey(entry.id, entry.field, entry[SOURCE_COLUMN]), entry);
+        });
+        log.info(`Loaded ${entries.size} completed fields from ${filePath}`);
+
+        // Terminate a line cut off by a crash so new entries start on their own line
+        if (fs.existsSync(filePath)) {
+            const contents = fs.readFileSync(filePath, 'utf8');
+            if (contents.length > 0 && !contents.endsWith('\n')) {
+                fs.appendFileSync(filePath, '\n', 'utf8');
+            }
+        }
+    } else {
+        fs.writeFileSync(filePath, '', 'utf8');
+    }
+
+    return {
+        filePath,
+
+        /**
+         * Get the completed entry for a row field, if the original value still matches
+         * @param {Object} row - Input row, with ID and sourceFile
+         * @param {string} field - Field name
+         * @param {string} original - Current original value of the field
+         * @returns {Object|undefined} The entry
+         */
+        get(row, field, original) {
+            const entry = entries.get(getJournalKey(row.ID, field, row[SOURCE_COLUMN]));
+            if (entry && entry.original === original) {
+                return entry;
+            }
+            return undefined;
+        },
+
+        /**
+         * Append a completed field to the journal
+         * @param {Object} entry - Entry with id, field, original and value, and sourceFile
+         * in a multi-file run
+         */
+        record(entry) {
+            const stored = { ...entry, recordedAt: new Date().toISOString() };
+            fs.appendFileSync(filePath, `${JSON.stringify(stored)}\n`, 'utf8');
+            entries.set(getJournalKey(entry.id, entry.field, entry[SOURCE_COLUMN]), stored);
+        },
+
+        get size() {
+            return entries.size;
+        }
+    };
+}
+
+export { openJournal, readJournal };
@@ -0,0 +1,91 @@
+import { normalizeValue } from './similarity.js';
+
+// Frequent function words per language, used as a lightweight language fingerprint
+const STOPWORDS = {
+    nl: (
+        'de het een en van voor met op in is zijn je jouw onze ons deze dit die dat niet ' +
+        'ook bij aan naar uit wij we of als maar om te wordt heeft alle meer tot'
+    ).split(' '),
+    en: (
+        'the a an and of for with on in is are you your our we this that these not also ' +
+        'at to from by or as but be it has have all more its can will'
+    ).split(' '),
+    de: (
+        'der die das ein eine und von für mit auf im ist sind sie ihr ihre unsere wir ' +
+        'dieser diese nicht auch bei zu aus oder als aber den dem des wird hat alle'
+    ).split(' '),
+    fr: (
+        'le la les un une et de du des pour avec sur dans est sont vous votre vos notre ' +
+        'nos nous ce cette ces pas aussi au aux ou mais par qui que tous plus son'
+    ).split(' ')
+};
+
+const STOPWORD_SETS = Object.fromEntries(
+    Object.entries(STOPWORDS).map(([language, words]) => [language, new Set(words)])
+);
+
+/**
+ * Detect the language of a text by counting stopwords
+ * @param {string} text - Text to inspect (HTML is stripped)
+ * @param {Object} options - Detection options
+ * @param {number} options.minMatches - Stopwords the best language needs before a guess is made
+ * @returns {Object|null} The language code and confidence (0-1), or null if the text is too
+ * short or ambiguous to tell
+ */
+function detectLanguage(text, { minMatches = 3 } = {}) {
+    const words = normalizeValue(text).split(' ').filter(Boolean);
+    const scores = Object.keys(STOPWORD_SETS).map((language) => ({
+        language,
+        matches: words.filter((word) => STOPWORD_SETS[language].has(word)).length
+    }));
+
+    scores.sort((a, b) => b.matches - a.matches);
+    const [best, second] = scores;
+
+    if (best.matches < minMatches || best.matches === second.matches) {
+        return null;
+    }
+
+    return {
+        language: best.language,
+        confidence: (best.matches - second.matches) / best.matches
+    };
+}
+
+/**
+ * Turn a locale value such as "de-DE", "fr_FR" or "EN" into a language code
+ * @param {string} value - Locale value
+ * @returns {string} Lowercase language code
+ */
+function normalizeLocale(value) {
+    return String(value).trim().toLowerCase().split(/[-_]/)[0];
+}
+
+/**
+ * Decide which locale to use for a row. A locale column wins when it has a value,
+ * then the run locale; the run locale "auto" detects the language from the row's text.
+ * Locales without templates fall back to the fallback locale.
+ * @param {Object} row - The row being processed
+ * @param {Object} options - Locale settings
+ * @param {string} options.locale - Run locale, or "auto"
+ * @param {string} options.localeColumn - Column holding each row's locale, if any
+ * @param {Array<string>} options.availableLocales - Locales that have templates
+ * @param {string} options.fallbackLocale - Locale used when nothing else applies
+ * @returns {string} The locale for the row
+ */
+function resolveRowLocale(row, { locale, localeColumn, availableLocales, fallbackLocale }) {
+    let resolved = null;
+
+    if (localeColumn && row[localeColumn] && row[localeColumn].trim() !== '') {
+        resolved = normalizeLocale(row[localeColumn]);
+    } else if (locale === 'auto') {
+        const detected = detectLanguage(Object.values(row).join(' '));
+        resolved = detected ? detected.language : null;
+    } else if (locale) {
+        resolved = normalizeLocale(locale);
+    }
+
+    return resolved && availableLocales.includes(resolved) ? resolved : fallbackLocale;
+}
+
+export { detectLanguage, normalizeLocale, resolveRowLocale, STOPWORDS };
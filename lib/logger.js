@@ -1,6 +1,11 @@
+import fs from 'fs';
+import { performance } from 'perf_hooks';
+import util from 'util';
+
 /**
  * Simple logger utility that wraps console methods with emoji indicators
- * and provides consistent formatting
+ * and provides consistent formatting. Every message is also written as a JSON
+ * line to the log file, when one is configured, with its level and event name.
  */
 
 // Default configuration
@@ -8,32 +13,115 @@ let config = {
     verbose: true
 };
 
+// Structured log: open file descriptor, fields added to every entry, and listeners
+let logFile = null;
+let context = {};
+const listeners = new Set();
+
+// Start times of running timers by label
+const timers = new Map();
+
+/**
+ * Record a log entry: send it to the listeners and append it to the log file
+ * @param {string} level - debug, info, warn or error
+ * @param {string} event - Event name, e.g. "message", "timer" or "field.finished"
+ * @param {string} message - Human-readable text, if any
+ * @param {Object} fields - Structured fields such as id, field or durationMs
+ */
+function record(level, event, message, fields = {}) {
+    if (logFile === null && listeners.size === 0) return;
+
+    const entry = { time: new Date().toISOString(), level, event, ...context, ...fields };
+    if (message !== undefined) {
+        entry.message = message;
+    }
+
+    listeners.forEach((listener) => listener(entry));
+    if (logFile !== null) {
+        fs.writeSync(logFile, `${JSON.stringify(entry)}\n`);
+    }
+}
+
+/**
+ * Record a console-style message. It is only formatted when someone receives it.
+ * @param {string} level - Log level
+ * @param {string} event - Event name
+ * @param {*} message - First argument
+ * @param {Array} args - Other arguments
+ */
+function recordMessage(level, event, message, args) {
+    if (logFile === null && listeners.size === 0) return;
+    record(level, event, util.format(message, ...args).trim());
+}
+
 const log = {
     // Core logging methods
     info: (message, ...args) => {
+        recordMessage('info', 'message', message, args);
         if (config.verbose) console.log(message, ...args);
     },
-    warn: (message, ...args) => console.warn('⚠️ Warning:', message, ...args),
-    error: (message, ...args) => console.error('❌ Error:', message, ...args),
-    success: (message, ...args) => console.log('✅', message, ...args),
+    warn: (message, ...args) => {
+        recordMessage('warn', 'message', message, args);
+        console.warn('⚠️ Warning:', message, ...args);
+    },
+    error: (message, ...args) => {
+        recordMessage('error', 'message', message, args);
+        console.error('❌ Error:', message, ...args);
+    },
+    success: (message, ...args) => {
+        recordMessage('info', 'success', message, args);
+        console.log('✅', message, ...args);
+    },
     progress: (message, ...args) => {
+        recordMessage('info', 'progress', message, args);
         if (config.verbose) console.log('🔄', message, ...args);
     },
     stats: (message, ...args) => {
+        recordMessage('info', 'stats', message, args);
         if (config.verbose) console.log('📊', message, ...args);
     },
 
-    // Timing methods (always enabled)
-    time: (label) => console.time(label),
-    timeEnd: (label) => console.timeEnd(label),
+    /**
+     * Record a structured event, and print its message when it has one
+     * @param {string} name - Event name, e.g. "field.finished"
+     * @param {Object} fields - Structured fields such as id, field or durationMs
+     * @param {Object} options - Event options
+     * @param {string} options.level - debug, info (default), warn or error
+     * @param {string} options.message - Text for the console and the log file, if any
+     */
+    event: (name, fields = {}, { level = 'info', message } = {}) => {
+        record(level, name, message, fields);
+        if (message === undefined) return;
+
+        if (level === 'error') {
+            console.error('❌ Error:', message);
+        } else if (level === 'warn') {
+            console.warn('⚠️ Warning:', message);
+        } else if (config.verbose && level !== 'debug') {
+            console.log(message);
+        }
+    },
+
+    // Timing methods (always enabled); the duration is logged with the given fields
+    time: (label) => timers.set(label, performance.now()),
+    timeEnd: (label, fields = {}) => {
+        if (!timers.has(label)) return;
+
+        const durationMs = performance.now() - timers.get(label);
+        timers.delete(label);
+        record('info', 'timer', label, { ...fields, label, durationMs: Math.round(durationMs) });
+        console.log(`${label}: ${durationMs.toFixed(3)}ms`);
+    },
 
     // Log a section header with consistent formatting
     section: (title) => {
+        record('info', 'section', title);
         if (config.verbose) console.log(`\n=== ${title} ===`);
     },
 
     // Log the end of a section with a summary
     sectionEnd: (title) => {
+        record('info', 'section', `${title} Complete`);
         if (config.verbose) console.log(`\n=== ${title} Complete ===`);
     },
 
@@ -65,13 +153,37 @@ const log = {
  * Configure logger with custom settings
  * @param {Object} options - Configuration options
  * @param {boolean} options.verbose - Whether to enable verbose logging
+ * @param {string|null} options.logFile - JSONL file the entries are appended to; null closes it
+ * @param {Object} options.context - Fields added to every entry, e.g. the run ID
  * @returns {Object} The configured logger
  */
 function configureLogger(options = {}) {
     if (typeof options.verbose === 'boolean') {
         config.verbose = options.verbose;
     }
+    if (options.logFile !== undefined) {
+        if (logFile !== null) {
+            fs.closeSync(logFile);
+            logFile = null;
+        }
+        if (options.logFile) {
+            logFile = fs.openSync(options.logFile, 'a');
+        }
+    }
+    if (options.context) {
+        context = { ...options.context };
+    }
     return log;
 }
 
-export { log, configureLogger };
+/**
+ * Receive every log entry as it is recorded
+ * @param {Function} listener - Called with each entry
+ * @returns {Function} Removes the listener again
+ */
+function addLogListener(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+}
+
+export { log, configureLogger, addLogListener };
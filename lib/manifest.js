@@ -0,0 +1,162 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import { createRequire } from 'module';
+import { pipeline } from 'stream/promises';
+import { addLogListener } from './logger.js';
+
+const { version } = createRequire(import.meta.url)('../package.json');
+
+// Settings that are never written to the manifest
+const SECRET_SETTINGS = ['apiKey'];
+
+/**
+ * Hash a file with SHA-256 without loading it in memory
+ * @param {string} filePath - The file
+ * @returns {Promise<string>} Hex digest
+ */
+async function hashFile(filePath) {
+    const hash = crypto.createHash('sha256');
+    await pipeline(fs.createReadStream(filePath), hash);
+    return hash.digest('hex');
+}
+
+/**
+ * Describe the input files of a run: path, size and SHA-256 hash
+ * @param {string|Array<string>} inputPath - Path or paths of the input files
+ * @returns {Promise<Array<Object>>} One entry per file; missing files have no size or hash
+ */
+async function describeInputs(inputPath) {
+    const paths = [].concat(inputPath).filter(Boolean);
+
+    return Promise.all(
+        paths.map(async (filePath) => {
+            if (!fs.existsSync(filePath)) {
+                return { path: filePath, bytes: null, sha256: null };
+            }
+            return {
+                path: filePath,
+                bytes: fs.statSync(filePath).size,
+                sha256: await hashFile(filePath)
+            };
+        })
+    );
+}
+
+/**
+ * Count what a command returned: lists by their length, numbers and flags as they are.
+ * The marked rows that detect and generate return as `result` are counted as rows.
+ * @param {Object} result - Return value of the command
+ * @returns {Object} The counts
+ */
+function countResult(result) {
+    const counts = {};
+    if (!result || typeof result !== 'object') {
+        return counts;
+    }
+
+    Object.entries(result).forEach(([key, value]) => {
+        if (Array.isArray(value)) {
+            counts[key === 'result' ? 'rows' : key] = value.length;
+        } else if (typeof value === 'number' || typeof value === 'boolean') {
+            counts[key] = value;
+        }
+    });
+    if (result.summary) {
+        counts.fields = result.summary.statuses;
+        counts.journaled = result.summary.journaled;
+    }
+    return counts;
+}
+
+/**
+ * Work out how a run ended
+ * @param {Object} result - Return value of the command, if it finished
+ * @param {Error} error - The error the run failed with, if any
+ * @returns {string} succeeded, cancelled or failed
+ */
+function getRunStatus(result, error) {
+    if (error) return 'failed';
+    return result && result.cancelled ? 'cancelled' : 'succeeded';
+}
+
+/**
+ * Start recording the manifest of a run. From now on every error logged and the
+ * duration of every timer that is not about a single field is collected.
+ * @param {Object} options - Run details
+ * @param {string} options.command - Name of the command
+ * @param {Object} options.config - Resolved run configuration
+ * @param {string} options.runId - ID of the run, also found in the structured log
+ * @returns {Object} Manifest recorder with finish()
+ */
+function startRunManifest({ command, config, runId }) {
+    const startedAt = new Date();
+    const errors = [];
+    const timings = {};
+    let warnings = 0;
+
+    const removeListener = addLogListener((entry) => {
+        if (entry.level === 'error') {
+            errors.push(entry);
+        } else if (entry.level === 'warn') {
+            warnings++;
+        }
+        if (entry.event === 'timer' && entry.field === undefined) {
+            timings[entry.label] = (timings[entry.label] || 0) + entry.durationMs;
+        }
+    });
+
+    return {
+        /**
+         * Stop recording and write the manifest
+         * @param {Object} outcome - How the run ended
+         * @param {Object} outcome.result - Return value of the command, if it finished
+         * @param {Error} outcome.error - The error the run failed with, if any
+         * @returns {Promise<Object>} The manifest
+         */
+        async finish({ result, error } = {}) {
+            removeListener();
+            const finishedAt = new Date();
+
+            const settings = { ...config };
+            SECRET_SETTINGS.forEach((key) => {
+                if (settings[key] !== undefined) settings[key] = '[redacted]';
+            });
+
+            const manifest = {
+                runId,
+                command,
+                status: getRunStatus(result, error),
+                version,
+                node: process.version,
+                startedAt: startedAt.toISOString(),
+                finishedAt: finishedAt.toISOString(),
+                durationMs: finishedAt - startedAt,
+                inputs: await describeInputs(config.inputPath),
+                model: {
+                    provider: config.provider,
+                    model: config.model,
+                    host: config.host,
+                    options: {
+                        temperature: config.temperature,
+                        seed: config.seed,
+                        numCtx: config.numCtx
+                    }
+                },
+                counts: countResult(result),
+                requests: (result && result.summary && result.summary.requests) || null,
+                timings,
+                warnings,
+                errors,
+                config: settings
+            };
+            if (error) {
+                manifest.error = error.message;
+            }
+
+            fs.writeFileSync(config.manifestPath, JSON.stringify(manifest, null, 2) + '\n', 'utf8');
+            return manifest;
+        }
+    };
+}
+
+export { hashFile, describeInputs, countResult, getRunStatus, startRunManifest };
@@ -0,0 +1,372 @@
+import path from 'path';
+import { writeToCSV, SOURCE_COLUMN } from './csv.js';
+import { log } from './logger.js';
+
+// Commands Matrixify accepts in the Command column
+const MATRIXIFY_COMMANDS = ['NEW', 'MERGE', 'UPDATE', 'REPLACE', 'DELETE', 'IGNORE'];
+
+// Columns shared by Smart and Custom Collections sheets
+const COLLECTION_COLUMNS = [
+    'ID',
+    'Handle',
+    'Command',
+    'Title',
+    'Body HTML',
+    'Sort Order',
+    'Template Suffix',
+    'Updated At',
+    'Published',
+    'Published At',
+    'Published Scope',
+    'Image Src',
+    'Image Width',
+    'Image Height',
+    'Image Alt Text',
+    'Row #',
+    'Top Row'
+];
+
+// Columns that number the lines of a multi-row export rather than describe the entity
+const LINE_COLUMNS = ['Row #', 'Top Row'];
+
+// Metafield columns look like "Metafield: title_tag [string]" and may appear on every sheet
+const METAFIELD_PATTERN = /^Metafield: \S+/;
+
+/**
+ * Known Matrixify sheets. `columns` are in the order Matrixify exports them;
+ * `patterns` match the columns whose names depend on the store (metafields, locations);
+ * `urlPrefix` is the path of the storefront URLs, in front of the handle.
+ */
+const ENTITIES = {
+    'smart-collections': {
+        sheet: 'Smart Collections',
+        urlPrefix: '/collections/',
+        columns: [
+            ...COLLECTION_COLUMNS,
+            'Must Match',
+            'Rule: Product Column',
+            'Rule: Relation',
+            'Rule: Condition'
+        ],
+        patterns: [METAFIELD_PATTERN]
+    },
+    'custom-collections': {
+        sheet: 'Custom Collections',
+        urlPrefix: '/collections/',
+        columns: [...COLLECTION_COLUMNS, 'Product: ID', 'Product: Handle', 'Product: Position'],
+        patterns: [METAFIELD_PATTERN]
+    },
+    products: {
+        sheet: 'Products',
+        urlPrefix: '/products/',
+        columns: [
+            'ID',
+            'Handle',
+            'Command',
+            'Title',
+            'Body HTML',
+            'Vendor',
+            'Type',
+            'Tags',
+            'Tags Command',
+            'Created At',
+            'Updated At',
+            'Status',
+            'Published',
+            'Published At',
+            'Published Scope',
+            'Template Suffix',
+            'Gift Card',
+            'URL',
+            'Total Inventory Qty',
+            'Row #',
+            'Top Row',
+            'Category: ID',
+            'Category: Name',
+            'Category',
+            'Custom Collections',
+            'Smart Collections',
+            'Image Type',
+            'Image Src',
+            'Image Command',
+            'Image Position',
+            'Image Width',
+            'Image Height',
+            'Image Alt Text',
+            'Variant Inventory Item ID',
+            'Variant ID',
+            'Variant Command',
+            'Option1 Name',
+            'Option1 Value',
+            'Option2 Name',
+            'Option2 Value',
+            'Option3 Name',
+            'Option3 Value',
+            'Variant Position',
+            'Variant SKU',
+            'Variant Barcode',
+            'Variant Image',
+            'Variant Weight',
+            'Variant Weight Unit',
+            'Variant Price',
+            'Variant Compare At Price',
+            'Variant Taxable',
+            'Variant Tax Code',
+            'Variant Inventory Tracker',
+            'Variant Inventory Policy',
+            'Variant Fulfillment Service',
+            'Variant Requires Shipping',
+            'Variant Inventory Qty',
+            'Variant Inventory Adjust',
+            'Variant Cost',
+            'Variant HS Code',
+            'Variant Country of Origin',
+            'Variant Province of Origin'
+        ],
+        patterns: [METAFIELD_PATTERN, /^Variant Metafield: \S+/, /^Inventory Available: /]
+    }
+};
+
+/**
+ * Guess the Matrixify entity of an export from its columns, then from its file name
+ * @param {Array<string>} columns - Columns of the original export
+ * @param {string} filePath - Path of the original export
+ * @returns {string} Entity key from ENTITIES
+ */
+function detectEntity(columns, filePath = '') {
+    if (columns.some((column) => column === 'Must Match' || column.startsWith('Rule: '))) {
+        return 'smart-collections';
+    }
+    if (columns.some((column) => column.startsWith('Product: '))) {
+        return 'custom-collections';
+    }
+    if (
+        columns.some((column) => ['Vendor', 'Type', 'Variant ID', 'Variant SKU'].includes(column))
+    ) {
+        return 'products';
+    }
+
+    const fileName = path.basename(filePath).toLowerCase();
+    if (fileName.includes('smart')) return 'smart-collections';
+    if (fileName.includes('custom')) return 'custom-collections';
+    if (fileName.includes('product')) return 'products';
+
+    throw new Error(
+        `Could not tell which Matrixify sheet ${filePath || 'the input'} is. ` +
+            `Set --entity to one of: ${Object.keys(ENTITIES).join(', ')}`
+    );
+}
+
+/**
+ * Key of the entity a row belongs to: its ID, or its Handle when it has none
+ * @param {Object} row - Row of an export
+ * @returns {string} The key, empty when the row has neither
+ */
+function getEntityKey(row) {
+    return row.ID || row.Handle || '';
+}
+
+/**
+ * Check whether a row continues the entity of the row before it, like the variant,
+ * image and metafield lines below the top row of a product in a Matrixify export
+ * @param {Object} row - Row of an export
+ * @param {Object} previous - The row before it in the same file, if any
+ * @returns {boolean} Whether both rows have the same ID (or Handle) and file
+ */
+function isContinuationRow(row, previous) {
+    if (!previous) return false;
+    const key = getEntityKey(row);
+    return (
+        key !== '' &&
+        key === getEntityKey(previous) &&
+        row[SOURCE_COLUMN] === previous[SOURCE_COLUMN]
+    );
+}
+
+/**
+ * Collect the columns that hold a value per line rather than per entity: the line
+ * number columns and every column where a line below a top row has a value of its own,
+ * such as the variant and image columns of a product. Lines that leave a column empty
+ * or repeat the value of their top row, as some exports do for `Title`, keep it an
+ * entity column.
+ * @param {Array<Object>} rows - Rows of an export in file order, starting with a top row
+ * @param {Set<string>} columns - Set to add the columns to, e.g. while streaming
+ * @returns {Set<string>} The line columns
+ */
+function getLineColumns(rows, columns = new Set(LINE_COLUMNS)) {
+    let top = null;
+    rows.forEach((row, index) => {
+        if (!isContinuationRow(row, rows[index - 1])) {
+            top = row;
+            return;
+        }
+
+        Object.keys(row).forEach((column) => {
+            const value = row[column];
+            if (value && value.trim() !== '' && value !== top[column]) {
+                columns.add(column);
+            }
+        });
+    });
+    return columns;
+}
+
+/**
+ * Keep the top row of every entity, leaving out the lines that continue it
+ * @param {Array<Object>} rows - Rows of an export, in file order
+ * @returns {Array<Object>} The top rows
+ */
+function getTopRows(rows) {
+    return rows.filter((row, index) => !isContinuationRow(row, rows[index - 1]));
+}
+
+/**
+ * Check whether a column belongs on an entity's sheet
+ * @param {string} column - Column name
+ * @param {string} entity - Entity key from ENTITIES
+ * @returns {boolean} Whether Matrixify knows the column
+ */
+function isKnownColumn(column, entity) {
+    const { columns, patterns } = ENTITIES[entity];
+    return columns.includes(column) || patterns.some((pattern) => pattern.test(column));
+}
+
+/**
+ * Turn variation rows into Matrixify import rows. Only fields that got a new value
+ * are kept, `Command` becomes UPDATE, and the helper and `original_*` columns are dropped.
+ * @param {Array<Object>} variations - Rows of the variations file
+ * @returns {Array<Object>} Import rows; rows without any new value are left out
+ */
+function buildMatrixifyRows(variations) {
+    return variations
+        .map((variation) => {
+            const fields = (variation.duplicateFields || '')
+                .split(',')
+                .filter(
+                    (field) =>
+                        field &&
+                        variation[field] !== undefined &&
+                        variation[field] !== '' &&
+                        variation[field] !== variation[`original_${field}`]
+                );
+            if (fields.length === 0) return null;
+
+            const row = { ID: variation.ID, Handle: variation.Handle, Command: 'UPDATE' };
+            fields.forEach((field) => {
+                row[field] = variation[field];
+            });
+            return row;
+        })
+        .filter(Boolean);
+}
+
+/**
+ * Order the columns of import rows the way Matrixify exports them. Pattern columns
+ * such as metafields follow the fixed columns, in the order they first appear.
+ * @param {Array<Object>} rows - Import rows
+ * @param {string} entity - Entity key from ENTITIES
+ * @returns {Array<string>} Column names
+ */
+function getMatrixifyColumns(rows, entity) {
+    const present = new Set();
+    rows.forEach((row) => Object.keys(row).forEach((column) => present.add(column)));
+
+    const fixed = ENTITIES[entity].columns.filter((column) => present.has(column));
+    const rest = [...present].filter((column) => !fixed.includes(column));
+    return [...fixed, ...rest];
+}
+
+/**
+ * Check import rows against the column schema of an entity
+ * @param {Array<Object>} rows - Import rows
+ * @param {string} entity - Entity key from ENTITIES
+ * @returns {Array<string>} Problems found (empty when the rows can be imported)
+ */
+function validateMatrixifyRows(rows, entity) {
+    if (!ENTITIES[entity]) {
+        return [`unknown entity "${entity}"`];
+    }
+
+    const problems = getMatrixifyColumns(rows, entity)
+        .filter((column) => !isKnownColumn(column, entity))
+        .map((column) => `column "${column}" is not a ${ENTITIES[entity].sheet} column`);
+
+    rows.forEach((row, index) => {
+        // Header is line 1, so data rows start at line 2
+        const line = index + 2;
+        if (!row.ID && !row.Handle) {
+            problems.push(`line ${line} has neither an ID nor a Handle`);
+        }
+        if (row.Command && !MATRIXIFY_COMMANDS.includes(row.Command)) {
+            problems.push(`line ${line} has unknown command "${row.Command}"`);
+        }
+    });
+
+    return problems;
+}
+
+/**
+ * Load the optional XLSX writer
+ * @returns {Promise<Object>} The exceljs module
+ */
+async function loadExcelJS() {
+    try {
+        const { default: ExcelJS } = await import('exceljs');
+        return ExcelJS;
+    } catch (error) {
+        throw new Error(
+            `Writing .xlsx files needs the optional "exceljs" package (npm install exceljs): ${error.message}`
+        );
+    }
+}
+
+/**
+ * Write Matrixify import sheets. An .xlsx path gets one worksheet per entity, named
+ * the way Matrixify expects; any other path is written as CSV, which holds one sheet.
+ * @param {Array<Object>} sheets - Sheets with entity and rows
+ * @param {string} filePath - Path to write to
+ * @returns {Promise<void>}
+ */
+async function writeMatrixifyFile(sheets, filePath) {
+    if (path.extname(filePath).toLowerCase() !== '.xlsx') {
+        if (sheets.length > 1) {
+            throw new Error(
+                `A CSV file holds one Matrixify sheet, got ${sheets.length}. Export to an .xlsx file instead`
+            );
+        }
+        const [{ entity, rows }] = sheets;
+        writeToCSV(rows, filePath, { columns: getMatrixifyColumns(rows, entity) });
+        return;
+    }
+
+    const ExcelJS = await loadExcelJS();
+    const workbook = new ExcelJS.Workbook();
+
+    sheets.forEach(({ entity, rows }) => {
+        const worksheet = workbook.addWorksheet(ENTITIES[entity].sheet);
+        worksheet.columns = getMatrixifyColumns(rows, entity).map((column) => ({
+            header: column,
+            key: column
+        }));
+        worksheet.addRows(rows);
+    });
+
+    log.info(`Writing ${sheets.length} sheet(s) to ${filePath}...`);
+    await workbook.xlsx.writeFile(filePath);
+    log.success(`Successfully wrote data to ${filePath}`);
+}
+
+export {
+    ENTITIES,
+    MATRIXIFY_COMMANDS,
+    detectEntity,
+    LINE_COLUMNS,
+    getEntityKey,
+    isContinuationRow,
+    getLineColumns,
+    getTopRows,
+    buildMatrixifyRows,
+    getMatrixifyColumns,
+    validateMatrixifyRows,
+    writeMatrixifyFile
+};
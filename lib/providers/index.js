@@ -0,0 +1,54 @@
+import { createOllamaProvider } from './ollama.js';
+import { createOpenAIProvider } from './openai.js';
+import { createMockProvider } from './mock.js';
+
+/**
+ * A provider hides one LLM backend behind a single method:
+ *
+ *     chat(messages, { signal }) -> Promise<string>
+ *
+ * where messages are `{ role, content }` objects and the optional AbortSignal
+ * cancels the request. Providers also expose `name`, `model` and the generation
+ * `options` they were created with.
+ */
+const PROVIDERS = {
+    ollama: createOllamaProvider,
+    openai: createOpenAIProvider,
+    mock: createMockProvider
+};
+
+/**
+ * Create the provider selected in the run configuration
+ * @param {Object} settings - Provider settings
+ * @param {string} settings.provider - Provider name: ollama, openai or mock
+ * @param {string} settings.host - Server URL (provider default when not set)
+ * @param {string} settings.model - Model name
+ * @param {string} settings.apiKey - API key for OpenAI-compatible servers
+ * @param {number} settings.temperature - Sampling temperature
+ * @param {number} settings.seed - Random seed
+ * @param {number} settings.numCtx - Context window size
+ * @returns {Object} The provider
+ */
+function createProvider({ provider = 'ollama', host, model, apiKey, temperature, seed, numCtx }) {
+    const factory = PROVIDERS[provider];
+    if (!factory) {
+        throw new Error(
+            `Unknown provider "${provider}". Available providers: ${Object.keys(PROVIDERS).join(', ')}`
+        );
+    }
+
+    const settings = { model, apiKey, options: { temperature, seed, numCtx } };
+    if (host) {
+        settings.host = host;
+    }
+
+    return factory(settings);
+}
+
+export {
+    createProvider,
+    PROVIDERS,
+    createOllamaProvider,
+    createOpenAIProvider,
+    createMockProvider
+};
@@ -0,0 +1,58 @@
+import crypto from 'crypto';
+import { wait } from '../scheduler.js';
+
+/**
+ * Create a deterministic provider that never calls a model, for tests and dry runs.
+ * Without scripted responses it answers with a variation derived from a hash of
+ * the prompt, so the same prompt always gets the same reply.
+ * @param {Object} settings - Provider settings
+ * @param {string} settings.model - Model name reported by the provider
+ * @param {Array<string>|Function} settings.responses - Replies returned in order, or a
+ * function (messages, callIndex) returning the reply. Errors in the array are thrown.
+ * @param {number} settings.delay - Milliseconds to wait before replying, to simulate a model
+ * @returns {Object} Provider implementing chat(messages), with the received calls in `calls`
+ */
+function createMockProvider({ model = 'mock', responses, delay = 0, options = {} } = {}) {
+    const calls = [];
+
+    return {
+        name: 'mock',
+        model,
+        options,
+        calls,
+
+        /**
+         * Return the next scripted reply
+         * @param {Array<Object>} messages - Chat messages with role and content
+         * @param {Object} requestOptions - Per-request options
+         * @param {AbortSignal} requestOptions.signal - Cancels the delay, if given
+         * @returns {Promise<string>} The reply
+         */
+        async chat(messages, { signal } = {}) {
+            const callIndex = calls.length;
+            calls.push(messages);
+
+            if (delay > 0) {
+                await wait(delay, signal);
+            }
+
+            let reply;
+            if (typeof responses === 'function') {
+                reply = await responses(messages, callIndex);
+            } else if (Array.isArray(responses) && responses.length > 0) {
+                reply = responses[callIndex % responses.length];
+            } else {
+                const prompt = messages.map((message) => message.content).join('\n');
+                const hash = crypto.createHash('sha256').update(prompt).digest('hex');
+                reply = `Mock variatie ${hash.slice(0, 8)}`;
+            }
+
+            if (reply instanceof Error) {
+                throw reply;
+            }
+            return reply;
+        }
+    };
+}
+
+export { createMockProvider };
@@ -0,0 +1,52 @@
+import { Ollama } from 'ollama';
+
+const DEFAULT_HOST = 'http://127.0.0.1:11434';
+
+/**
+ * Create a provider that talks to an Ollama server
+ * @param {Object} settings - Provider settings
+ * @param {string} settings.host - Ollama host URL
+ * @param {string} settings.model - Model name
+ * @param {Object} settings.options - Generation options (temperature, seed, numCtx)
+ * @returns {Object} Provider implementing chat(messages)
+ */
+function createOllamaProvider({ host = DEFAULT_HOST, model, options = {} }) {
+    const client = new Ollama({ host });
+
+    // Ollama expects snake_case option names and ignores unset ones
+    const ollamaOptions = {};
+    if (options.temperature !== undefined) ollamaOptions.temperature = options.temperature;
+    if (options.seed !== undefined) ollamaOptions.seed = options.seed;
+    if (options.numCtx !== undefined) ollamaOptions.num_ctx = options.numCtx;
+
+    return {
+        name: 'ollama',
+        host,
+        model,
+        options,
+
+        /**
+         * Send a chat request and return the reply text
+         * @param {Array<Object>} messages - Chat messages with role and content
+         * @param {Object} requestOptions - Per-request options
+         * @param {AbortSignal} requestOptions.signal - Cancels the request, if given
+         * @returns {Promise<string>} The reply
+         */
+        async chat(messages, { signal } = {}) {
+            // The client can only abort all of its requests at once, so a cancellable
+            // request gets a client of its own
+            const requestClient = signal
+                ? new Ollama({ host, fetch: (url, init) => fetch(url, { ...init, signal }) })
+                : client;
+
+            const response = await requestClient.chat({
+                model,
+                messages,
+                options: ollamaOptions
+            });
+            return response.message.content;
+        }
+    };
+}
+
+export { createOllamaProvider };
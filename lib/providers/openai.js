@@ -0,0 +1,71 @@
+const DEFAULT_HOST = 'http://127.0.0.1:8080';
+
+/**
+ * Build the chat completions URL, accepting hosts with or without a /v1 suffix
+ * @param {string} host - Server URL
+ * @returns {string} The endpoint URL
+ */
+function getCompletionsUrl(host) {
+    const base = host.replace(/\/+$/, '');
+    return base.endsWith('/v1') ? `${base}/chat/completions` : `${base}/v1/chat/completions`;
+}
+
+/**
+ * Create a provider for any OpenAI-compatible /v1/chat/completions endpoint
+ * (llama.cpp server, vLLM, LM Studio, ...)
+ * @param {Object} settings - Provider settings
+ * @param {string} settings.host - Server URL
+ * @param {string} settings.model - Model name
+ * @param {string} settings.apiKey - Bearer token, if the server needs one
+ * @param {Object} settings.options - Generation options (temperature, seed, numCtx)
+ * @returns {Object} Provider implementing chat(messages)
+ */
+function createOpenAIProvider({ host = DEFAULT_HOST, model, apiKey, options = {} }) {
+    const url = getCompletionsUrl(host);
+    const headers = { 'Content-Type': 'application/json' };
+    if (apiKey) {
+        headers.Authorization = `Bearer ${apiKey}`;
+    }
+
+    return {
+        name: 'openai',
+        host,
+        model,
+        options,
+
+        /**
+         * Send a chat request and return the reply text
+         * @param {Array<Object>} messages - Chat messages with role and content
+         * @param {Object} requestOptions - Per-request options
+         * @param {AbortSignal} requestOptions.signal - Cancels the request, if given
+         * @returns {Promise<string>} The reply
+         */
+        async chat(messages, { signal } = {}) {
+            // The context size is fixed when these servers start, so numCtx is not sent
+            const body = { model, messages };
+            if (options.temperature !== undefined) body.temperature = options.temperature;
+            if (options.seed !== undefined) body.seed = options.seed;
+
+            const response = await fetch(url, {
+                method: 'POST',
+                headers,
+                body: JSON.stringify(body),
+                signal
+            });
+
+            if (!response.ok) {
+                const text = await response.text();
+                throw new Error(`${url} responded with ${response.status}: ${text.slice(0, 200)}`);
+            }
+
+            const data = await response.json();
+            const content = data.choices?.[0]?.message?.content;
+            if (typeof content !== 'string') {
+                throw new Error(`${url} returned a response without message content`);
+            }
+            return content;
+        }
+    };
+}
+
+export { createOpenAIProvider, getCompletionsUrl };
@@ -0,0 +1,377 @@
+import fs from 'fs';
+import { SOURCE_COLUMN } from './csv.js';
+import { log } from './logger.js';
+import { parseVariationStatus } from './review.js';
+
+// Number of values listed under "most duplicated"
+const TOP_VALUES = 10;
+
+// Longest value shown in the HTML report; the JSON report always has the full value
+const MAX_HTML_VALUE = 160;
+
+// Outcome of the occurrence that keeps its value, and of one without a variation yet
+const KEPT = 'kept';
+const PENDING = 'pending';
+
+/**
+ * Find the variation row of a duplicate occurrence. Rows of a single-file run
+ * have no sourceFile, so the ID alone is tried as well.
+ * @param {Map} variationsByKey - Variation rows by `${sourceFile}:${ID}`
+ * @param {Object} member - Occurrence with sourceFile and ID
+ * @returns {Object|undefined} The variation row
+ */
+function findVariation(variationsByKey, member) {
+    return (
+        variationsByKey.get(`${member.sourceFile}:${member.ID}`) ||
+        variationsByKey.get(`:${member.ID}`)
+    );
+}
+
+/**
+ * Read the variationIssues column of a variations row
+ * @param {Object} row - Row of the variations file
+ * @returns {Object} Issue per field
+ */
+function parseVariationIssues(row) {
+    return Object.fromEntries(
+        (row.variationIssues || '')
+            .split(' | ')
+            .filter(Boolean)
+            .map((entry) => {
+                const index = entry.indexOf(': ');
+                return [entry.slice(0, index), entry.slice(index + 2)];
+            })
+    );
+}
+
+/**
+ * Build the duplicate analysis report
+ * @param {Array<Object>} groupRows - Rows of the duplicate groups report, from
+ * formatDuplicateGroups or read back from its CSV
+ * @param {Array<Object>|null} variations - Rows of the variations file, or null before generation
+ * @param {Object} options - Run details
+ * @param {Array<string>} options.inputs - Input files of the run
+ * @param {number} options.rows - Number of rows checked, if known
+ * @returns {Object} The report: totals, per-field counts, most duplicated values, the groups
+ * with their members and, with variations, the outcome per row
+ */
+function buildReport(groupRows, variations = null, { inputs = [], rows } = {}) {
+    const variationsByKey = new Map(
+        (variations || []).map((row) => [`${row[SOURCE_COLUMN] || ''}:${row.ID}`, row])
+    );
+    const statusesByRow = new Map();
+
+    /**
+     * Outcome of a non-canonical occurrence: the status of its variation
+     * @param {Object} member - Occurrence with sourceFile, ID and column
+     * @returns {string|null} The status, PENDING without a variation, null before generation
+     */
+    const getOutcome = (member) => {
+        if (!variations) return null;
+        const row = findVariation(variationsByKey, member);
+        if (!row) return PENDING;
+        if (!statusesByRow.has(row)) statusesByRow.set(row, parseVariationStatus(row));
+        return statusesByRow.get(row)[member.column] || PENDING;
+    };
+
+    const groupsById = new Map();
+    groupRows.forEach((entry) => {
+        const id = Number(entry.group);
+        if (!groupsById.has(id)) {
+            groupsById.set(id, {
+                id,
+                fieldGroup: entry.fieldGroup,
+                value: entry.value,
+                count: 0,
+                canonical: null,
+                members: []
+            });
+        }
+
+        const group = groupsById.get(id);
+        const canonical = String(entry.kept) === 'true';
+        const member = {
+            sourceFile: entry.sourceFile,
+            ID: entry.ID,
+            Handle: entry.Handle,
+            column: entry.column,
+            value: entry.value,
+            canonical
+        };
+        member.outcome = canonical ? KEPT : getOutcome(member);
+
+        group.members.push(member);
+        group.count++;
+        if (canonical) {
+            group.canonical = {
+                sourceFile: member.sourceFile,
+                ID: member.ID,
+                Handle: member.Handle
+            };
+            group.value = member.value;
+        }
+    });
+    const groups = [...groupsById.values()];
+
+    // Per column: groups it takes part in, occurrences, and occurrences that get a new value
+    const fieldsByColumn = new Map();
+    groups.forEach((group) =>
+        group.members.forEach((member) => {
+            if (!fieldsByColumn.has(member.column)) {
+                fieldsByColumn.set(member.column, {
+                    field: member.column,
+                    fieldGroup: group.fieldGroup,
+                    groups: new Set(),
+                    occurrences: 0,
+                    duplicates: 0
+                });
+            }
+            const field = fieldsByColumn.get(member.column);
+            field.groups.add(group.id);
+            field.occurrences++;
+            if (!member.canonical) field.duplicates++;
+        })
+    );
+    const fields = [...fieldsByColumn.values()]
+        .map((field) => ({ ...field, groups: field.groups.size }))
+        .sort((a, b) => b.duplicates - a.duplicates || a.field.localeCompare(b.field));
+
+    const topValues = [...groups]
+        .sort((a, b) => b.count - a.count || a.id - b.id)
+        .slice(0, TOP_VALUES)
+        .map(({ id, fieldGroup, value, count }) => ({ group: id, fieldGroup, value, count }));
+
+    const duplicateRows = new Set();
+    groups.forEach((group) =>
+        group.members
+            .filter((member) => !member.canonical)
+            .forEach((member) => duplicateRows.add(`${member.sourceFile}:${member.ID}`))
+    );
+
+    const report = {
+        generatedAt: new Date().toISOString(),
+        inputs,
+        totals: {
+            rows: rows ?? null,
+            rowsWithDuplicates: duplicateRows.size,
+            groups: groups.length,
+            occurrences: groups.reduce((sum, group) => sum + group.count, 0),
+            duplicates: groups.reduce((sum, group) => sum + group.count - 1, 0)
+        },
+        fields,
+        topValues,
+        groups,
+        variations: null
+    };
+
+    if (variations) {
+        const statuses = {};
+        const outcomeRows = variations.map((row) => {
+            const fieldStatuses = parseVariationStatus(row);
+            const issues = parseVariationIssues(row);
+            return {
+                sourceFile: row[SOURCE_COLUMN] || inputs[0] || '',
+                ID: row.ID,
+                Handle: row.Handle,
+                fields: Object.entries(fieldStatuses).map(([field, status]) => {
+                    statuses[status] = (statuses[status] || 0) + 1;
+                    return { field, status, issue: issues[field] || '' };
+                })
+            };
+        });
+        report.variations = { statuses, rows: outcomeRows };
+    }
+
+    return report;
+}
+
+/**
+ * Escape text for use in HTML
+ * @param {*} value - The text
+ * @returns {string} Escaped text
+ */
+function escapeHtml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Shorten a value for display
+ * @param {string} value - The value
+ * @returns {string} Escaped value, cut off at MAX_HTML_VALUE characters
+ */
+function formatValue(value) {
+    const text = String(value ?? '');
+    const shown = text.length > MAX_HTML_VALUE ? `${text.slice(0, MAX_HTML_VALUE)}…` : text;
+    return `<span class="value" title="${escapeHtml(text.slice(0, 1000))}">${escapeHtml(shown)}</span>`;
+}
+
+/**
+ * Render a table
+ * @param {Array<string>} headers - Column headers
+ * @param {Array<Array<string>>} rows - Cells as HTML
+ * @returns {string} The table
+ */
+function renderTable(headers, rows) {
+    if (rows.length === 0) {
+        return '<p class="empty">None</p>';
+    }
+    const head = headers.map((header) => `<th>${escapeHtml(header)}</th>`).join('');
+    const body = rows
+        .map((cells) => `<tr>${cells.map((cell) => `<td>${cell}</td>`).join('')}</tr>`)
+        .join('\n');
+    return `<table><thead><tr>${head}</tr></thead><tbody>\n${body}\n</tbody></table>`;
+}
+
+/**
+ * Render an outcome as a label
+ * @param {string|null} outcome - Status, KEPT or PENDING
+ * @returns {string} HTML
+ */
+function formatOutcome(outcome) {
+    return outcome
+        ? `<span class="status ${escapeHtml(outcome)}">${escapeHtml(outcome)}</span>`
+        : '';
+}
+
+/**
+ * Render the report as a standalone HTML page
+ * @param {Object} report - Report from buildReport
+ * @returns {string} The HTML page
+ */
+function renderReportHtml(report) {
+    const { totals } = report;
+    const cards = [
+        ['Rows checked', totals.rows ?? '–'],
+        ['Rows with duplicates', totals.rowsWithDuplicates],
+        ['Duplicate groups', totals.groups],
+        ['Values to rewrite', totals.duplicates]
+    ]
+        .map(
+            ([label, value]) =>
+                `<div class="card"><div class="number">${escapeHtml(value)}</div>${escapeHtml(label)}</div>`
+        )
+        .join('\n');
+
+    const sections = [
+        `<h2>Per field</h2>`,
+        renderTable(
+            ['Field', 'Compared in', 'Groups', 'Occurrences', 'To rewrite'],
+            report.fields.map((field) => [
+                escapeHtml(field.field),
+                escapeHtml(field.fieldGroup),
+                field.groups,
+                field.occurrences,
+                field.duplicates
+            ])
+        ),
+        `<h2>Most duplicated values</h2>`,
+        renderTable(
+            ['Group', 'Field', 'Value', 'Occurrences'],
+            report.topValues.map((entry) => [
+                `<a href="#group-${entry.group}">${entry.group}</a>`,
+                escapeHtml(entry.fieldGroup),
+                formatValue(entry.value),
+                entry.count
+            ])
+        )
+    ];
+
+    if (report.variations) {
+        const statusSummary = Object.entries(report.variations.statuses)
+            .map(([status, count]) => `${formatOutcome(status)} ${count}`)
+            .join(' ');
+        sections.push(
+            `<h2>Variations</h2>`,
+            `<p>${statusSummary || 'No variations'}</p>`,
+            renderTable(
+                ['ID', 'Handle', 'File', 'Field', 'Outcome', 'Issue'],
+                report.variations.rows.flatMap((row) =>
+                    row.fields.map((field) => [
+                        escapeHtml(row.ID),
+                        escapeHtml(row.Handle),
+                        escapeHtml(row.sourceFile),
+                        escapeHtml(field.field),
+                        formatOutcome(field.status),
+                        escapeHtml(field.issue)
+                    ])
+                )
+            )
+        );
+    }
+
+    sections.push(
+        `<h2>Duplicate groups</h2>`,
+        ...report.groups.map(
+            (group) =>
+                `<h3 id="group-${group.id}">Group ${group.id}: ${escapeHtml(group.fieldGroup)}, ${group.count} occurrences</h3>\n` +
+                `<p>${formatValue(group.value)}</p>\n` +
+                renderTable(
+                    ['ID', 'Handle', 'File', 'Column', 'Canonical', 'Outcome'],
+                    group.members.map((member) => [
+                        escapeHtml(member.ID),
+                        escapeHtml(member.Handle),
+                        escapeHtml(member.sourceFile),
+                        escapeHtml(member.column),
+                        member.canonical ? 'yes' : '',
+                        formatOutcome(member.outcome)
+                    ])
+                )
+        )
+    );
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Duplicate analysis report</title>
+<style>
+body { font-family: system-ui, sans-serif; margin: 2rem; color: #222; }
+h3 { margin-top: 1.5rem; font-size: 1rem; }
+table { border-collapse: collapse; margin: 0.5rem 0 1rem; }
+th, td { border: 1px solid #ddd; padding: 0.3rem 0.6rem; text-align: left; vertical-align: top; }
+th { background: #f4f4f4; }
+.cards { display: flex; gap: 1rem; flex-wrap: wrap; }
+.card { border: 1px solid #ddd; border-radius: 6px; padding: 0.8rem 1.2rem; }
+.number { font-size: 1.6rem; font-weight: bold; }
+.value { font-family: ui-monospace, monospace; white-space: pre-wrap; }
+.status { padding: 0.1rem 0.4rem; border-radius: 4px; background: #eee; }
+.status.generated, .status.kept { background: #d9f2d9; }
+.status.not-unique, .status.pending { background: #fff1c2; }
+.status.fallback, .status.failed, .status.cancelled { background: #f8d4d4; }
+.empty { color: #777; }
+</style>
+</head>
+<body>
+<h1>Duplicate analysis report</h1>
+<p>Generated ${escapeHtml(report.generatedAt)} from ${escapeHtml(report.inputs.join(', '))}</p>
+<div class="cards">
+${cards}
+</div>
+${sections.join('\n')}
+</body>
+</html>
+`;
+}
+
+/**
+ * Write the report as JSON and as standalone HTML
+ * @param {Object} report - Report from buildReport
+ * @param {string} basePath - Path without extension; .json and .html are added
+ * @returns {Object} Paths of the written files
+ */
+function writeReport(report, basePath) {
+    const jsonPath = `${basePath}.json`;
+    const htmlPath = `${basePath}.html`;
+
+    fs.writeFileSync(jsonPath, JSON.stringify(report, null, 2) + '\n', 'utf8');
+    fs.writeFileSync(htmlPath, renderReportHtml(report), 'utf8');
+    log.success(`Wrote the duplicate report to ${htmlPath} and ${jsonPath}`);
+
+    return { jsonPath, htmlPath };
+}
+
+export { buildReport, renderReportHtml, writeReport };
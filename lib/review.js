@@ -0,0 +1,411 @@
+import { spawnSync } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import readline from 'readline/promises';
+import { SOURCE_COLUMN } from './csv.js';
+
+// Possible review decisions; "edited" approves a value typed by the reviewer
+const DECISIONS = {
+    ACCEPTED: 'accepted',
+    REJECTED: 'rejected',
+    EDITED: 'edited'
+};
+
+/**
+ * Open the review decisions file, creating it on the first decision. Decisions are
+ * stored per source file, ID and field together with the variation they were made for,
+ * so a field that got a new variation since is up for review again. Rows of a
+ * single-file run have no source file and are stored per ID and field.
+ * @param {string} filePath - Path of the JSON decisions file
+ * @returns {Object} Store with get, set and size
+ */
+function openDecisions(filePath) {
+    let decisions = {};
+
+    if (fs.existsSync(filePath)) {
+        try {
+            decisions = JSON.parse(fs.readFileSync(filePath, 'utf8')).decisions || {};
+        } catch (error) {
+            throw new Error(`Could not read review decisions from ${filePath}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Key of a decision; rows with the same ID in different files get their own
+     * @param {string} id - Row ID
+     * @param {string} field - Field name
+     * @param {string} sourceFile - File the row came from, in a multi-file run
+     * @returns {string} The key
+     */
+    const keyOf = (id, field, sourceFile) =>
+        sourceFile ? `${sourceFile}:${id}:${field}` : `${id}:${field}`;
+
+    return {
+        filePath,
+
+        /**
+         * Look up the decision for a variation
+         * @param {Object} row - Row of the variations file, with ID and sourceFile
+         * @param {string} field - Field name
+         * @param {string} variation - The variation currently in the variations file
+         * @returns {Object|null} The decision, or null if there is none for this variation
+         */
+        get(row, field, variation) {
+            const entry = decisions[keyOf(row.ID, field, row[SOURCE_COLUMN])];
+            return entry && entry.variation === variation ? entry : null;
+        },
+
+        /**
+         * Record a decision and save the file right away, so nothing is lost on quit
+         * @param {Object} entry - Decision with id, field, original, variation, decision and
+         * value, and sourceFile in a multi-file run
+         */
+        set(entry) {
+            decisions[keyOf(entry.id, entry.field, entry[SOURCE_COLUMN])] = {
+                ...entry,
+                decidedAt: new Date().toISOString()
+            };
+            fs.writeFileSync(filePath, JSON.stringify({ decisions }, null, 2) + '\n', 'utf8');
+        },
+
+        get size() {
+            return Object.keys(decisions).length;
+        }
+    };
+}
+
+/**
+ * Read the variationStatus column of a variations row
+ * @param {Object} row - Row of the variations file
+ * @returns {Object} Status per field, e.g. { Title: 'generated' }
+ */
+function parseVariationStatus(row) {
+    return Object.fromEntries(
+        (row.variationStatus || '')
+            .split(',')
+            .filter(Boolean)
+            .map((entry) => {
+                const index = entry.lastIndexOf(':');
+                return [entry.slice(0, index), entry.slice(index + 1)];
+            })
+    );
+}
+
+/**
+ * List the fields of the variations file that can be reviewed: every duplicate
+ * field whose variation differs from the original
+ * @param {Array<Object>} variations - Rows of the variations file
+ * @returns {Array<Object>} Items with row, field, original, variation, status and issue
+ */
+function getReviewItems(variations) {
+    const items = [];
+
+    variations.forEach((row) => {
+        const statuses = parseVariationStatus(row);
+        const issues = (row.variationIssues || '').split(' | ').filter(Boolean);
+
+        (row.duplicateFields || '')
+            .split(',')
+            .filter(Boolean)
+            .forEach((field) => {
+                const original = row[`original_${field}`];
+                const variation = row[field];
+                if (variation === undefined || variation === '' || variation === original) return;
+
+                const issue = issues.find((entry) => entry.startsWith(`${field}: `));
+                items.push({
+                    row,
+                    field,
+                    original,
+                    variation,
+                    status: statuses[field] || '',
+                    issue: issue ? issue.slice(field.length + 2) : ''
+                });
+            });
+    });
+
+    return items;
+}
+
+/**
+ * Keep only the reviewed values in the variations. Rejected fields are dropped,
+ * edited fields get the reviewer's value, and unreviewed fields are dropped too
+ * when approval is required. Dropped fields get their original value back, so a
+ * handle nobody approved is not used to find the row either.
+ * @param {Array<Object>} variations - Rows of the variations file
+ * @param {Object} decisions - Store from openDecisions
+ * @param {Object} options - Approval options
+ * @param {boolean} options.requireApproval - Leave out fields nobody reviewed
+ * @returns {Object} The approved rows (with duplicateFields narrowed down) and counts per outcome
+ */
+function approveVariations(variations, decisions, { requireApproval = true } = {}) {
+    const counts = { approved: 0, rejected: 0, pending: 0 };
+
+    const rows = variations.map((row) => {
+        const approved = { ...row };
+        const fields = (row.duplicateFields || '').split(',').filter(Boolean);
+
+        /**
+         * Put the original value of a dropped field back
+         * @param {string} field - The field
+         * @returns {boolean} Always false, to drop the field
+         */
+        const restore = (field) => {
+            if (row[`original_${field}`] !== undefined) {
+                approved[field] = row[`original_${field}`];
+            }
+            return false;
+        };
+
+        approved.duplicateFields = fields
+            .filter((field) => {
+                const decision = decisions.get(row, field, row[field]);
+                if (!decision) {
+                    if (requireApproval) {
+                        counts.pending++;
+                        return restore(field);
+                    }
+                    counts.approved++;
+                    return true;
+                }
+                if (decision.decision === DECISIONS.REJECTED) {
+                    counts.rejected++;
+                    return restore(field);
+                }
+
+                if (decision.decision === DECISIONS.EDITED) {
+                    approved[field] = decision.value;
+                }
+                counts.approved++;
+                return true;
+            })
+            .join(',');
+
+        return approved;
+    });
+
+    return { rows, counts };
+}
+
+/**
+ * Put a regenerated result into a row of the variations file
+ * @param {Object} row - Row of the variations file
+ * @param {string} field - Field that was regenerated
+ * @param {Object} result - Result from generateCheckedVariation
+ */
+function updateVariationRow(row, field, { variation, status, issue }) {
+    row[field] = variation;
+
+    row.variationStatus = (row.variationStatus || '')
+        .split(',')
+        .filter(Boolean)
+        .map((entry) => (entry.startsWith(`${field}:`) ? `${field}:${status}` : entry))
+        .join(',');
+
+    const issues = (row.variationIssues || '')
+        .split(' | ')
+        .filter((entry) => entry && !entry.startsWith(`${field}: `));
+    if (issue) {
+        issues.push(`${field}: ${issue}`);
+    }
+    row.variationIssues = issues.join(' | ');
+}
+
+/**
+ * Show one item: original and variation below each other
+ * @param {Object} item - Item from getReviewItems
+ * @param {number} index - Position of the item
+ * @param {number} total - Number of items
+ * @returns {string} The text to print
+ */
+function formatItem(item, index, total) {
+    const lines = [
+        '',
+        `[${index + 1}/${total}] ID ${item.row.ID} (${item.row.Handle || 'no handle'}) - ${item.field}` +
+            (item.row[SOURCE_COLUMN] ? ` in ${item.row[SOURCE_COLUMN]}` : ''),
+        `  Original:  ${item.original}`,
+        `  Variation: ${item.variation}`
+    ];
+    if (item.status && item.status !== 'generated') {
+        lines.push(`  Status:    ${item.status}${item.issue ? ` (${item.issue})` : ''}`);
+    }
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Let the reviewer change a value in their editor, through a temporary file
+ * @param {string} editor - Editor command, e.g. "vim" or "code --wait"
+ * @param {string} value - The value to start from
+ * @returns {string} The edited value, without the line break editors add at the end
+ */
+function editInEditor(editor, value) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fix-duplicates-'));
+    const filePath = path.join(dir, 'value.txt');
+    try {
+        fs.writeFileSync(filePath, value, 'utf8');
+        const { status, error } = spawnSync(`${editor} "${filePath}"`, {
+            shell: true,
+            stdio: 'inherit'
+        });
+        if (error || status !== 0) {
+            throw new Error(
+                `Editor "${editor}" failed: ${error ? error.message : `exit ${status}`}`
+            );
+        }
+        return fs.readFileSync(filePath, 'utf8').replace(/\r?\n$/, '');
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+}
+
+/**
+ * Walk through the items in the terminal and record a decision for each. A value with
+ * line breaks, such as Body HTML, is edited in the editor when there is one, and else
+ * typed over several lines, ended by a line with only a dot.
+ * @param {Array<Object>} items - Items from getReviewItems
+ * @param {Object} decisions - Store from openDecisions
+ * @param {Object} options - Review options
+ * @param {Function} options.regenerate - async (item) => result from generateCheckedVariation
+ * @param {Object} options.input - Stream to read answers from (default stdin)
+ * @param {Object} options.output - Stream to write to (default stdout)
+ * @param {string} options.editor - Editor command for values with line breaks (default
+ * $VISUAL or $EDITOR on a terminal)
+ * @returns {Promise<Object>} Counts of accepted, rejected, edited, regenerated and skipped items
+ */
+async function runReview(items, decisions, options = {}) {
+    const { regenerate, input = process.stdin, output = process.stdout } = options;
+    const editor =
+        options.editor || (output.isTTY ? process.env.VISUAL || process.env.EDITOR : undefined);
+    const counts = { accepted: 0, rejected: 0, edited: 0, regenerated: 0, skipped: 0 };
+    const rl = readline.createInterface({ input, output, terminal: Boolean(output.isTTY) });
+    // The iterator buffers lines, so answers piped in ahead of their question are kept
+    const lines = rl[Symbol.asyncIterator]();
+
+    /**
+     * Ask a question; resolves to null when the input ends first
+     * @param {string} query - The question
+     * @param {string} prefill - Text to start the answer with, on a terminal
+     * @returns {Promise<string|null>} The trimmed answer
+     */
+    const ask = async (query, prefill) => {
+        rl.setPrompt(query);
+        rl.prompt();
+        if (prefill && output.isTTY) rl.write(prefill);
+        const { value, done } = await lines.next();
+        return done ? null : value.trim();
+    };
+
+    /**
+     * Ask for a new value with line breaks, in the editor or else line by line
+     * @param {string} variation - The variation to start from
+     * @returns {Promise<string|null>} The trimmed value, or null when the input ends first
+     */
+    const askLines = async (variation) => {
+        if (editor) {
+            // The editor needs the terminal the way it was before readline took it over
+            rl.pause();
+            if (input.isTTY && input.setRawMode) input.setRawMode(false);
+            try {
+                return editInEditor(editor, variation).trim();
+            } finally {
+                if (input.isTTY && input.setRawMode) input.setRawMode(true);
+                rl.resume();
+            }
+        }
+
+        output.write('New value, ended by a line with only a dot:\n');
+        const typed = [];
+        for (;;) {
+            const { value, done } = await lines.next();
+            if (done) return null;
+            if (value.trim() === '.') return typed.join('\n').trim();
+            typed.push(value);
+        }
+    };
+
+    /**
+     * Save a decision for an item
+     * @param {Object} item - The item
+     * @param {string} decision - One of DECISIONS
+     * @param {string} value - The approved value
+     */
+    const decide = (item, decision, value) => {
+        decisions.set({
+            id: item.row.ID,
+            ...(item.row[SOURCE_COLUMN] ? { [SOURCE_COLUMN]: item.row[SOURCE_COLUMN] } : {}),
+            field: item.field,
+            original: item.original,
+            variation: item.variation,
+            decision,
+            value
+        });
+        counts[decision]++;
+    };
+
+    try {
+        for (let index = 0; index < items.length; index++) {
+            const item = items[index];
+            output.write(formatItem(item, index, items.length));
+
+            const answer = await ask(
+                '[a]ccept, [r]eject, [e]dit, re[g]enerate, [s]kip or [q]uit? '
+            );
+            const action = answer === null ? 'q' : answer.toLowerCase();
+
+            if (action === 'q') {
+                counts.skipped += items.length - index;
+                break;
+            } else if (action === 'a') {
+                decide(item, DECISIONS.ACCEPTED, item.variation);
+            } else if (action === 'r') {
+                decide(item, DECISIONS.REJECTED, item.original);
+            } else if (action === 'e') {
+                // Start from the variation when the terminal can edit the line
+                const value = /[\r\n]/.test(item.variation)
+                    ? await askLines(item.variation)
+                    : await ask('New value: ', item.variation);
+                if (value === null) {
+                    counts.skipped += items.length - index;
+                    break;
+                } else if (value === '') {
+                    output.write('Empty value, nothing saved\n');
+                    index--;
+                } else {
+                    decide(item, DECISIONS.EDITED, value);
+                }
+            } else if (action === 'g') {
+                if (!regenerate) {
+                    output.write('Regenerating is not available\n');
+                } else {
+                    output.write('Regenerating...\n');
+                    const result = await regenerate(item);
+                    item.variation = result.variation;
+                    item.status = result.status;
+                    item.issue = result.issue || '';
+                    counts.regenerated++;
+                }
+                index--;
+            } else if (action === 's') {
+                counts.skipped++;
+            } else {
+                output.write(`Unknown answer "${answer}"\n`);
+                index--;
+            }
+        }
+    } finally {
+        rl.close();
+    }
+
+    return counts;
+}
+
+export {
+    DECISIONS,
+    openDecisions,
+    parseVariationStatus,
+    getReviewItems,
+    approveVariations,
+    updateVariationRow,
+    runReview
+};
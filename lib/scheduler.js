@@ -0,0 +1,175 @@
+/**
+ * Request scheduling: a worker pool that keeps a fixed number of tasks in
+ * flight, a rate limiter, and a provider wrapper that adds rate limits,
+ * timeouts, cancellation and request statistics
+ */
+
+/**
+ * Error for work that was stopped by an abort signal
+ * @param {AbortSignal} signal - The aborted signal
+ * @returns {Error} The abort reason, or a generic cancellation error
+ */
+function getAbortError(signal) {
+    return signal.reason instanceof Error ? signal.reason : new Error('Cancelled');
+}
+
+/**
+ * Wait for the given number of milliseconds, or until the signal aborts
+ * @param {number} ms - Time to wait
+ * @param {AbortSignal} signal - Stops the wait early, if given
+ * @returns {Promise<void>} Rejects with the abort reason when the signal aborts
+ */
+function wait(ms, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal && signal.aborted) {
+            reject(getAbortError(signal));
+            return;
+        }
+
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(getAbortError(signal));
+        };
+        const timer = setTimeout(() => {
+            if (signal) signal.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        if (signal) signal.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+/**
+ * Run a worker over every item, keeping up to `concurrency` of them in flight.
+ * A new item starts as soon as any running one finishes. After the signal
+ * aborts no new items are started; running ones are left to finish or fail.
+ * @param {Array} items - Items to process
+ * @param {Function} worker - async (item, index) => void; should handle its own errors
+ * @param {Object} options - Pool options
+ * @param {number} options.concurrency - Maximum number of items in flight
+ * @param {AbortSignal} options.signal - Stops starting new items, if given
+ * @returns {Promise<Object>} How many items were started and whether the run was cancelled
+ */
+async function runPool(items, worker, { concurrency = 5, signal } = {}) {
+    let next = 0;
+
+    const lanes = Array.from({ length: Math.max(1, Math.min(concurrency, items.length)) }, () =>
+        (async () => {
+            while (next < items.length && !(signal && signal.aborted)) {
+                const index = next++;
+                await worker(items[index], index);
+            }
+        })()
+    );
+    await Promise.all(lanes);
+
+    return { started: next, cancelled: Boolean(signal && signal.aborted) };
+}
+
+/**
+ * Create a limiter that spaces requests evenly to stay under a rate
+ * @param {number} requestsPerMinute - Maximum rate; 0 or less disables the limit
+ * @returns {Object} Limiter with acquire(signal), resolving when the next request may start
+ */
+function createRateLimiter(requestsPerMinute = 0) {
+    const interval = requestsPerMinute > 0 ? 60000 / requestsPerMinute : 0;
+    let nextSlot = 0;
+
+    return {
+        async acquire(signal) {
+            if (interval === 0) return;
+
+            const now = Date.now();
+            const slot = Math.max(now, nextSlot);
+            nextSlot = slot + interval;
+            if (slot > now) {
+                await wait(slot - now, signal);
+            }
+        }
+    };
+}
+
+/**
+ * Wrap a provider with a rate limit, a timeout per request and cancellation,
+ * and count its requests. The wrapped provider passes an AbortSignal on to the
+ * underlying one as `chat(messages, { signal })`.
+ * @param {Object} provider - Provider from createProvider
+ * @param {Object} options - Limits
+ * @param {number} options.rateLimit - Maximum requests per minute; 0 for no limit
+ * @param {number} options.timeout - Milliseconds before a request is abandoned; 0 for no timeout
+ * @param {AbortSignal} options.signal - Cancels waiting and running requests, if given
+ * @returns {Object} Provider with the same interface plus `stats()`
+ */
+function createLimitedProvider(provider, { rateLimit = 0, timeout = 0, signal } = {}) {
+    const limiter = createRateLimiter(rateLimit);
+    const latencies = [];
+    let failures = 0;
+    let timeouts = 0;
+
+    return {
+        ...provider,
+
+        /**
+         * Send a chat request once the rate limit allows it
+         * @param {Array<Object>} messages - Chat messages with role and content
+         * @returns {Promise<string>} The reply
+         */
+        async chat(messages) {
+            await limiter.acquire(signal);
+
+            const controller = new AbortController();
+            const onAbort = () => controller.abort(getAbortError(signal));
+            if (signal) signal.addEventListener('abort', onAbort, { once: true });
+            const timer =
+                timeout > 0
+                    ? setTimeout(() => {
+                          timeouts++;
+                          controller.abort(new Error(`request timed out after ${timeout}ms`));
+                      }, timeout)
+                    : null;
+
+            // Providers that ignore the signal are still abandoned when it fires
+            const aborted = new Promise((resolve, reject) => {
+                controller.signal.addEventListener(
+                    'abort',
+                    () => reject(getAbortError(controller.signal)),
+                    { once: true }
+                );
+            });
+
+            const started = Date.now();
+            try {
+                const reply = await Promise.race([
+                    provider.chat(messages, { signal: controller.signal }),
+                    aborted
+                ]);
+                latencies.push(Date.now() - started);
+                return reply;
+            } catch (error) {
+                failures++;
+                throw error;
+            } finally {
+                clearTimeout(timer);
+                if (signal) signal.removeEventListener('abort', onAbort);
+            }
+        },
+
+        /**
+         * Request statistics so far
+         * @returns {Object} Counts of successful, failed and timed out requests, and latencies in ms
+         */
+        stats() {
+            const sorted = [...latencies].sort((a, b) => a - b);
+            const total = sorted.reduce((sum, latency) => sum + latency, 0);
+            return {
+                requests: sorted.length + failures,
+                succeeded: sorted.length,
+                failed: failures,
+                timedOut: timeouts,
+                averageLatency: sorted.length > 0 ? total / sorted.length : 0,
+                p95Latency: sorted.length > 0 ? sorted[Math.ceil(sorted.length * 0.95) - 1] : 0
+            };
+        }
+    };
+}
+
+export { wait, runPool, createRateLimiter, createLimitedProvider };
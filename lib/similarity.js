@@ -0,0 +1,252 @@
+/**
+ * Near-duplicate detection helpers: value normalisation, shingling,
+ * Jaccard similarity and MinHash/LSH clustering
+ */
+
+import crypto from 'crypto';
+
+// Named HTML entities that commonly show up in Shopify exports
+const HTML_ENTITIES = {
+    '&nbsp;': ' ',
+    '&amp;': '&',
+    '&quot;': '"',
+    '&#39;': "'",
+    '&apos;': "'",
+    '&lt;': '<',
+    '&gt;': '>'
+};
+
+/**
+ * Normalise a value for similarity comparison: strips HTML tags and entities,
+ * lowercases, removes punctuation and collapses whitespace
+ * @param {string} value - The value to normalise
+ * @returns {string} The normalised value
+ */
+function normalizeValue(value) {
+    return String(value)
+        .replace(/<[^>]*>/g, ' ')
+        .replace(/&[a-z#0-9]+;/gi, (entity) => HTML_ENTITIES[entity.toLowerCase()] || ' ')
+        .toLowerCase()
+        .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * Split a normalised value into overlapping character shingles
+ * @param {string} text - Normalised text
+ * @param {number} size - Number of characters per shingle
+ * @returns {Set<string>} The set of shingles
+ */
+function getShingles(text, size = 3) {
+    const shingles = new Set();
+
+    if (text.length <= size) {
+        shingles.add(text);
+        return shingles;
+    }
+
+    for (let i = 0; i <= text.length - size; i++) {
+        shingles.add(text.slice(i, i + size));
+    }
+
+    return shingles;
+}
+
+/**
+ * Jaccard similarity of two sets
+ * @param {Set} a - First set
+ * @param {Set} b - Second set
+ * @returns {number} Similarity between 0 and 1
+ */
+function jaccardSimilarity(a, b) {
+    if (a.size === 0 && b.size === 0) return 1;
+
+    let intersection = 0;
+    const [smaller, larger] = a.size <= b.size ? [a, b] : [b, a];
+    smaller.forEach((item) => {
+        if (larger.has(item)) intersection++;
+    });
+
+    return intersection / (a.size + b.size - intersection);
+}
+
+/**
+ * 32-bit FNV-1a hash of a string
+ * @param {string} text - Text to hash
+ * @returns {number} Unsigned 32-bit hash
+ */
+function hashString(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+/**
+ * Fixed-size digest of a string (96 bits of SHA-1), for remembering values
+ * without keeping them in memory
+ * @param {string} text - Text to digest
+ * @returns {string} Base64 digest
+ */
+function digestValue(text) {
+    return crypto.createHash('sha1').update(text).digest('base64').slice(0, 16);
+}
+
+/**
+ * Create deterministic (a, b) coefficients for the MinHash permutations
+ * @param {number} count - Number of hash functions
+ * @returns {Array<Array<number>>} Coefficient pairs
+ */
+function createHashCoefficients(count) {
+    const coefficients = [];
+    for (let i = 0; i < count; i++) {
+        coefficients.push([hashString(`a${i}`) || 1, hashString(`b${i}`)]);
+    }
+    return coefficients;
+}
+
+/**
+ * Compute the MinHash signature of a set of shingles
+ * @param {Set<string>} shingles - Shingles of a value
+ * @param {Array<Array<number>>} coefficients - Coefficients from createHashCoefficients
+ * @returns {Array<number>} The signature
+ */
+function minHashSignature(shingles, coefficients) {
+    const hashes = [...shingles].map(hashString);
+
+    return coefficients.map(([a, b]) => {
+        let min = Infinity;
+        hashes.forEach((hash) => {
+            // Cheap 32-bit permutation of the shingle hash
+            const value = Math.imul((hash ^ b) >>> 0, a | 1) >>> 0;
+            if (value < min) min = value;
+        });
+        return min;
+    });
+}
+
+/**
+ * Pick the number of rows per LSH band so that pairs somewhat below the
+ * threshold still become candidates; exact Jaccard filters them afterwards
+ * @param {number} numHashes - Signature length
+ * @param {number} threshold - Similarity threshold
+ * @returns {number} Rows per band
+ */
+function getRowsPerBand(numHashes, threshold) {
+    const target = Math.max(0.05, threshold - 0.1);
+    let rows = 1;
+
+    for (let r = 1; r <= numHashes; r++) {
+        const bands = Math.floor(numHashes / r);
+        if (Math.pow(1 / bands, 1 / r) > target) break;
+        rows = r;
+    }
+
+    return rows;
+}
+
+/**
+ * Cluster similar values. Values with identical normalised text always share
+ * a cluster; other values join when their shingle Jaccard similarity reaches
+ * the threshold (transitively).
+ * @param {Array<string>} values - Values to cluster
+ * @param {Object} options - Clustering settings
+ * @param {number} options.threshold - Minimum Jaccard similarity (0-1)
+ * @param {number} options.shingleSize - Characters per shingle
+ * @param {number} options.numHashes - MinHash signature length
+ * @returns {Array<Object>} Clusters of two or more values, each with member
+ * indices (in input order) and every member's similarity to the first member
+ */
+function clusterSimilarValues(values, { threshold = 0.8, shingleSize = 3, numHashes = 64 } = {}) {
+    // Group identical normalised values first so each distinct text is hashed once
+    const distinct = new Map();
+    values.forEach((value, index) => {
+        const normalized = normalizeValue(value);
+        if (!distinct.has(normalized)) {
+            distinct.set(normalized, []);
+        }
+        distinct.get(normalized).push(index);
+    });
+
+    const texts = [...distinct.keys()];
+    const shingleSets = texts.map((text) => getShingles(text, shingleSize));
+    const coefficients = createHashCoefficients(numHashes);
+    const signatures = shingleSets.map((shingles) => minHashSignature(shingles, coefficients));
+
+    // Union-find over distinct texts
+    const parent = texts.map((_, i) => i);
+    const find = (i) => {
+        while (parent[i] !== i) {
+            parent[i] = parent[parent[i]];
+            i = parent[i];
+        }
+        return i;
+    };
+
+    // Locality-sensitive hashing: texts sharing a band become candidates
+    const rowsPerBand = getRowsPerBand(numHashes, threshold);
+    const compared = new Set();
+    for (let start = 0; start + rowsPerBand <= numHashes; start += rowsPerBand) {
+        const buckets = new Map();
+        signatures.forEach((signature, i) => {
+            const bandKey = signature.slice(start, start + rowsPerBand).join('-');
+            if (!buckets.has(bandKey)) buckets.set(bandKey, []);
+            buckets.get(bandKey).push(i);
+        });
+
+        buckets.forEach((bucket) => {
+            for (let x = 0; x < bucket.length; x++) {
+                for (let y = x + 1; y < bucket.length; y++) {
+                    const pairKey = `${bucket[x]}:${bucket[y]}`;
+                    if (compared.has(pairKey)) continue;
+                    compared.add(pairKey);
+
+                    if (
+                        jaccardSimilarity(shingleSets[bucket[x]], shingleSets[bucket[y]]) >=
+                        threshold
+                    ) {
+                        parent[find(bucket[y])] = find(bucket[x]);
+                    }
+                }
+            }
+        });
+    }
+
+    // Collect clusters of value indices
+    const clustersByRoot = new Map();
+    texts.forEach((_, i) => {
+        const root = find(i);
+        if (!clustersByRoot.has(root)) clustersByRoot.set(root, []);
+        clustersByRoot.get(root).push(i);
+    });
+
+    const clusters = [];
+    clustersByRoot.forEach((textIndices) => {
+        const members = textIndices.flatMap((i) => distinct.get(texts[i])).sort((a, b) => a - b);
+        if (members.length < 2) return;
+
+        const firstShingles = getShingles(normalizeValue(values[members[0]]), shingleSize);
+        const scores = members.map((index) =>
+            jaccardSimilarity(
+                firstShingles,
+                getShingles(normalizeValue(values[index]), shingleSize)
+            )
+        );
+
+        clusters.push({ members, scores });
+    });
+
+    return clusters.sort((a, b) => a.members[0] - b.members[0]);
+}
+
+export {
+    normalizeValue,
+    getShingles,
+    jaccardSimilarity,
+    minHashSignature,
+    clusterSimilarValues,
+    digestValue
+};
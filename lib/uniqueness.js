@@ -0,0 +1,97 @@
+import { digestValue, normalizeValue } from './similarity.js';
+
+/**
+ * Create a registry that checks generated variations against the values already
+ * in the CSV and the variations accepted so far in this run. Values are compared
+ * after normalisation, so differences in case, punctuation or markup do not count.
+ * Columns of one field group share their values, so a new title may not repeat
+ * an existing SEO title either.
+ * @param {Map} occurrenceMap - Map from countOccurrences (keys are `${group}:${value}`)
+ * @param {Map} existingDigests - Digests of the normalised values per field group, from
+ * findDuplicatesInFile; used instead of the occurrence map when given
+ * @param {Function} groupOf - Field group lookup from createFieldGroups
+ * @returns {Object} Registry with check and accept
+ */
+function createUniquenessRegistry(
+    occurrenceMap = new Map(),
+    existingDigests = null,
+    groupOf = (field) => field
+) {
+    const existingByField = new Map();
+    const acceptedByField = new Map();
+
+    /**
+     * Digests of the normalised values of a field group in the input, built the
+     * first time they are needed
+     * @param {string} group - Field group name
+     * @returns {Set<string>} Digests of the normalised existing values
+     */
+    function getExistingValues(group) {
+        if (existingDigests) {
+            return existingDigests.get(group) || new Set();
+        }
+        if (!existingByField.has(group)) {
+            const prefix = `${group}:`;
+            const values = new Set();
+            occurrenceMap.forEach((count, key) => {
+                if (key.startsWith(prefix)) {
+                    values.add(digestValue(normalizeValue(key.slice(prefix.length))));
+                }
+            });
+            existingByField.set(group, values);
+        }
+        return existingByField.get(group);
+    }
+
+    /**
+     * Variations accepted so far for a field group, by normalised value
+     * @param {string} group - Field group name
+     * @returns {Map<string, string>} Normalised value to the row ID that got it
+     */
+    function getAcceptedValues(group) {
+        if (!acceptedByField.has(group)) {
+            acceptedByField.set(group, new Map());
+        }
+        return acceptedByField.get(group);
+    }
+
+    return {
+        /**
+         * Check whether a variation is unique
+         * @param {string} field - Field name
+         * @param {string} variation - The generated variation
+         * @param {string} original - The original value it replaces
+         * @returns {string|null} Why the variation collides, or null if it is unique
+         */
+        check(field, variation, original) {
+            const normalized = normalizeValue(variation);
+
+            if (normalized === normalizeValue(original)) {
+                return 'identical to the original value';
+            }
+            const group = groupOf(field);
+            if (getExistingValues(group).has(digestValue(normalized))) {
+                return `already used by another row in "${group}"`;
+            }
+
+            const acceptedFor = getAcceptedValues(group).get(normalized);
+            if (acceptedFor !== undefined) {
+                return `already generated for ID ${acceptedFor}`;
+            }
+
+            return null;
+        },
+
+        /**
+         * Reserve a variation so later rows cannot get the same value
+         * @param {string} field - Field name
+         * @param {string} variation - The accepted variation
+         * @param {string} id - ID of the row that got the variation
+         */
+        accept(field, variation, id) {
+            getAcceptedValues(groupOf(field)).set(normalizeValue(variation), id);
+        }
+    };
+}
+
+export { createUniquenessRegistry };
@@ -0,0 +1,74 @@
+import { checkHtmlTags, compareHtmlStructure } from './html.js';
+import { detectLanguage } from './language.js';
+
+// Openings that show the model is talking about its answer instead of giving it
+const PREAMBLE_PATTERNS = [
+    /^(here is|here's|here are|sure|certainly|of course|hier is|hier zijn|natuurlijk|zeker|uiteraard|graag)\b/i,
+    /^(hier ist|hier sind|gerne|natürlich|voici|voilà|bien sûr|certainement)(?![\p{L}])/iu,
+    /^(nieuwe |new |unieke |unique |neuer |neue |nouveau |nouvelle )?(titel|title|titre|beschrijving|beschreibung|description|variatie|variante|variation|content|inhalt|contenu)\s*:/i,
+    /\n\s*(uitleg|explanation|toelichting|note|opmerking|erklärung|hinweis|explication|remarque)\s*:/i
+];
+
+/**
+ * Validation rules. Each rule returns a reason when the variation fails, or null.
+ * Rules receive the variation and a context with the original value and prompt type.
+ */
+const RULES = {
+    nonEmpty: (variation) => (variation.trim() === '' ? 'the answer is empty' : null),
+
+    noPreamble: (variation) =>
+        PREAMBLE_PATTERNS.some((pattern) => pattern.test(variation.trim()))
+            ? 'the answer contains an introduction or explanation instead of only the text'
+            : null,
+
+    maxLength: (variation, { maxLength }) =>
+        variation.length > maxLength
+            ? `the answer is ${variation.length} characters long, the maximum is ${maxLength}`
+            : null,
+
+    sameLanguage: (variation, { original }) => {
+        const expected = detectLanguage(original);
+        const actual = detectLanguage(variation);
+        if (expected && actual && expected.language !== actual.language) {
+            return `the answer is in "${actual.language}" but the original is in "${expected.language}"`;
+        }
+        return null;
+    },
+
+    validHtml: (variation, { original }) => {
+        // Only hold the answer to the standard of the original
+        if (checkHtmlTags(original)) return null;
+        const problem = checkHtmlTags(variation);
+        return problem ? `the answer is not valid HTML: ${problem}` : null;
+    },
+
+    sameStructure: (variation, { original }) => {
+        const difference = compareHtmlStructure(original, variation);
+        return difference ? `the HTML structure changed: ${difference}` : null;
+    }
+};
+
+// Rules (and their settings) applied per prompt type
+const RULES_BY_PROMPT_TYPE = {
+    title: { rules: ['nonEmpty', 'noPreamble', 'maxLength', 'sameLanguage'], maxLength: 60 },
+    description: { rules: ['nonEmpty', 'noPreamble', 'sameLanguage'] },
+    html: { rules: ['nonEmpty', 'noPreamble', 'sameLanguage', 'validHtml', 'sameStructure'] },
+    general: { rules: ['nonEmpty', 'noPreamble', 'sameLanguage'] }
+};
+
+/**
+ * Validate a generated variation against the rules of its prompt type
+ * @param {string} variation - The cleaned variation
+ * @param {Object} context - Validation context
+ * @param {string} context.original - The original value
+ * @param {string} context.promptType - Prompt type from getPromptType
+ * @returns {Array<string>} Reasons the variation was rejected (empty when valid)
+ */
+function validateVariation(variation, { original, promptType }) {
+    const { rules, ...settings } = RULES_BY_PROMPT_TYPE[promptType] || RULES_BY_PROMPT_TYPE.general;
+    const context = { original, promptType, ...settings };
+
+    return rules.map((rule) => RULES[rule](variation, context)).filter(Boolean);
+}
+
+export { validateVariation, RULES, RULES_BY_PROMPT_TYPE };
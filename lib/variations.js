@@ -1,117 +1,709 @@
 import { log } from './logger.js';
-import { generateVariation } from './ai.js';
+import { SOURCE_COLUMN } from './csv.js';
+import {
+    generateVariation,
+    generateGroupVariations,
+    resolvePromptTemplate,
+    PROMPT_TYPES
+} from './ai.js';
+import { validateVariation } from './validation.js';
+import { resolveTerms, getSharedTerms, checkTerms, describeTerms } from './glossary.js';
+import { resolveRowLocale } from './language.js';
+import { runPool, wait } from './scheduler.js';
+import { normalizeValue } from './similarity.js';
+import { getAvailableLocales, DEFAULT_LOCALE } from '../prompts.js';
+
+// Most rows asked for in one group request; larger groups are split, since small
+// models lose count in long lists
+const GROUP_SIZE = 10;
 
 /**
- * Process a batch of duplicates in parallel
- * @param {Array} batch - Batch of duplicate entries to process
- * @param {string} modelName - The model name to use for generation
- * @returns {Promise<Array>} Array of processed entries with variations
+ * Generate a variation for one field and check it. Failed requests, answers that
+ * break the validation rules and answers that are not unique are retried with
+ * exponential backoff, sending the rejected answers back as feedback. When the
+ * retries run out the field falls back to its original value, except when the only
+ * problem left is uniqueness: then the last valid answer is kept.
+ * @param {Object} row - The duplicate row
+ * @param {string} field - The field to generate a variation for
+ * @param {Object} provider - LLM provider used for generation
+ * @param {Object} options - Retry options
+ * @param {Object} options.registry - Uniqueness registry from createUniquenessRegistry, if any
+ * @param {number} options.maxRetries - How many times to retry a rejected variation
+ * @param {number} options.retryDelay - Delay before the first retry in ms, doubled each retry
+ * @param {string} options.htmlMode - How HTML fields are rewritten, see HTML_MODES
+ * @param {string} options.locale - Locale of the prompt templates
+ * @param {Array<Object>} options.promptMapping - Field to template mapping
+ * @param {string} options.templatesDir - Directory with custom templates, if any
+ * @param {Object} options.glossary - Glossary from loadGlossary, if any
+ * @param {AbortSignal} options.signal - Stops retrying when the run is cancelled, if given
+ * @returns {Promise<Object>} The value to use, its status (generated, not-unique,
+ * fallback or failed) and the reason when it is not generated. Rejects when the
+ * signal aborts.
  */
-async function processBatch(batch, modelName) {
-    log.info(`\nStarting batch processing for ${batch.length} items:`);
-    log.info('Batch IDs:', batch.map((row) => row.ID).join(', '));
-
-    const promises = batch.map(async (row) => {
-        log.info(`\nProcessing item ID: ${row.ID}`);
-
-        // Get the duplicate fields for this row
-        const duplicateFields = row.duplicateFields ? row.duplicateFields.split(',') : [];
-
-        // Create a new row with the original values
-        const newRow = {
-            ID: row.ID,
-            Handle: row.Handle,
-            Command: row.Command,
-            duplicate: 'true',
-            duplicateFields: row.duplicateFields
-        };
+async function generateCheckedVariation(row, field, provider, options = {}) {
+    const { registry, maxRetries = 3, retryDelay = 1000, promptMapping, signal } = options;
+    const originalValue = row[field];
+    const handle = row.Handle || '';
+    const { type: promptType } = resolvePromptTemplate(field, promptMapping);
+    const terms = options.glossary ? resolveTerms(options.glossary, row, field) : null;
+    const rejected = [];
+    let lastProblem = null;
+    let lastNotUnique = null;
 
-        // Generate variations for each duplicate field
-        for (const field of duplicateFields) {
-            const originalValue = row[field];
-            const handle = row.Handle || '';
+    // Fields of the structured log entries about this field
+    const where = { id: row.ID, field, [SOURCE_COLUMN]: row[SOURCE_COLUMN] };
 
-            try {
-                log.time(`Generation time for ID ${row.ID} - ${field}`);
-                const variation = await generateVariation(originalValue, handle, field, modelName);
-                log.timeEnd(`Generation time for ID ${row.ID} - ${field}`);
+    for (let attempt = 0; attempt <= maxRetries; attempt++) {
+        if (attempt > 0 && retryDelay > 0) {
+            const delay = retryDelay * 2 ** (attempt - 1);
+            log.info(`Retrying ID ${row.ID} - ${field} in ${delay}ms (attempt ${attempt + 1})`);
+            await wait(delay, signal);
+        }
 
-                // Add the variation to the new row
-                newRow[field] = variation;
-                newRow[`original_${field}`] = originalValue;
-            } catch (error) {
-                log.error(`Error generating variation for ID ${row.ID} - ${field}:`);
-                log.error(`Error details: ${error.message}`);
-                // Keep the original value if variation generation fails
-                newRow[field] = originalValue;
-                newRow[`original_${field}`] = originalValue;
+        let variation;
+        try {
+            variation = await generateVariation(originalValue, handle, field, provider, rejected, {
+                htmlMode: options.htmlMode,
+                locale: options.locale,
+                row,
+                promptMapping,
+                templatesDir: options.templatesDir,
+                terms: describeTerms(terms)
+            });
+        } catch (error) {
+            if (signal && signal.aborted) {
+                throw error;
+            }
+
+            // Replies that could not be used are sent back to the model as feedback
+            if (error.response !== undefined) {
+                log.event(
+                    'variation.invalid',
+                    { ...where, attempt, reason: error.message },
+                    {
+                        level: 'warn',
+                        message: `Variation for ID ${row.ID} - ${field} is invalid: ${error.message}`
+                    }
+                );
+                rejected.push({ variation: error.response, reason: error.message });
+                lastProblem = { status: 'fallback', issue: `invalid, ${error.message}` };
+                continue;
+            }
+
+            log.event(
+                'request.failed',
+                { ...where, attempt, error: error.message },
+                {
+                    level: 'error',
+                    message: `Error generating variation for ID ${row.ID} - ${field}: ${error.message}`
+                }
+            );
+            lastProblem = { status: 'failed', issue: `request failed, ${error.message}` };
+            continue;
+        }
+
+        const errors = [
+            ...validateVariation(variation, { original: originalValue, promptType }),
+            ...checkTerms(variation, terms)
+        ];
+        if (errors.length > 0) {
+            const reason = errors.join('; ');
+            log.event(
+                'variation.invalid',
+                { ...where, attempt, reason },
+                {
+                    level: 'warn',
+                    message: `Variation for ID ${row.ID} - ${field} is invalid: ${reason}`
+                }
+            );
+            rejected.push({ variation, reason });
+            lastProblem = { status: 'fallback', issue: `invalid, ${reason}` };
+            continue;
+        }
+
+        const collision = registry ? registry.check(field, variation, originalValue) : null;
+        if (!collision) {
+            if (registry) registry.accept(field, variation, row.ID);
+            return { variation, status: 'generated', issue: '' };
+        }
+
+        log.event(
+            'variation.not-unique',
+            { ...where, attempt, reason: collision },
+            {
+                level: 'warn',
+                message: `Variation for ID ${row.ID} - ${field} is not unique: ${collision}`
+            }
+        );
+        rejected.push({ variation, reason: collision });
+        lastNotUnique = { variation, status: 'not-unique', issue: `not unique, ${collision}` };
+    }
+
+    if (lastNotUnique) {
+        return lastNotUnique;
+    }
+
+    log.event(
+        'variation.fallback',
+        { ...where, status: lastProblem.status, reason: lastProblem.issue },
+        {
+            level: 'warn',
+            message: `Keeping the original value for ID ${row.ID} - ${field}: ${lastProblem.issue}`
+        }
+    );
+    return { variation: originalValue, ...lastProblem };
+}
+
+/**
+ * Generate variants of one duplicated value for several rows in one request and
+ * check them like generateCheckedVariation does, and also against each other.
+ * Rows whose variant is rejected are asked for again together, with the rejected
+ * variants as feedback, until the retries run out.
+ * @param {Array<Object>} rows - Duplicate rows sharing the same value in the field
+ * @param {string} field - The field to generate variations for
+ * @param {Object} provider - LLM provider used for generation
+ * @param {Object} options - Retry options, see generateCheckedVariation
+ * @returns {Promise<Array<Object>>} One result per row, as from generateCheckedVariation.
+ * Rejects when the signal aborts.
+ */
+async function generateCheckedGroup(rows, field, provider, options = {}) {
+    const { registry, maxRetries = 3, retryDelay = 1000, promptMapping, signal } = options;
+    const originalValue = rows[0][field];
+    const { type: promptType } = resolvePromptTemplate(field, promptMapping);
+    const termsPerRow = rows.map((row) =>
+        options.glossary ? resolveTerms(options.glossary, row, field) : null
+    );
+    const results = rows.map(() => null);
+    const problems = rows.map(() => null);
+    const notUnique = rows.map(() => null);
+    const rejected = [];
+    let pending = rows.map((row, index) => index);
+
+    /**
+     * Fields of the structured log entries about a row
+     * @param {Object} row - The row
+     * @returns {Object} ID, field and source file
+     */
+    const whereOf = (row) => ({ id: row.ID, field, [SOURCE_COLUMN]: row[SOURCE_COLUMN] });
+
+    for (let attempt = 0; attempt <= maxRetries && pending.length > 0; attempt++) {
+        if (attempt > 0 && retryDelay > 0) {
+            const delay = retryDelay * 2 ** (attempt - 1);
+            log.info(
+                `Retrying ${pending.length} rows of ${field} in ${delay}ms (attempt ${attempt + 1})`
+            );
+            await wait(delay, signal);
+        }
+
+        let variants;
+        try {
+            variants = await generateGroupVariations(
+                originalValue,
+                pending.map((index) => rows[index]),
+                field,
+                provider,
+                rejected,
+                {
+                    locale: options.locale,
+                    templatesDir: options.templatesDir,
+                    terms: options.glossary
+                        ? describeTerms(getSharedTerms(pending.map((index) => termsPerRow[index])))
+                        : null
+                }
+            );
+        } catch (error) {
+            if (signal && signal.aborted) {
+                throw error;
+            }
+
+            const ids = pending.map((index) => rows[index].ID);
+            const problem =
+                error.response !== undefined
+                    ? { status: 'fallback', issue: `invalid, ${error.message}` }
+                    : { status: 'failed', issue: `request failed, ${error.message}` };
+            pending.forEach((index) => (problems[index] = problem));
+
+            if (error.response !== undefined) {
+                rejected.push({ variation: error.response, reason: error.message });
+                log.event(
+                    'variation.invalid',
+                    { ids, field, attempt, reason: error.message },
+                    {
+                        level: 'warn',
+                        message: `Variations of ${field} for IDs ${ids.join(', ')} are invalid: ${error.message}`
+                    }
+                );
+            } else {
+                log.event(
+                    'request.failed',
+                    { ids, field, attempt, error: error.message },
+                    {
+                        level: 'error',
+                        message: `Error generating variations of ${field} for IDs ${ids.join(', ')}: ${error.message}`
+                    }
+                );
             }
+            continue;
         }
 
-        return newRow;
+        const accepted = new Set();
+        pending = pending.filter((index, position) => {
+            const row = rows[index];
+            const variation = variants[position];
+
+            const errors = [
+                ...validateVariation(variation, { original: originalValue, promptType }),
+                ...checkTerms(variation, termsPerRow[index])
+            ];
+            if (errors.length > 0) {
+                const reason = errors.join('; ');
+                log.event(
+                    'variation.invalid',
+                    { ...whereOf(row), attempt, reason },
+                    {
+                        level: 'warn',
+                        message: `Variation for ID ${row.ID} - ${field} is invalid: ${reason}`
+                    }
+                );
+                rejected.push({ variation, reason });
+                problems[index] = { status: 'fallback', issue: `invalid, ${reason}` };
+                return true;
+            }
+
+            const normalized = normalizeValue(variation);
+            let collision = null;
+            if (accepted.has(normalized)) {
+                collision = 'the same as another variation in this answer';
+            } else if (registry) {
+                collision = registry.check(field, variation, originalValue);
+            }
+            if (collision) {
+                log.event(
+                    'variation.not-unique',
+                    { ...whereOf(row), attempt, reason: collision },
+                    {
+                        level: 'warn',
+                        message: `Variation for ID ${row.ID} - ${field} is not unique: ${collision}`
+                    }
+                );
+                rejected.push({ variation, reason: collision });
+                notUnique[index] = {
+                    variation,
+                    status: 'not-unique',
+                    issue: `not unique, ${collision}`
+                };
+                return true;
+            }
+
+            accepted.add(normalized);
+            if (registry) registry.accept(field, variation, row.ID);
+            results[index] = { variation, status: 'generated', issue: '' };
+            return false;
+        });
+    }
+
+    pending.forEach((index) => {
+        if (notUnique[index]) {
+            results[index] = notUnique[index];
+            return;
+        }
+
+        const row = rows[index];
+        log.event(
+            'variation.fallback',
+            { ...whereOf(row), status: problems[index].status, reason: problems[index].issue },
+            {
+                level: 'warn',
+                message: `Keeping the original value for ID ${row.ID} - ${field}: ${problems[index].issue}`
+            }
+        );
+        results[index] = { variation: originalValue, ...problems[index] };
     });
 
-    const results = await Promise.all(promises);
-    log.success(`Batch processing completed for ${batch.length} items`);
     return results;
 }
 
 /**
- * Generate variations for duplicate entries using batching
+ * Check whether a field can be generated with the group prompt: only fields that use
+ * the built-in title, description or general prompt can. HTML fields keep the HTML
+ * prompt and, with --html-mode segments, the segment rewriting, and fields that the
+ * prompt mapping gives a template of their own keep that template.
+ * @param {string} field - The field
+ * @param {Array<Object>} promptMapping - Field to template mapping
+ * @returns {boolean} Whether the field can be grouped
+ */
+function canGroupField(field, promptMapping) {
+    const { template, type } = resolvePromptTemplate(field, promptMapping);
+    return template === type && type !== PROMPT_TYPES.HTML;
+}
+
+/**
+ * Bundle the field tasks into jobs for the worker pool. Normally every task is a
+ * job of its own. In group mode the tasks that share the same value in the same
+ * field and locale form one job, split into jobs of at most GROUP_SIZE rows; fields
+ * that need their own prompt (see canGroupField) stay on their own.
+ * @param {Array<Object>} tasks - Tasks with row, field and locale
+ * @param {Object} options - Processing options
+ * @param {boolean} options.groupMode - Ask for the variants of a group in one request
+ * @param {Array<Object>} options.promptMapping - Field to template mapping
+ * @returns {Array<Array<Object>>} The jobs, each a list of tasks
+ */
+function createJobs(tasks, { groupMode = false, promptMapping } = {}) {
+    if (!groupMode) {
+        return tasks.map((task) => [task]);
+    }
+
+    const groups = new Map();
+    tasks.forEach((task, index) => {
+        const key = canGroupField(task.field, promptMapping)
+            ? [task.locale, task.field, task.row[task.field]].join('\u0000')
+            : `task:${index}`;
+
+        if (!groups.has(key)) {
+            groups.set(key, []);
+        }
+        groups.get(key).push(task);
+    });
+
+    const jobs = [];
+    groups.forEach((group) => {
+        for (let start = 0; start < group.length; start += GROUP_SIZE) {
+            jobs.push(group.slice(start, start + GROUP_SIZE));
+        }
+    });
+    return jobs;
+}
+
+/**
+ * Set up the variation row for a duplicate row, filling in fields the journal
+ * already has, and list the fields that still need a request
+ * @param {Object} row - The duplicate row
+ * @param {Object} options - Processing options, see generateVariationsForDuplicates
+ * @param {Array<string>} availableLocales - Locales that have templates
+ * @returns {Object} The variation row, the result slot per duplicate field, and the
+ * tasks left to run
+ */
+function prepareRow(row, options, availableLocales) {
+    const { journal, registry } = options;
+    const locale = resolveRowLocale(row, {
+        locale: options.locale,
+        localeColumn: options.localeColumn,
+        availableLocales,
+        fallbackLocale: DEFAULT_LOCALE
+    });
+
+    // Get the duplicate fields for this row
+    const duplicateFields = row.duplicateFields ? row.duplicateFields.split(',') : [];
+
+    // Create a new row with the original values
+    const newRow = {
+        ID: row.ID,
+        Handle: row.Handle,
+        Command: row.Command,
+        duplicate: 'true',
+        duplicateFields: row.duplicateFields,
+        variationStatus: '',
+        variationIssues: ''
+    };
+
+    // Keep the file the row came from when several files were checked
+    if (row[SOURCE_COLUMN] !== undefined) {
+        newRow[SOURCE_COLUMN] = row[SOURCE_COLUMN];
+    }
+
+    // Keep the cluster details from fuzzy detection
+    if (row.clusterIds !== undefined) {
+        newRow.clusterIds = row.clusterIds;
+        newRow.similarityScores = row.similarityScores;
+    }
+
+    // One result per field, in column order, so the status columns do not depend on timing
+    const results = duplicateFields.map(() => null);
+    const tasks = [];
+
+    duplicateFields.forEach((field, index) => {
+        const originalValue = row[field];
+
+        // Reuse the result of an earlier run if the original is unchanged
+        const completed = journal && journal.get(row, field, originalValue);
+        if (completed) {
+            log.info(`Using journaled variation for ID ${row.ID} - ${field}`);
+            results[index] = { ...completed, variation: completed.value, journaled: true };
+            if (!completed.issue && registry) {
+                registry.accept(field, completed.value, row.ID);
+            }
+            return;
+        }
+
+        tasks.push({ row, field, index, locale });
+    });
+
+    return { row, newRow, duplicateFields, results, tasks };
+}
+
+/**
+ * Fill the variation row from the results of its fields. Fields without a result
+ * were cancelled and keep their original value.
+ * @param {Object} prepared - Row from prepareRow, with its results filled in
+ * @returns {Object} The finished variation row
+ */
+function finishRow({ row, newRow, duplicateFields, results }) {
+    const statuses = [];
+    const issues = [];
+
+    duplicateFields.forEach((field, index) => {
+        const result = results[index] || {
+            variation: row[field],
+            status: 'cancelled',
+            issue: 'cancelled before it finished'
+        };
+
+        // Add the variation (or the original it fell back to) to the new row
+        newRow[field] = result.variation;
+        newRow[`original_${field}`] = row[field];
+        statuses.push(`${field}:${result.status}`);
+        if (result.issue) {
+            issues.push(`${field}: ${result.issue}`);
+        }
+    });
+
+    newRow.variationStatus = statuses.join(',');
+    newRow.variationIssues = issues.join(' | ');
+    return newRow;
+}
+
+/**
+ * Summarise a run: how the fields ended up and how fast requests went
+ * @param {Array<Object>} prepared - Rows from prepareRow
+ * @param {number} elapsed - Run time in ms
+ * @param {Object} requestStats - Stats from createLimitedProvider or createCachedProvider,
+ * if available
+ * @returns {Object} Field counts per status and throughput numbers
+ */
+function summarizeRun(prepared, elapsed, requestStats) {
+    const statuses = {};
+    let journaled = 0;
+    prepared.forEach(({ results }) =>
+        results.forEach((result) => {
+            const status = result ? result.status : 'cancelled';
+            statuses[status] = (statuses[status] || 0) + 1;
+            if (result && result.journaled) journaled++;
+        })
+    );
+
+    const minutes = elapsed / 60000;
+    const generatedFields = Object.values(statuses).reduce((sum, count) => sum + count, 0);
+    const doneFields = generatedFields - (statuses.cancelled || 0) - journaled;
+
+    return {
+        elapsed,
+        fields: generatedFields,
+        journaled,
+        statuses,
+        fieldsPerMinute: minutes > 0 ? doneFields / minutes : 0,
+        requestsPerMinute: requestStats && minutes > 0 ? requestStats.requests / minutes : 0,
+        requests: requestStats || null
+    };
+}
+
+/**
+ * Log the run summary
+ * @param {Object} summary - Summary from summarizeRun
+ * @param {number} concurrency - Requests kept in flight
+ */
+function logSummary(summary, concurrency) {
+    log.sectionEnd('Variation Generation');
+    log.info(`Total time taken: ${(summary.elapsed / 1000).toFixed(1)} seconds`);
+    log.info(
+        `Fields: ${summary.fields} (` +
+            Object.entries(summary.statuses)
+                .map(([status, count]) => `${count} ${status}`)
+                .join(', ') +
+            (summary.journaled ? `, ${summary.journaled} from the journal` : '') +
+            ')'
+    );
+    log.stats(
+        `Throughput: ${summary.fieldsPerMinute.toFixed(1)} fields/min with ${concurrency} in flight`
+    );
+
+    if (summary.requests) {
+        const { requests, failed, timedOut, averageLatency, p95Latency } = summary.requests;
+        log.stats(
+            `Requests: ${requests} (${summary.requestsPerMinute.toFixed(1)}/min), ` +
+                `${failed} failed, ${timedOut} timed out`
+        );
+        log.stats(
+            `Latency: ${(averageLatency / 1000).toFixed(1)}s average, ` +
+                `${(p95Latency / 1000).toFixed(1)}s p95`
+        );
+
+        const { cacheHits, cacheMisses } = summary.requests;
+        if (cacheHits !== undefined) {
+            log.stats(`Cache: ${cacheHits} replies from the cache, ${cacheMisses} from the model`);
+        }
+    }
+    log.info('=====================================\n');
+}
+
+/**
+ * Generate variations for duplicate entries. Every (row, field) pair is a separate
+ * task and a worker pool keeps `concurrency` of them in flight, so one slow field
+ * does not hold up the others. When the signal aborts, no new fields are started,
+ * running requests are cancelled and the rows are returned with what finished.
  * @param {Array} duplicates - Array of duplicate entries
- * @param {string} modelName - The model name to use for generation
- * @param {number} batchSize - Number of items to process in parallel
- * @returns {Promise<Array>} Array of entries with variations
+ * @param {Object} provider - LLM provider used for generation, ideally from createLimitedProvider
+ * @param {Object} options - Processing options
+ * @param {number} options.concurrency - Number of requests kept in flight
+ * @param {AbortSignal} options.signal - Cancels the run, if given
+ * @param {Object} options.journal - Progress journal from openJournal, if any
+ * @param {Object} options.registry - Uniqueness registry from createUniquenessRegistry, if any
+ * @param {number} options.maxRetries - How many times to retry a rejected variation
+ * @param {number} options.retryDelay - Delay before the first retry in ms
+ * @param {string} options.htmlMode - How HTML fields are rewritten, see HTML_MODES
+ * @param {boolean} options.groupMode - Generate rows sharing a value together, see createJobs
+ * @param {string} options.locale - Prompt locale, or "auto" to detect it per row
+ * @param {string} options.localeColumn - Column holding each row's locale, if any
+ * @param {Array<Object>} options.promptMapping - Field to template mapping
+ * @param {string} options.templatesDir - Directory with custom templates, if any
+ * @param {Object} options.glossary - Glossary from loadGlossary, if any
+ * @returns {Promise<Object>} The variation rows, whether the run was cancelled, and the summary
  */
-async function generateVariationsForDuplicates(duplicates, modelName, batchSize = 5) {
+async function generateVariationsForDuplicates(duplicates, provider, options = {}) {
+    const { journal, signal, concurrency = 5 } = options;
+
     // Handle empty duplicates array
     if (!duplicates || duplicates.length === 0) {
         log.info('No duplicates to process');
-        return [];
+        return { variations: [], cancelled: false, summary: null };
     }
 
+    const availableLocales = getAvailableLocales();
+    const prepared = duplicates.map((row) => prepareRow(row, options, availableLocales));
+    const tasks = prepared.flatMap((entry) => entry.tasks.map((task) => ({ ...task, entry })));
+
+    const jobs = createJobs(tasks, options);
+
     log.section('Starting Variation Generation');
     log.info(`Total duplicates to process: ${duplicates.length}`);
-    log.info(`Batch size: ${batchSize}`);
-    log.info(`Expected number of batches: ${Math.ceil(duplicates.length / batchSize)}`);
+    log.info(`Fields to generate: ${tasks.length}`);
+    if (options.groupMode) {
+        log.info(`Group requests: ${jobs.length}`);
+    }
+    log.info(`Requests in flight: ${concurrency}`);
     log.info('=====================================\n');
 
-    const variations = [];
     const startTime = Date.now();
+    let finished = 0;
 
-    // Process in batches
-    for (let i = 0; i < duplicates.length; i += batchSize) {
-        const batchNumber = Math.floor(i / batchSize) + 1;
-        const totalBatches = Math.ceil(duplicates.length / batchSize);
-        const batch = duplicates.slice(i, i + batchSize);
-
-        log.progress(`Processing Batch ${batchNumber}/${totalBatches}`);
-        log.info('----------------------------------------');
+    /**
+     * Store the result of a field task, record it in the journal and report progress
+     * @param {Object} task - The task
+     * @param {Object} result - Result of generateCheckedVariation or generateCheckedGroup
+     */
+    const finishTask = ({ row, field, index, entry }, result) => {
+        entry.results[index] = result;
+        log.event('field.finished', {
+            id: row.ID,
+            field,
+            [SOURCE_COLUMN]: row[SOURCE_COLUMN],
+            status: result.status,
+            issue: result.issue
+        });
 
-        const batchResults = await processBatch(batch, modelName);
-        variations.push(...batchResults);
+        // Fallbacks and failures are not journaled so a resumed run tries them again
+        if (journal && (result.status === 'generated' || result.status === 'not-unique')) {
+            journal.record({
+                id: row.ID,
+                field,
+                [SOURCE_COLUMN]: row[SOURCE_COLUMN],
+                original: row[field],
+                value: result.variation,
+                status: result.status,
+                issue: result.issue
+            });
+        }
 
-        // Calculate and log progress
-        const itemsProcessed = i + batch.length;
-        if (itemsProcessed > 0) {
-            log.batchProgress(itemsProcessed, duplicates.length, startTime);
+        finished++;
+        if (finished % concurrency === 0 || finished === tasks.length) {
+            log.batchProgress(finished, tasks.length, startTime);
         }
-    }
+    };
 
-    const totalTime = (Date.now() - startTime) / 1000;
-    log.sectionEnd('Variation Generation');
+    const { cancelled } = await runPool(
+        jobs,
+        async (job) => {
+            const [{ row, field, locale }] = job;
+            const rows = job.map((task) => task.row);
+            const label = `Generation time for ID ${rows.map(({ ID }) => ID).join(', ')} - ${field}`;
+            const where =
+                job.length === 1
+                    ? { id: row.ID, field, [SOURCE_COLUMN]: row[SOURCE_COLUMN] }
+                    : { ids: rows.map(({ ID }) => ID), field };
+            log.time(label);
 
-    // Avoid division by zero
-    if (duplicates.length > 0) {
-        log.info(`Total time taken: ${totalTime.toFixed(1)} seconds`);
-        log.info(`Average time per item: ${(totalTime / duplicates.length).toFixed(1)} seconds`);
-    } else {
-        log.info(`Total time taken: ${totalTime.toFixed(1)} seconds`);
-    }
+            let results;
+            try {
+                if (job.length === 1) {
+                    const generateOptions = { ...options, locale };
+                    results = [
+                        await generateCheckedVariation(row, field, provider, generateOptions)
+                    ];
+                } else {
+                    results = await generateCheckedGroup(rows, field, provider, {
+                        ...options,
+                        locale
+                    });
+                }
+            } catch (error) {
+                // Cancelled fields are left for a resumed run; anything else is a bug
+                if (!(signal && signal.aborted)) {
+                    throw error;
+                }
+                job.forEach((task) =>
+                    log.event(
+                        'field.cancelled',
+                        {
+                            id: task.row.ID,
+                            field,
+                            [SOURCE_COLUMN]: task.row[SOURCE_COLUMN],
+                            reason: error.message
+                        },
+                        {
+                            level: 'warn',
+                            message: `Cancelled ID ${task.row.ID} - ${field}: ${error.message}`
+                        }
+                    )
+                );
+                return;
+            } finally {
+                log.timeEnd(label, where);
+            }
 
-    log.info('=====================================\n');
+            job.forEach((task, position) => finishTask(task, results[position]));
+        },
+        { concurrency, signal }
+    );
+
+    const variations = prepared.map(finishRow);
+    const summary = summarizeRun(
+        prepared,
+        Date.now() - startTime,
+        typeof provider.stats === 'function' ? provider.stats() : null
+    );
+    logSummary(summary, concurrency);
+
+    // Report the rows that still have problems after all retries
+    const problems = variations.filter((row, index) =>
+        prepared[index].results.some((result) => result && result.issue)
+    );
+    if (problems.length > 0) {
+        log.warn(
+            `${problems.length} rows still have issues after ${options.maxRetries ?? 3} retries:`
+        );
+        problems.forEach((row) => log.warn(`ID ${row.ID} - ${row.variationIssues}`));
+    }
 
-    return variations;
+    return { variations, cancelled: cancelled || Boolean(signal && signal.aborted), summary };
 }
 
-export { generateVariationsForDuplicates, processBatch };
+export { generateVariationsForDuplicates, generateCheckedVariation, summarizeRun };
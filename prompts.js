@@ -1,109 +1,178 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+// Prompt templates live in templates/<locale>/<name>.txt
+const TEMPLATES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'templates');
+
+// Locale of the original prompts, used when no other locale applies
+export const DEFAULT_LOCALE = 'nl';
+
+const templateCache = new Map();
+
 /**
- * Generate a prompt for creating a unique variation of a collection title
- * @param {string} title - The original collection title
- * @param {string} handle - Collection handle with additional details
- * @returns {string} The prompt for the AI
+ * List the locales that have a template directory
+ * @returns {Array<string>} Locale codes
  */
-export function getTitlePrompt(title, handle) {
-    return `Je bent een expert in het schrijven van unieke collectietitels voor een webshop.
-
-Hier is de originele titel van een collectie:
-"${title}"
+export function getAvailableLocales() {
+    return fs
+        .readdirSync(TEMPLATES_DIR, { withFileTypes: true })
+        .filter((entry) => entry.isDirectory())
+        .map((entry) => entry.name)
+        .sort();
+}
 
-Collectie handle: ${handle}
+/**
+ * Load a prompt template. A custom templates directory is searched first, both
+ * per locale (<dir>/<locale>/<name>.txt) and without one (<dir>/<name>.txt),
+ * before the built-in templates.
+ * @param {string} name - Template name (file name without .txt)
+ * @param {string} locale - Locale code
+ * @param {string} templatesDir - Directory with custom templates, if any
+ * @returns {string} The template text
+ */
+export function loadTemplate(name, locale = DEFAULT_LOCALE, templatesDir) {
+    const candidates = [];
+    if (templatesDir) {
+        candidates.push(path.resolve(templatesDir, locale, `${name}.txt`));
+        candidates.push(path.resolve(templatesDir, `${name}.txt`));
+    }
+    candidates.push(path.join(TEMPLATES_DIR, locale, `${name}.txt`));
+
+    const filePath = candidates.find((candidate) => fs.existsSync(candidate));
+    if (!filePath) {
+        throw new Error(
+            `No "${name}" prompt template for locale "${locale}". Looked in: ${candidates.join(', ')}`
+        );
+    }
+
+    if (!templateCache.has(filePath)) {
+        templateCache.set(filePath, fs.readFileSync(filePath, 'utf8').trimEnd());
+    }
+
+    return templateCache.get(filePath);
+}
 
-Maak een unieke variatie van deze collectietitel. De nieuwe titel moet:
-- Dezelfde informatie bevatten als de originele titel
-- Uniek zijn en niet te veel lijken op de originele titel
-- SEO-vriendelijk zijn met relevante zoekwoorden
-- Niet langer zijn dan 60 karakters
-- Geen speciale tekens of symbolen bevatten aan het begin of einde
-- Direct beginnen met de titel, zonder aanhalingstekens of andere markeringen
+/**
+ * Fill in the {{placeholders}} of a template. {{row.<Column>}} reads any column
+ * of `variables.row`; unknown placeholders become empty.
+ * @param {string} template - Template text
+ * @param {Object} variables - Values by placeholder name
+ * @returns {string} The rendered text
+ */
+export function renderTemplate(template, variables) {
+    return template.replace(/\{\{\s*([^{}]+?)\s*\}\}/g, (placeholder, name) => {
+        const value =
+            name.startsWith('row.') && variables.row
+                ? variables.row[name.slice('row.'.length)]
+                : variables[name];
+        return value !== undefined && value !== null ? String(value) : '';
+    });
+}
 
-BELANGRIJK: Begin je antwoord NOOIT met drie aanhalingstekens (""") of andere markeringen.
-Begin je antwoord direct met de titel.
+/**
+ * Render a prompt template by name
+ * @param {string} name - Template name
+ * @param {string} locale - Locale code
+ * @param {Object} variables - Placeholder values (value, handle, field, row, ...)
+ * @param {string} templatesDir - Directory with custom templates, if any
+ * @returns {string} The prompt for the AI
+ */
+export function renderPrompt(name, locale, variables, templatesDir) {
+    return renderTemplate(loadTemplate(name, locale, templatesDir), variables);
+}
 
-Geef alleen de nieuwe titel, zonder uitleg of extra tekst.`;
+/**
+ * Generate a prompt for creating a unique variation of a collection title
+ * @param {string} title - The original collection title
+ * @param {string} handle - Collection handle with additional details
+ * @param {string} locale - Locale of the prompt
+ * @returns {string} The prompt for the AI
+ */
+export function getTitlePrompt(title, handle, locale = DEFAULT_LOCALE) {
+    return renderTemplate(loadTemplate('title', locale), { value: title, handle });
 }
 
 /**
  * Generate a prompt for creating a unique variation of a collection description
  * @param {string} description - The original collection description
  * @param {string} handle - Collection handle with additional details
+ * @param {string} locale - Locale of the prompt
  * @returns {string} The prompt for the AI
  */
-export function getDescriptionPrompt(description, handle) {
-    return `Je bent een expert in het schrijven van unieke collectiebeschrijvingen voor een webshop.
-
-Hier is de originele beschrijving van een collectie:
-"${description}"
-
-Collectie handle: ${handle}
-
-Maak een unieke variatie van deze collectiebeschrijving. De nieuwe beschrijving moet:
-- Dezelfde informatie bevatten als de originele beschrijving
-- Uniek zijn en niet te veel lijken op de originele beschrijving
-- SEO-vriendelijk zijn met relevante zoekwoorden
-- Geen speciale tekens of symbolen bevatten aan het begin of einde
-- Direct beginnen met de beschrijving, zonder aanhalingstekens of andere markeringen
-
-BELANGRIJK: Begin je antwoord NOOIT met drie aanhalingstekens (""") of andere markeringen.
-Begin je antwoord direct met de beschrijving.
-
-Geef alleen de nieuwe beschrijving, zonder uitleg of extra tekst.`;
+export function getDescriptionPrompt(description, handle, locale = DEFAULT_LOCALE) {
+    return renderTemplate(loadTemplate('description', locale), { value: description, handle });
 }
 
 /**
  * Generate a prompt for creating a unique variation of a collection HTML description
  * @param {string} html - The original collection HTML description
  * @param {string} handle - Collection handle with additional details
+ * @param {string} locale - Locale of the prompt
  * @returns {string} The prompt for the AI
  */
-export function getBodyPrompt(html, handle) {
-    return `Je bent een expert in het schrijven van unieke HTML-collectiebeschrijvingen voor een webshop.
-
-Hier is de originele HTML-beschrijving van een collectie:
-"${html}"
-
-Collectie handle: ${handle}
-
-Maak een unieke variatie van deze HTML-beschrijving. De nieuwe beschrijving moet:
-- Dezelfde informatie bevatten als de originele beschrijving
-- Uniek zijn en niet te veel lijken op de originele beschrijving
-- SEO-vriendelijk zijn met relevante zoekwoorden
-- Dezelfde HTML-structuur behouden (paragrafen, lijsten, etc.)
-- Geen speciale tekens of symbolen bevatten aan het begin of einde
-- Direct beginnen met de HTML-tag (bijvoorbeeld <p> of <div>), zonder aanhalingstekens of andere markeringen
-
-BELANGRIJK: Begin je antwoord NOOIT met drie aanhalingstekens (""") of andere markeringen.
-Begin je antwoord direct met de HTML-tag (bijvoorbeeld <p> of <div>).
+export function getBodyPrompt(html, handle, locale = DEFAULT_LOCALE) {
+    return renderTemplate(loadTemplate('html', locale), { value: html, handle });
+}
 
-Geef alleen de nieuwe HTML-beschrijving, zonder uitleg of extra tekst.`;
+/**
+ * Generate a prompt for rewriting the text segments of a collection HTML description.
+ * The markup is kept aside and the rewritten segments are put back in its place.
+ * @param {Array<string>} segments - The text segments of the HTML, in document order
+ * @param {string} handle - Collection handle with additional details
+ * @param {string} locale - Locale of the prompt
+ * @returns {string} The prompt for the AI
+ */
+export function getHtmlSegmentsPrompt(segments, handle, locale = DEFAULT_LOCALE) {
+    return renderTemplate(loadTemplate('html-segments', locale), {
+        segments: JSON.stringify(segments, null, 2),
+        count: segments.length,
+        handle
+    });
 }
 
 /**
  * Generate a prompt for creating a unique variation of general collection content
  * @param {string} content - The original collection content
  * @param {string} handle - Collection handle with additional details
+ * @param {string} locale - Locale of the prompt
  * @returns {string} The prompt for the AI
  */
-export function getGeneralPrompt(content, handle) {
-    return `Je bent een expert in het schrijven van unieke collectiecontent voor een webshop.
-
-Hier is de originele content van een collectie:
-"${content}"
-
-Collectie handle: ${handle}
+export function getGeneralPrompt(content, handle, locale = DEFAULT_LOCALE) {
+    return renderTemplate(loadTemplate('general', locale), { value: content, handle });
+}
 
-Maak een unieke variatie van deze collectiecontent. De nieuwe content moet:
-- Dezelfde informatie bevatten als de originele content
-- Uniek zijn en niet te veel lijken op de originele content
-- SEO-vriendelijk zijn met relevante zoekwoorden
-- Geen speciale tekens of symbolen bevatten aan het begin of einde
-- Direct beginnen met de content, zonder aanhalingstekens of andere markeringen
+/**
+ * Generate feedback to append to a prompt after earlier answers were rejected
+ * @param {Array<Object>} rejected - Rejected answers with variation and reason
+ * @param {string} locale - Locale of the prompt
+ * @param {string} templatesDir - Directory with custom templates, if any
+ * @returns {string} The feedback for the AI
+ */
+export function getRetryFeedback(rejected, locale = DEFAULT_LOCALE, templatesDir) {
+    const list = rejected.map(({ variation, reason }) => `- "${variation}" (${reason})`).join('\n');
 
-BELANGRIJK: Begin je antwoord NOOIT met drie aanhalingstekens (""") of andere markeringen.
-Begin je antwoord direct met de content.
+    return renderPrompt('retry-feedback', locale, { rejected: list }, templatesDir);
+}
 
-Geef alleen de nieuwe content, zonder uitleg of extra tekst.`;
+/**
+ * Generate the glossary instructions to append to a prompt: which terms must stay as
+ * they are, which must appear and which may not be used
+ * @param {Object} terms - Display lists from describeTerms: protected, required, forbidden
+ * @param {string} locale - Locale of the prompt
+ * @param {string} templatesDir - Directory with custom templates, if any
+ * @returns {string} The instructions, empty when no term applies
+ */
+export function getGlossaryInstructions(terms, locale = DEFAULT_LOCALE, templatesDir) {
+    return ['protected', 'required', 'forbidden']
+        .filter((list) => terms[list].length > 0)
+        .map((list) =>
+            renderPrompt(
+                `glossary-${list}`,
+                locale,
+                { terms: terms[list].map((term) => `"${term}"`).join(', ') },
+                templatesDir
+            )
+        )
+        .join('\n');
 }
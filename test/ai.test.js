@@ -0,0 +1,68 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { cleanVariation, getPromptType, PROMPT_TYPES } from '../lib/ai.js';
+import { silenceLogs } from './helpers.js';
+
+describe('cleanVariation', () => {
+    beforeEach((t) => silenceLogs(t));
+
+    it('leaves a clean answer alone', () => {
+        assert.equal(cleanVariation('Zonnige zomer collectie'), 'Zonnige zomer collectie');
+    });
+
+    it('removes triple quotes', () => {
+        assert.equal(cleanVariation('"""Zonnige zomer collectie"""'), 'Zonnige zomer collectie');
+    });
+
+    it('removes single quotes and backticks around the answer', () => {
+        assert.equal(cleanVariation('"Zonnige zomer collectie"'), 'Zonnige zomer collectie');
+        assert.equal(cleanVariation('`Zonnige zomer collectie`'), 'Zonnige zomer collectie');
+    });
+
+    it('unwraps a code block with a language identifier', () => {
+        assert.equal(
+            cleanVariation('```html\n<p>Luchtige kleding.</p>\n```'),
+            '<p>Luchtige kleding.</p>'
+        );
+    });
+
+    it('unwraps a code block that is never closed', () => {
+        assert.equal(
+            cleanVariation('```html\n<p>Luchtige kleding.</p>'),
+            '<p>Luchtige kleding.</p>'
+        );
+    });
+
+    it('removes HTML comments at the start and the end', () => {
+        assert.equal(cleanVariation('<!-- variatie --><p>Tekst</p>'), '<p>Tekst</p>');
+        assert.equal(cleanVariation('<p>Tekst</p><!-- einde -->'), '<p>Tekst</p>');
+    });
+
+    it('removes trailing newlines', () => {
+        assert.equal(cleanVariation('Zonnige zomer collectie\n\n'), 'Zonnige zomer collectie');
+    });
+
+    it('keeps quotes inside the answer', () => {
+        assert.equal(cleanVariation('De "beste" collectie'), 'De "beste" collectie');
+    });
+});
+
+describe('getPromptType', () => {
+    it('uses the title prompt for title columns', () => {
+        assert.equal(getPromptType('Title'), PROMPT_TYPES.TITLE);
+        assert.equal(getPromptType('SEO Title Tag'), PROMPT_TYPES.TITLE);
+    });
+
+    it('uses the description prompt for plain description columns', () => {
+        assert.equal(getPromptType('SEO Description'), PROMPT_TYPES.DESCRIPTION);
+    });
+
+    it('uses the HTML prompt for HTML columns, also when they are descriptions', () => {
+        assert.equal(getPromptType('Body HTML'), PROMPT_TYPES.HTML);
+        assert.equal(getPromptType('Description HTML'), PROMPT_TYPES.HTML);
+    });
+
+    it('falls back to the general prompt', () => {
+        assert.equal(getPromptType('Metafield: custom.tagline'), PROMPT_TYPES.GENERAL);
+    });
+});
@@ -0,0 +1,109 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { getCacheKey, openResponseCache, createCachedProvider, pruneCache } from '../lib/cache.js';
+import { createMockProvider } from '../lib/providers/index.js';
+import { createTempDir, silenceLogs } from './helpers.js';
+
+const MESSAGES = [{ role: 'user', content: 'Maak een variatie van "Zomer collectie"' }];
+
+describe('getCacheKey', () => {
+    it('depends on the provider, model, options and prompt', () => {
+        const provider = { name: 'ollama', model: 'gemma3:4b', options: { temperature: 0.7 } };
+        const key = getCacheKey(provider, MESSAGES);
+
+        assert.equal(getCacheKey({ ...provider }, MESSAGES), key);
+        assert.notEqual(getCacheKey({ ...provider, name: 'openai' }, MESSAGES), key);
+        assert.notEqual(getCacheKey({ ...provider, model: 'qwen2.5' }, MESSAGES), key);
+        assert.notEqual(getCacheKey({ ...provider, options: { temperature: 0.2 } }, MESSAGES), key);
+        assert.notEqual(getCacheKey(provider, [{ role: 'user', content: 'Anders' }]), key);
+    });
+
+    it('ignores unset options and their order', () => {
+        const provider = { name: 'ollama', model: 'gemma3:4b' };
+
+        assert.equal(
+            getCacheKey(
+                { ...provider, options: { seed: 1, temperature: 0.7, numCtx: undefined } },
+                MESSAGES
+            ),
+            getCacheKey({ ...provider, options: { temperature: 0.7, seed: 1 } }, MESSAGES)
+        );
+    });
+});
+
+describe('createCachedProvider', () => {
+    beforeEach((t) => silenceLogs(t));
+
+    it('answers repeated prompts from the cache', async (t) => {
+        const cache = openResponseCache(createTempDir(t));
+        const model = createMockProvider({ responses: ['Zonnige zomer collectie', 'Tweede'] });
+        const provider = createCachedProvider(model, cache);
+
+        assert.equal(await provider.chat(MESSAGES), 'Zonnige zomer collectie');
+        assert.equal(await provider.chat(MESSAGES), 'Zonnige zomer collectie');
+        assert.equal(model.calls.length, 1);
+        assert.deepEqual(provider.stats(), { cacheHits: 1, cacheMisses: 1 });
+    });
+
+    it('keeps the cache across runs and replaces entries on refresh', async (t) => {
+        const dir = createTempDir(t);
+        const first = createMockProvider({ responses: ['Eerste'] });
+        await createCachedProvider(first, openResponseCache(dir)).chat(MESSAGES);
+
+        const second = createMockProvider({ responses: ['Tweede'] });
+        const refreshed = createCachedProvider(second, openResponseCache(dir), { refresh: true });
+        assert.equal(await refreshed.chat(MESSAGES), 'Tweede');
+
+        const third = createMockProvider({ responses: ['Derde'] });
+        assert.equal(
+            await createCachedProvider(third, openResponseCache(dir)).chat(MESSAGES),
+            'Tweede'
+        );
+        assert.equal(third.calls.length, 0);
+    });
+
+    it('does not cache failed requests', async (t) => {
+        const cache = openResponseCache(createTempDir(t));
+        const model = createMockProvider({ responses: [new Error('connection refused'), 'Later'] });
+        const provider = createCachedProvider(model, cache);
+
+        await assert.rejects(provider.chat(MESSAGES), /connection refused/);
+        assert.equal(await provider.chat(MESSAGES), 'Later');
+        assert.deepEqual(provider.stats(), { cacheHits: 0, cacheMisses: 2 });
+    });
+});
+
+describe('pruneCache', () => {
+    it('removes entries that were not used within the maximum age', (t) => {
+        const dir = createTempDir(t);
+        const cache = openResponseCache(dir);
+        cache.set('aa11', { reply: 'oud' });
+        cache.set('bb22', { reply: 'nieuw' });
+
+        const longAgo = new Date(Date.now() - 40 * 24 * 60 * 60 * 1000);
+        fs.utimesSync(path.join(dir, 'aa', 'aa11.json'), longAgo, longAgo);
+
+        const result = pruneCache(dir, { maxAge: 30 });
+
+        assert.equal(result.removed, 1);
+        assert.equal(result.kept, 1);
+        assert.equal(fs.existsSync(path.join(dir, 'aa')), false);
+        assert.equal(cache.get('bb22'), 'nieuw');
+    });
+
+    it('removes everything with a maximum age of 0', (t) => {
+        const dir = createTempDir(t);
+        openResponseCache(dir).set('aa11', { reply: 'oud' });
+
+        assert.equal(pruneCache(dir, { maxAge: 0 }).removed, 1);
+        assert.deepEqual(fs.readdirSync(dir), []);
+    });
+
+    it('does nothing when there is no cache yet', (t) => {
+        const dir = path.join(createTempDir(t), 'missing');
+
+        assert.deepEqual(pruneCache(dir), { removed: 0, kept: 0, bytes: 0 });
+    });
+});
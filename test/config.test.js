@@ -0,0 +1,28 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { resolveConfig } from '../lib/config.js';
+import { createTempDir } from './helpers.js';
+
+describe('config', () => {
+    it('rejects numbers below the minimum of an option from every source', (t) => {
+        const cwd = createTempDir(t);
+
+        assert.equal(
+            resolveConfig({ cwd, env: { FIX_DUPLICATES_MAX_RETRIES: '0' } }).maxRetries,
+            0
+        );
+        assert.throws(
+            () => resolveConfig({ cwd, env: { FIX_DUPLICATES_MAX_RETRIES: '-1' } }),
+            /FIX_DUPLICATES_MAX_RETRIES expects a number of at least 0, got -1/
+        );
+
+        const configPath = path.join(cwd, 'fix-duplicates.config.json');
+        fs.writeFileSync(configPath, JSON.stringify({ maxRetries: -1 }));
+        assert.throws(
+            () => resolveConfig({ cwd, configPath, env: {} }),
+            /maxRetries in .*fix-duplicates.config.json expects a number of at least 0/
+        );
+    });
+});
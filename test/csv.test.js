@@ -0,0 +1,217 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { parseCSV, readCSVHeader, streamCSV, writeToCSV } from '../lib/csv.js';
+import { createTempDir, silenceLogs } from './helpers.js';
+
+describe('CSV round trip', () => {
+    beforeEach((t) => silenceLogs(t));
+
+    it('reads back what it wrote', (t) => {
+        const filePath = path.join(createTempDir(t), 'rows.csv');
+        const rows = [
+            {
+                ID: '1',
+                Title: 'Comma, quote "and" more',
+                'Body HTML': '<p>Eerste regel</p>\n<p>Tweede</p>'
+            },
+            { ID: '2', Title: 'Crème brûlée – €5', 'Body HTML': '' }
+        ];
+
+        writeToCSV(rows, filePath);
+        const { data, errors } = parseCSV(filePath);
+
+        assert.deepEqual(errors, []);
+        assert.deepEqual(data, rows);
+    });
+
+    it('writes the union of the columns of all rows', (t) => {
+        const filePath = path.join(createTempDir(t), 'rows.csv');
+
+        writeToCSV(
+            [
+                { ID: '1', Title: 'Zomer' },
+                { ID: '2', variationStatus: 'Title:generated' }
+            ],
+            filePath
+        );
+        const { data } = parseCSV(filePath);
+
+        assert.deepEqual(data, [
+            { ID: '1', Title: 'Zomer', variationStatus: '' },
+            { ID: '2', Title: '', variationStatus: 'Title:generated' }
+        ]);
+    });
+
+    it('skips empty lines when reading', (t) => {
+        const filePath = path.join(createTempDir(t), 'rows.csv');
+        fs.writeFileSync(filePath, 'ID,Title\n1,Zomer\n\n,\n2,Winter\n', 'utf8');
+
+        assert.deepEqual(parseCSV(filePath).data, [
+            { ID: '1', Title: 'Zomer' },
+            { ID: '2', Title: 'Winter' }
+        ]);
+    });
+});
+
+describe('CSV dialects', () => {
+    beforeEach((t) => silenceLogs(t));
+
+    /**
+     * Write bytes to a file in a temporary directory
+     * @param {Object} t - The test context
+     * @param {Buffer} bytes - The file contents
+     * @returns {string} The file path
+     */
+    const writeFixture = (t, bytes) => {
+        const filePath = path.join(createTempDir(t), 'input.csv');
+        fs.writeFileSync(filePath, bytes);
+        return filePath;
+    };
+
+    const files = {
+        'semicolons, CRLF and a UTF-8 BOM from Dutch Excel': Buffer.concat([
+            Buffer.from([0xef, 0xbb, 0xbf]),
+            Buffer.from(
+                'ID;Title;Body HTML\r\n1;Zomer; <p>Crème, brûlée</p>\r\n2;"Winter; sale";\r\n',
+                'utf8'
+            )
+        ]),
+        'Windows-1252 with every value quoted': Buffer.from(
+            '"ID","Title"\n"1","Prijs \x80 5 \x96 café"\n"2",""',
+            'latin1'
+        ),
+        'tabs and a column quoted only where needed': Buffer.from(
+            'ID\tTitle\tNote\n1\t"Zomer"\t"a\tb"\n2\t"Winter"\tc, d\n',
+            'utf8'
+        )
+    };
+
+    Object.entries(files).forEach(([name, bytes]) => {
+        it(`writes an untouched file back byte for byte: ${name}`, (t) => {
+            const inputPath = writeFixture(t, bytes);
+            const outputPath = path.join(path.dirname(inputPath), 'output.csv');
+
+            const { data, fields, errors, dialect } = parseCSV(inputPath);
+            writeToCSV(data, outputPath, { columns: fields, dialect });
+
+            assert.deepEqual(errors, []);
+            assert.deepEqual(fs.readFileSync(outputPath), bytes);
+        });
+    });
+
+    it('detects the dialect and keeps whitespace around values', (t) => {
+        const inputPath = writeFixture(
+            t,
+            files['semicolons, CRLF and a UTF-8 BOM from Dutch Excel']
+        );
+
+        const { data, dialect } = parseCSV(inputPath);
+
+        assert.deepEqual(
+            { ...dialect, quotedColumns: undefined },
+            {
+                encoding: 'utf-8',
+                bom: true,
+                delimiter: ';',
+                newline: '\r\n',
+                finalNewline: true,
+                quoteHeader: false,
+                quoteAll: false,
+                quotedColumns: undefined
+            }
+        );
+        assert.deepEqual(data[0], {
+            ID: '1',
+            Title: 'Zomer',
+            'Body HTML': ' <p>Crème, brûlée</p>'
+        });
+        assert.equal(data[1].Title, 'Winter; sale');
+    });
+
+    it('decodes Windows-1252 and uses the settings it is given', async (t) => {
+        const inputPath = writeFixture(t, files['Windows-1252 with every value quoted']);
+
+        assert.equal(parseCSV(inputPath).data[0].Title, 'Prijs € 5 – café');
+
+        const rows = [];
+        await streamCSV(inputPath, (row) => rows.push(row));
+        assert.equal(rows[0].Title, 'Prijs € 5 – café');
+
+        const excelPath = writeFixture(
+            t,
+            files['semicolons, CRLF and a UTF-8 BOM from Dutch Excel']
+        );
+        const { fields } = parseCSV(excelPath, { dialect: { delimiter: ',' } });
+        assert.deepEqual(fields, ['ID;Title;Body HTML']);
+        assert.throws(() => parseCSV(inputPath, { dialect: { encoding: 'ebcdic' } }), /encoding/);
+    });
+
+    /**
+     * Collect the warnings logged so far
+     * @returns {Array<string>} The warning messages
+     */
+    const warnings = () => console.warn.mock.calls.map((call) => call.arguments[1]);
+
+    it('decides the encoding from the whole file, not only its start', async (t) => {
+        // Windows-1252 bytes only after the part that is sampled
+        const ascii = Array.from({ length: 3000 }, (_, i) => `${i},Zomer collectie ${i}`);
+        const bytes = Buffer.from(['ID,Title', ...ascii, '3000,Prijs \x80 5'].join('\n'), 'latin1');
+        assert.ok(bytes.length > 64 * 1024);
+        const inputPath = writeFixture(t, bytes);
+        const outputPath = path.join(path.dirname(inputPath), 'output.csv');
+
+        const { data, fields, dialect } = parseCSV(inputPath);
+        assert.equal(dialect.encoding, 'windows-1252');
+        assert.equal(data.at(-1).Title, 'Prijs € 5');
+        writeToCSV(data, outputPath, { columns: fields, dialect });
+        assert.deepEqual(fs.readFileSync(outputPath), bytes);
+
+        // Streaming reads the whole file for its encoding before the rows
+        const rows = [];
+        await streamCSV(inputPath, (row) => rows.push(row));
+        assert.equal(rows.length, 3001);
+        assert.equal(rows.at(-1).Title, 'Prijs € 5');
+        assert.deepEqual(await readCSVHeader(inputPath), ['ID', 'Title']);
+
+        // A wrong encoding that is set stops the stream instead of changing the text
+        await assert.rejects(
+            streamCSV(inputPath, () => {}, { dialect: { encoding: 'utf-8' } }),
+            /is not valid utf-8. Set --encoding/
+        );
+    });
+
+    it('reports the empty lines it leaves out', async (t) => {
+        const inputPath = writeFixture(t, 'ID,Title\n1,Zomer\n\n  \n,\n2,Winter\n');
+
+        assert.equal(parseCSV(inputPath).data.length, 2);
+        assert.equal(await streamCSV(inputPath, () => {}), 2);
+
+        assert.deepEqual(
+            warnings().filter((message) => message.includes('empty lines')),
+            [
+                `${inputPath} has 3 empty lines; they are left out of the output`,
+                `${inputPath} has 3 empty lines; they are left out of the output`
+            ]
+        );
+    });
+
+    it('quotes columns by all their values and reports quotes it cannot keep', (t) => {
+        // Title is quoted on every row but the last, far past the sampled start
+        const quoted = Array.from({ length: 3000 }, (_, i) => `${i},"Zomer collectie ${i}"`);
+        const bytes = Buffer.from(['ID,Title', ...quoted, '3000,Winter'].join('\n'), 'utf8');
+        const inputPath = writeFixture(t, bytes);
+
+        const { dialect } = parseCSV(inputPath);
+
+        assert.deepEqual(dialect.quotedColumns, []);
+        assert.deepEqual(
+            warnings().filter((message) => message.includes('quotes some values')),
+            [
+                `${inputPath} quotes some values differently from the rest of their column; ` +
+                    'these get the quoting of their column when written: Title (3000)'
+            ]
+        );
+    });
+});
@@ -0,0 +1,210 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import {
+    countOccurrences,
+    findDuplicates,
+    findDuplicatesInData,
+    findDuplicatesInFile,
+    createFieldGroups
+} from '../lib/duplicates.js';
+import { createCanonicalSelector } from '../lib/canonical.js';
+import { parseCSV } from '../lib/csv.js';
+import { createTempDir, silenceLogs } from './helpers.js';
+
+const EXCLUDED = ['ID', 'Handle', 'Command'];
+
+const ROWS = [
+    { ID: '1', Handle: 'zomer', Command: 'MERGE', Title: 'Zomer', 'SEO Title': 'Zomer sale' },
+    { ID: '2', Handle: 'zomer-2', Command: 'MERGE', Title: 'Zomer', 'SEO Title': 'Zomer' },
+    { ID: '3', Handle: 'winter', Command: 'MERGE', Title: ' Winter ', 'SEO Title': '' },
+    { ID: '4', Handle: 'winter-2', Command: 'MERGE', Title: 'Winter', 'SEO Title': 'Zomer sale' }
+];
+
+describe('countOccurrences', () => {
+    it('counts trimmed values per column and skips excluded and empty cells', () => {
+        const map = countOccurrences(ROWS, EXCLUDED);
+
+        assert.equal(map.get('Title:Zomer'), 2);
+        assert.equal(map.get('Title:Winter'), 2);
+        assert.equal(map.get('SEO Title:Zomer sale'), 2);
+        assert.equal(map.get('SEO Title:Zomer'), 1);
+        assert.equal(map.has('SEO Title:'), false);
+        assert.equal(map.has('Handle:zomer'), false);
+    });
+
+    it('counts the columns of a field group together', () => {
+        const groupOf = createFieldGroups([{ name: 'titles', fields: ['Title', 'SEO Title'] }]);
+        const map = countOccurrences(ROWS, EXCLUDED, groupOf);
+
+        assert.equal(map.get('titles:Zomer'), 3);
+        assert.equal(map.get('titles:Zomer sale'), 2);
+    });
+});
+
+describe('findDuplicates', () => {
+    it('flags every occurrence but the first', () => {
+        const { result, duplicates, groups } = findDuplicates(
+            ROWS,
+            countOccurrences(ROWS, EXCLUDED),
+            EXCLUDED
+        );
+
+        assert.deepEqual(
+            result.map((row) => [row.ID, row.duplicate, row.duplicateFields, row.canonicalIds]),
+            [
+                ['1', 'false', '', ''],
+                ['2', 'true', 'Title', '1'],
+                ['3', 'false', '', ''],
+                ['4', 'true', 'Title,SEO Title', '3,1']
+            ]
+        );
+        assert.deepEqual(
+            duplicates.map((row) => row.ID),
+            ['2', '4']
+        );
+        assert.deepEqual(
+            groups.map(({ id, group, value, members }) => [id, group, value, members.length]),
+            [
+                [1, 'Title', 'Zomer', 2],
+                [2, 'SEO Title', 'Zomer sale', 2],
+                [3, 'Title', 'Winter', 2]
+            ]
+        );
+    });
+
+    it('finds duplicates across the columns of a field group', () => {
+        const groupOf = createFieldGroups([['Title', 'SEO Title']]);
+        const occurrenceMap = countOccurrences(ROWS, EXCLUDED, groupOf);
+        const { result } = findDuplicates(ROWS, occurrenceMap, EXCLUDED, { groupOf });
+
+        assert.deepEqual(
+            result.map((row) => row.duplicateFields),
+            ['', 'Title,SEO Title', '', 'Title,SEO Title']
+        );
+    });
+
+    it('lets the canonical selector choose which occurrence keeps its value', () => {
+        const compare = createCanonicalSelector({ protectedRows: ['winter-2'] });
+        const { result } = findDuplicates(ROWS, countOccurrences(ROWS, EXCLUDED), EXCLUDED, {
+            compare
+        });
+
+        assert.deepEqual(
+            result.map((row) => [row.ID, row.duplicateFields, row.canonicalIds]),
+            [
+                ['1', 'SEO Title', '4'],
+                ['2', 'Title', '1'],
+                ['3', 'Title', '4'],
+                ['4', '', '']
+            ]
+        );
+    });
+});
+
+// Two products of a Matrixify export: only the top row holds the product fields
+const PRODUCT_EXPORT = [
+    'ID,Handle,Command,Title,Body HTML,Variant SKU,Option1 Value,Image Src,Top Row',
+    '1,jurk-rood,MERGE,Zomerjurk,<p>Luchtig</p>,JR-S,S,https://cdn.test/1.jpg,TRUE',
+    '1,jurk-rood,MERGE,,,JR-M,M,,',
+    '1,jurk-rood,MERGE,,,,,,',
+    '2,jurk-blauw,MERGE,Zomerjurk,<p>Luchtig</p>,JB-S,S,https://cdn.test/2.jpg,TRUE',
+    '2,jurk-blauw,MERGE,,,JB-M,M,,'
+].join('\n');
+
+// Products whose lines repeat the product fields, and one without product fields
+const REPEATED_EXPORT = [
+    'ID,Handle,Command,Title,Body HTML,Variant SKU',
+    '1,jurk-rood,MERGE,Zomerjurk,<p>Luchtig</p>,JR-S',
+    '1,jurk-rood,MERGE,Zomerjurk,<p>Luchtig</p>,JR-M',
+    '2,jurk-blauw,MERGE,Zomerjurk,<p>Luchtig</p>,JB-S',
+    '2,jurk-blauw,MERGE,Zomerjurk,<p>Luchtig</p>,JB-M',
+    '3,jurk-groen,MERGE,,,JG-S',
+    '3,jurk-groen,MERGE,,,JG-M'
+].join('\n');
+
+describe('multi-row entities', () => {
+    beforeEach((t) => silenceLogs(t));
+
+    it('compares the top rows and keeps the other lines unmarked', (t) => {
+        const inputPath = path.join(createTempDir(t), 'products.csv');
+        fs.writeFileSync(inputPath, PRODUCT_EXPORT);
+        const { data } = parseCSV(inputPath);
+
+        const { result, duplicates } = findDuplicatesInData(data, EXCLUDED, { multiRow: true });
+
+        assert.deepEqual(
+            result.map((row) => [row.ID, row.duplicate, row.duplicateFields]),
+            [
+                ['1', 'false', ''],
+                ['1', 'false', ''],
+                ['1', 'false', ''],
+                ['2', 'true', 'Title,Body HTML'],
+                ['2', 'false', '']
+            ]
+        );
+        assert.equal(duplicates.length, 1);
+
+        // Line by line, the empty line is dropped and the line values count as duplicates
+        const rows = findDuplicatesInData(data, EXCLUDED).result;
+        assert.deepEqual(
+            rows.map((row) => row.duplicateFields),
+            ['', '', 'Title,Body HTML,Option1 Value,Top Row', 'Option1 Value']
+        );
+    });
+
+    it('marks the same entities when streaming', async (t) => {
+        const dir = createTempDir(t);
+        const inputPath = path.join(dir, 'products.csv');
+        const outputPath = path.join(dir, 'found-duplicates.csv');
+        fs.writeFileSync(inputPath, PRODUCT_EXPORT);
+
+        const { rows, duplicateCount } = await findDuplicatesInFile(
+            inputPath,
+            outputPath,
+            EXCLUDED,
+            { multiRow: true }
+        );
+
+        assert.equal(rows, 5);
+        assert.equal(duplicateCount, 1);
+        assert.deepEqual(
+            parseCSV(outputPath).data.map((row) => row.duplicateFields),
+            ['', '', '', 'Title,Body HTML', '']
+        );
+    });
+
+    it('compares columns the lines repeat and keeps every line', async (t) => {
+        const dir = createTempDir(t);
+        const inputPath = path.join(dir, 'products.csv');
+        const outputPath = path.join(dir, 'found-duplicates.csv');
+        fs.writeFileSync(inputPath, REPEATED_EXPORT);
+        const expected = ['', '', 'Title,Body HTML', '', '', ''];
+
+        const { result, duplicates } = findDuplicatesInData(parseCSV(inputPath).data, EXCLUDED, {
+            multiRow: true
+        });
+        assert.deepEqual(
+            result.map((row) => row.duplicateFields),
+            expected
+        );
+        assert.deepEqual(
+            duplicates.map((row) => row.ID),
+            ['2']
+        );
+
+        const { rows, duplicateCount } = await findDuplicatesInFile(
+            inputPath,
+            outputPath,
+            EXCLUDED,
+            { multiRow: true }
+        );
+        assert.equal(rows, 6);
+        assert.equal(duplicateCount, 1);
+        assert.deepEqual(
+            parseCSV(outputPath).data.map((row) => row.duplicateFields),
+            expected
+        );
+    });
+});
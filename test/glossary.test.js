@@ -0,0 +1,114 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { loadGlossary, resolveTerms, checkTerms } from '../lib/glossary.js';
+import { generateVariationsForDuplicates } from '../lib/variations.js';
+import { createMockProvider } from '../lib/providers/index.js';
+import { createTempDir, silenceLogs } from './helpers.js';
+
+const GLOSSARY = `protected:
+  - Nike Air Max
+  - /\\d+ ?ml/i
+required:
+  - handle: /^sneakers-/
+    fields: [Title]
+    terms: [sneakers]
+forbidden:
+  - goedkoop
+  - gratis
+`;
+
+/**
+ * Write the test glossary to a temporary directory and load it
+ * @param {Object} t - The test context
+ * @param {string} contents - Contents of the glossary file
+ * @returns {Object} The loaded glossary
+ */
+function createGlossary(t, contents = GLOSSARY) {
+    const filePath = path.join(createTempDir(t), 'glossary.yaml');
+    fs.writeFileSync(filePath, contents);
+    return loadGlossary(filePath);
+}
+
+describe('glossary', () => {
+    beforeEach((t) => silenceLogs(t));
+
+    it('works out the terms of a field and the reasons a variation breaks them', (t) => {
+        const glossary = createGlossary(t);
+        const row = {
+            ID: '401',
+            Handle: 'sneakers-heren',
+            Title: 'Nike Air Max sneakers met 50ML verzorging, gratis verzonden'
+        };
+
+        const terms = resolveTerms(glossary, row, 'Title');
+
+        assert.deepEqual(terms.protected, ['Nike Air Max', '50ML']);
+        assert.deepEqual(
+            terms.required.map((term) => term.term),
+            ['sneakers']
+        );
+        assert.deepEqual(
+            terms.forbidden.map((term) => term.term),
+            ['goedkoop']
+        );
+        assert.deepEqual(resolveTerms(glossary, row, 'Body HTML').required, []);
+
+        assert.deepEqual(checkTerms('Sneakers van Nike Air Max, 50ML verzorging', terms), []);
+        assert.deepEqual(checkTerms('Goedkope nike air max schoenen met 50 ml', terms), [
+            'the protected term "Nike Air Max" is missing or changed',
+            'the protected term "50ML" is missing or changed',
+            'the required term "sneakers" is missing'
+        ]);
+        assert.deepEqual(checkTerms('Goedkoop: Nike Air Max sneakers, 50ML', terms), [
+            'the answer adds the forbidden term "Goedkoop"'
+        ]);
+    });
+
+    it('explains what is wrong with a glossary file', (t) => {
+        assert.throws(
+            () => createGlossary(t, 'protected: Nike'),
+            /"protected" must be a list of terms/
+        );
+        assert.throws(
+            () => createGlossary(t, 'required:\n  - terms: [sneakers]'),
+            /required entry 1 needs both "handle" and "terms"/
+        );
+        assert.throws(() => createGlossary(t, 'forbidden: ["/[a-/"]'), /invalid pattern/);
+    });
+
+    it('tells the model the terms and asks again when a variation drops one', async (t) => {
+        const glossary = createGlossary(t);
+        const duplicates = [
+            {
+                ID: '401',
+                Handle: 'sneakers-heren',
+                Command: 'MERGE',
+                Title: 'Nike Air Max sneakers',
+                duplicateFields: 'Title'
+            }
+        ];
+        const model = createMockProvider({
+            responses: ['Air Max sneakers voor heren', 'Nike Air Max sneakers voor heren']
+        });
+
+        const { variations } = await generateVariationsForDuplicates(duplicates, model, {
+            concurrency: 1,
+            maxRetries: 1,
+            retryDelay: 0,
+            glossary
+        });
+
+        assert.equal(model.calls.length, 2);
+        const [prompt, retry] = model.calls.map((messages) =>
+            messages.map((message) => message.content).join('\n')
+        );
+        assert.match(prompt, /ongewijzigd over: "Nike Air Max"/);
+        assert.match(prompt, /zoekwoorden in de tekst: "sneakers"/);
+        assert.match(prompt, /Gebruik deze woorden niet: "goedkoop", "gratis"/);
+        assert.match(retry, /the protected term "Nike Air Max" is missing or changed/);
+        assert.equal(variations[0].Title, 'Nike Air Max sneakers voor heren');
+        assert.equal(variations[0].variationStatus, 'Title:generated');
+    });
+});
@@ -0,0 +1,135 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { slugify, findDuplicateHandles, proposeHandles, buildRedirects } from '../lib/handles.js';
+
+/**
+ * Build input rows from handles and titles
+ * @param {Array<Array<string>>} entries - Handle and title per row
+ * @returns {Array<Object>} The rows
+ */
+function createRows(entries) {
+    return entries.map(([handle, title], index) => ({
+        ID: String(301 + index),
+        Handle: handle,
+        Title: title
+    }));
+}
+
+describe('handles', () => {
+    it('makes handles from titles the way Shopify does', () => {
+        assert.equal(slugify('  Crème brûlée & Café!  '), 'creme-brulee-cafe');
+        assert.equal(slugify('Zomer 2024 — sale'), 'zomer-2024-sale');
+        assert.equal(slugify('!!!'), '');
+    });
+
+    it('groups handles that are the same or only differ by the number Shopify adds', () => {
+        const rows = createRows([
+            ['zomer-sale-1', 'Zomer sale'],
+            ['maat-38', 'Maat 38'],
+            ['zomer-sale', 'Zomer sale'],
+            ['maat-40', 'Maat 40'],
+            ['Winter', 'Winter'],
+            ['winter', 'Winter jassen']
+        ]);
+
+        const groups = findDuplicateHandles(rows);
+
+        assert.deepEqual(
+            groups.map(({ key, rows: members, canonical }) => ({
+                key,
+                ids: members.map((row) => row.ID),
+                canonical: members[canonical].ID
+            })),
+            [
+                { key: 'zomer-sale', ids: ['301', '303'], canonical: '303' },
+                { key: 'winter', ids: ['305', '306'], canonical: '305' }
+            ]
+        );
+    });
+
+    it('keeps handles apart whose number is part of the name', () => {
+        const rows = createRows([
+            ['iphone', 'iPhone'],
+            ['iphone-12', 'iPhone 12'],
+            ['maat', 'Maten'],
+            ['maat-1', 'Maat 1'],
+            ['maat-10', 'Maat 10'],
+            ['iphone-12', 'iPhone 12 hoesjes']
+        ]);
+
+        const groups = findDuplicateHandles(rows);
+
+        assert.deepEqual(
+            groups.map(({ key, rows: members }) => [key, members.map((row) => row.ID)]),
+            [
+                ['iphone-12', ['302', '306']],
+                ['maat', ['303', '304']]
+            ]
+        );
+
+        const proposals = proposeHandles(groups, {
+            existingHandles: rows.map((row) => row.Handle),
+            titleOf: (row) => (row.ID === '306' ? 'iPhone' : 'Maat 10 jurken')
+        });
+        assert.deepEqual(
+            proposals.map(({ row, handle, status }) => [row.ID, handle, status]),
+            [
+                ['306', 'iphone-12', 'fallback'],
+                ['304', 'maat-10-jurken', 'generated']
+            ]
+        );
+        assert.match(proposals[0].issue, /"iphone" is too close to a handle already in use/);
+    });
+
+    it('proposes handles from the titles that no row uses yet', () => {
+        const rows = createRows([
+            ['zomer-sale', 'Zomer sale'],
+            ['zomer-sale-1', 'Zomer jurken'],
+            ['zomer-sale-2', 'Zomer sale'],
+            ['winter', 'Winter'],
+            ['winter-1', 'Jassen']
+        ]);
+        const groups = findDuplicateHandles(rows);
+
+        const proposals = proposeHandles(groups, {
+            existingHandles: [...rows.map((row) => row.Handle), 'jassen-1']
+        });
+
+        assert.deepEqual(
+            proposals.map(({ row, handle, status }) => [row.ID, handle, status]),
+            [
+                ['302', 'zomer-jurken', 'generated'],
+                ['303', 'zomer-sale-2', 'fallback'],
+                ['305', 'winter-1', 'fallback']
+            ]
+        );
+        assert.match(proposals[1].issue, /no handle that differs from "zomer-sale"/);
+        assert.match(proposals[2].issue, /"jassen" is too close to a handle already in use/);
+    });
+
+    it('redirects old handles that no row uses anymore', () => {
+        const changes = [
+            { original: 'zomer-sale-1', value: 'zomer-jurken', prefix: '/collections/' },
+            { original: 'winter', value: 'winter-jassen', prefix: '/collections/' }
+        ];
+        const inputHandles = ['zomer-sale', 'zomer-sale-1', 'winter', 'winter'];
+
+        assert.deepEqual(buildRedirects(changes, { inputHandles }), [
+            {
+                Path: '/collections/zomer-sale-1',
+                Target: '/collections/zomer-jurken',
+                Command: 'MERGE'
+            }
+        ]);
+        assert.deepEqual(buildRedirects(changes.slice(0, 1), { format: 'shopify' }), [
+            {
+                'Redirect from': '/collections/zomer-sale-1',
+                'Redirect to': '/collections/zomer-jurken'
+            }
+        ]);
+        assert.throws(
+            () => buildRedirects(changes, { format: 'nginx' }),
+            /Unknown redirects format/
+        );
+    });
+});
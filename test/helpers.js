@@ -0,0 +1,94 @@
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createMockProvider } from '../lib/providers/index.js';
+import { configureLogger } from '../lib/logger.js';
+
+// Directory with the input files and golden files of the tests
+const FIXTURES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures');
+
+/**
+ * Create a fake model that answers from a script instead of calling an LLM. The
+ * script maps a piece of text to the replies for prompts containing it, in order;
+ * the longest matching key wins, so the original value of a field is a good key.
+ * Errors in the script are thrown, as if the request failed.
+ * @param {Object} script - Text to find in the prompt, mapped to a list of replies
+ * @returns {Object} Provider with chat(messages), plus `calls`, `unexpected` (prompts
+ * without a scripted reply) and `remaining()` (keys with unused replies)
+ */
+function createScriptedModel(script) {
+    const queues = new Map(Object.entries(script).map(([key, replies]) => [key, [...replies]]));
+    const keys = [...queues.keys()].sort((a, b) => b.length - a.length);
+    const unexpected = [];
+
+    const provider = createMockProvider({
+        model: 'scripted',
+        responses: (messages) => {
+            const prompt = messages.map((message) => message.content).join('\n');
+            const key = keys.find((candidate) => prompt.includes(candidate));
+            if (key === undefined || queues.get(key).length === 0) {
+                unexpected.push(prompt);
+                return new Error('no scripted reply for this prompt');
+            }
+            return queues.get(key).shift();
+        }
+    });
+
+    return {
+        ...provider,
+        unexpected,
+        remaining: () => keys.filter((key) => queues.get(key).length > 0)
+    };
+}
+
+/**
+ * Compare a written file with its golden file. With UPDATE_GOLDEN=1 in the
+ * environment the golden file is replaced instead, e.g. after an intended change
+ * of the output format. Line endings are ignored, and the fixtures directory is
+ * written as <fixtures> so the files do not depend on where the repository is.
+ * @param {string} actualPath - File written by the code under test
+ * @param {string} goldenPath - Expected contents, relative to the fixtures directory
+ */
+function assertMatchesGolden(actualPath, goldenPath) {
+    const expectedPath = path.join(FIXTURES_DIR, goldenPath);
+    const actual = fs
+        .readFileSync(actualPath, 'utf8')
+        .replace(/\r\n/g, '\n')
+        .split(FIXTURES_DIR)
+        .join('<fixtures>');
+
+    if (process.env.UPDATE_GOLDEN) {
+        fs.mkdirSync(path.dirname(expectedPath), { recursive: true });
+        fs.writeFileSync(expectedPath, actual, 'utf8');
+        return;
+    }
+
+    const expected = fs.readFileSync(expectedPath, 'utf8').replace(/\r\n/g, '\n');
+    assert.equal(actual, expected, `${actualPath} differs from ${goldenPath}`);
+}
+
+/**
+ * Create an empty temporary directory that is removed when the test ends
+ * @param {Object} t - The test context
+ * @returns {string} Path of the directory
+ */
+function createTempDir(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fix-duplicates-test-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return dir;
+}
+
+/**
+ * Keep the logger quiet during a test; warnings and timings are always printed otherwise
+ * @param {Object} t - The test context
+ */
+function silenceLogs(t) {
+    configureLogger({ verbose: false });
+    ['log', 'warn', 'error', 'time', 'timeEnd'].forEach((method) =>
+        t.mock.method(console, method, () => {})
+    );
+}
+
+export { FIXTURES_DIR, createScriptedModel, assertMatchesGolden, createTempDir, silenceLogs };
@@ -0,0 +1,62 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import { openJournal } from '../lib/journal.js';
+import { generateVariationsForDuplicates } from '../lib/variations.js';
+import { createMockProvider } from '../lib/providers/index.js';
+import { createTempDir, silenceLogs } from './helpers.js';
+
+/**
+ * Generate variations with a journal and the test defaults
+ * @param {Array<Object>} duplicates - Duplicate rows
+ * @param {Object} provider - The model
+ * @param {Object} journal - Journal from openJournal
+ * @returns {Promise<Object>} Result of generateVariationsForDuplicates
+ */
+function generate(duplicates, provider, journal) {
+    return generateVariationsForDuplicates(duplicates, provider, {
+        concurrency: 1,
+        maxRetries: 1,
+        retryDelay: 0,
+        journal
+    });
+}
+
+describe('journal', () => {
+    beforeEach((t) => silenceLogs(t));
+
+    it('resumes rows with the same ID in different files with their own variation', async (t) => {
+        const filePath = path.join(createTempDir(t), 'variations-journal.jsonl');
+        const duplicates = ['a.csv', 'b.csv'].map((sourceFile) => ({
+            ID: '1',
+            Handle: 'zomer-sale',
+            sourceFile,
+            Title: 'Zomer sale collectie',
+            duplicateFields: 'Title'
+        }));
+
+        const first = await generate(
+            duplicates,
+            createMockProvider({ responses: ['Nieuwe titel 1', 'Nieuwe titel 2'] }),
+            openJournal(filePath)
+        );
+        assert.deepEqual(
+            first.variations.map((row) => row.Title),
+            ['Nieuwe titel 1', 'Nieuwe titel 2']
+        );
+
+        const model = createMockProvider();
+        const journal = openJournal(filePath, { resume: true });
+        const resumed = await generate(duplicates, model, journal);
+
+        assert.equal(journal.size, 2);
+        assert.equal(model.calls.length, 0);
+        assert.deepEqual(
+            resumed.variations.map((row) => [row.sourceFile, row.Title]),
+            [
+                ['a.csv', 'Nieuwe titel 1'],
+                ['b.csv', 'Nieuwe titel 2']
+            ]
+        );
+    });
+});
@@ -0,0 +1,88 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { log, configureLogger, addLogListener } from '../lib/logger.js';
+import { createTempDir, silenceLogs } from './helpers.js';
+
+/**
+ * Read the entries of a JSONL log file
+ * @param {string} filePath - The log file
+ * @returns {Array<Object>} The entries
+ */
+function readLog(filePath) {
+    return fs
+        .readFileSync(filePath, 'utf8')
+        .split('\n')
+        .filter(Boolean)
+        .map((line) => JSON.parse(line));
+}
+
+describe('structured log', () => {
+    beforeEach((t) => {
+        silenceLogs(t);
+        t.after(() => configureLogger({ logFile: null, context: {} }));
+    });
+
+    it('writes every message as a JSON line with its level and the context', (t) => {
+        const logFile = path.join(createTempDir(t), 'run.jsonl');
+        configureLogger({ logFile, context: { runId: 'run-1' } });
+
+        log.info('Found %d rows', 5);
+        log.warn('Skipping line', 3);
+        log.error('Could not read file');
+        configureLogger({ logFile: null });
+
+        assert.deepEqual(
+            readLog(logFile).map(({ level, event, runId, message }) => ({
+                level,
+                event,
+                runId,
+                message
+            })),
+            [
+                { level: 'info', event: 'message', runId: 'run-1', message: 'Found 5 rows' },
+                { level: 'warn', event: 'message', runId: 'run-1', message: 'Skipping line 3' },
+                { level: 'error', event: 'message', runId: 'run-1', message: 'Could not read file' }
+            ]
+        );
+    });
+
+    it('records messages that are not printed without verbose', (t) => {
+        const logFile = path.join(createTempDir(t), 'run.jsonl');
+        configureLogger({ logFile, verbose: false });
+
+        log.info('Generated variation');
+        configureLogger({ logFile: null, verbose: true });
+
+        assert.equal(readLog(logFile).length, 1);
+        assert.equal(console.log.mock.callCount(), 0);
+    });
+
+    it('records events and timers with their fields', () => {
+        const entries = [];
+        const removeListener = addLogListener((entry) => entries.push(entry));
+
+        log.event('field.finished', { id: '102', field: 'Title', status: 'generated' });
+        log.time('Generation time');
+        log.timeEnd('Generation time', { id: '102', field: 'Title' });
+        removeListener();
+        log.info('Not received');
+
+        assert.equal(entries.length, 2);
+        assert.deepEqual(
+            { ...entries[0], time: undefined },
+            {
+                time: undefined,
+                level: 'info',
+                event: 'field.finished',
+                id: '102',
+                field: 'Title',
+                status: 'generated'
+            }
+        );
+        assert.equal(entries[1].event, 'timer');
+        assert.equal(entries[1].field, 'Title');
+        assert.equal(typeof entries[1].durationMs, 'number');
+    });
+});
@@ -0,0 +1,97 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { log } from '../lib/logger.js';
+import { startRunManifest } from '../lib/manifest.js';
+import { FIXTURES_DIR, createTempDir, silenceLogs } from './helpers.js';
+
+const INPUT_PATH = path.join(FIXTURES_DIR, 'pipeline', 'input.csv');
+
+/**
+ * Build a configuration for a manifest test
+ * @param {string} dir - Directory for the manifest
+ * @returns {Object} The configuration
+ */
+function createTestConfig(dir) {
+    return {
+        inputPath: [INPUT_PATH],
+        manifestPath: path.join(dir, 'run-manifest.json'),
+        provider: 'openai',
+        model: 'qwen2.5',
+        apiKey: 'secret',
+        temperature: 0.7
+    };
+}
+
+describe('run manifest', () => {
+    beforeEach((t) => silenceLogs(t));
+
+    it('records the inputs, model, counts, timings and errors of a run', async (t) => {
+        const config = createTestConfig(createTempDir(t));
+        const recorder = startRunManifest({ command: 'generate', config, runId: 'run-1' });
+
+        log.time('Parsing CSV');
+        log.timeEnd('Parsing CSV');
+        log.time('Generation time for ID 102 - Title');
+        log.timeEnd('Generation time for ID 102 - Title', { id: '102', field: 'Title' });
+        log.event('request.failed', { id: '104', field: 'SEO Description' }, { level: 'error' });
+        log.warn('Keeping the original value');
+
+        await recorder.finish({
+            result: {
+                result: [{}, {}, {}],
+                variations: [{}],
+                cancelled: false,
+                summary: { statuses: { generated: 1 }, journaled: 0, requests: { requests: 2 } }
+            }
+        });
+
+        const manifest = JSON.parse(fs.readFileSync(config.manifestPath, 'utf8'));
+        assert.equal(manifest.runId, 'run-1');
+        assert.equal(manifest.status, 'succeeded');
+        assert.deepEqual(manifest.inputs, [
+            {
+                path: INPUT_PATH,
+                bytes: fs.statSync(INPUT_PATH).size,
+                sha256: crypto
+                    .createHash('sha256')
+                    .update(fs.readFileSync(INPUT_PATH))
+                    .digest('hex')
+            }
+        ]);
+        assert.deepEqual(manifest.model, {
+            provider: 'openai',
+            model: 'qwen2.5',
+            options: { temperature: 0.7 }
+        });
+        assert.deepEqual(manifest.counts, {
+            rows: 3,
+            variations: 1,
+            cancelled: false,
+            fields: { generated: 1 },
+            journaled: 0
+        });
+        assert.deepEqual(manifest.requests, { requests: 2 });
+        assert.deepEqual(Object.keys(manifest.timings), ['Parsing CSV']);
+        assert.equal(manifest.warnings, 1);
+        assert.deepEqual(
+            manifest.errors.map(({ event, id, field }) => ({ event, id, field })),
+            [{ event: 'request.failed', id: '104', field: 'SEO Description' }]
+        );
+        assert.equal(manifest.config.apiKey, '[redacted]');
+    });
+
+    it('records a failed run and stops collecting afterwards', async (t) => {
+        const config = createTestConfig(createTempDir(t));
+        const recorder = startRunManifest({ command: 'apply', config, runId: 'run-2' });
+
+        const manifest = await recorder.finish({ error: new Error('No approved variations') });
+        log.error('After the run');
+
+        assert.equal(manifest.status, 'failed');
+        assert.equal(manifest.error, 'No approved variations');
+        assert.deepEqual(manifest.errors, []);
+    });
+});
@@ -0,0 +1,308 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { resolveConfig } from '../lib/config.js';
+import { COMMANDS } from '../lib/commands.js';
+import {
+    FIXTURES_DIR,
+    createScriptedModel,
+    assertMatchesGolden,
+    createTempDir,
+    silenceLogs
+} from './helpers.js';
+
+// Replies of the model per original value, including the kinds of malformed answers
+// small local models give: wrapped in quotes or a code block, with an introduction,
+// empty, or no answer at all
+const SCRIPT = {
+    'Zomer collectie': ['"""Zonnige zomer collectie"""'],
+    '<p>Lichte kleding voor warme dagen.</p>': [
+        '```html\n<p>Luchtige kleding voor zonnige dagen.</p>\n```'
+    ],
+    '<p>Warme jassen en truien.</p>': [
+        'Hier is de nieuwe tekst: <p>Dikke jassen en truien.</p>',
+        '<p>Dikke jassen en truien voor koude dagen.</p>'
+    ],
+    'Shop de winter collectie': [new Error('connection refused'), '']
+};
+
+/**
+ * Resolve the configuration of a test run, writing every file to a directory
+ * @param {string} dir - Directory for the output files
+ * @param {Object} options - Settings on top of the test defaults
+ * @returns {Object} The configuration
+ */
+function createTestConfig(dir, options = {}) {
+    return resolveConfig({
+        cliOptions: {
+            inputPath: [path.join(FIXTURES_DIR, 'pipeline', 'input.csv')],
+            outputPath: path.join(dir, 'found-duplicates.csv'),
+            groupsOutputPath: path.join(dir, 'duplicate-groups.csv'),
+            variationsOutputPath: path.join(dir, 'variations-output.csv'),
+            appliedOutputPath: path.join(dir, 'applied-output.csv'),
+            changeLogPath: path.join(dir, 'applied-changes.csv'),
+            journalPath: path.join(dir, 'variations-journal.jsonl'),
+            decisionsPath: path.join(dir, 'review-decisions.json'),
+            cacheDir: path.join(dir, 'cache'),
+            report: false,
+            concurrency: 1,
+            maxRetries: 1,
+            retryDelay: 0,
+            verbose: false,
+            ...options
+        },
+        env: {},
+        cwd: dir
+    });
+}
+
+describe('pipeline', () => {
+    beforeEach((t) => silenceLogs(t));
+
+    it('generates variations with a scripted model and applies them', async (t) => {
+        const dir = createTempDir(t);
+        const config = createTestConfig(dir, { requireApproval: false });
+        const model = createScriptedModel(SCRIPT);
+
+        const { variations, cancelled } = await COMMANDS.generate.run(config, { provider: model });
+        await COMMANDS.apply.run(config);
+
+        assert.equal(cancelled, false);
+        assert.deepEqual(model.unexpected, []);
+        assert.deepEqual(model.remaining(), []);
+        assert.deepEqual(
+            variations.map((row) => [row.ID, row.variationStatus]),
+            [
+                ['102', 'Title:generated,Body HTML:generated'],
+                ['104', 'Body HTML:generated,SEO Description:fallback']
+            ]
+        );
+
+        assertMatchesGolden(config.outputPath, 'pipeline/expected/found-duplicates.csv');
+        assertMatchesGolden(config.groupsOutputPath, 'pipeline/expected/duplicate-groups.csv');
+        assertMatchesGolden(config.variationsOutputPath, 'pipeline/expected/variations-output.csv');
+        assertMatchesGolden(config.appliedOutputPath, 'pipeline/expected/applied-output.csv');
+        assertMatchesGolden(config.changeLogPath, 'pipeline/expected/applied-changes.csv');
+    });
+
+    it('applies a hand-edited variations file to the marked file', async (t) => {
+        const dir = createTempDir(t);
+        const config = createTestConfig(dir, { requireApproval: false });
+        await COMMANDS.detect.run(config);
+
+        // 102 was edited by hand; the input of 104 changed after its variation was made
+        fs.writeFileSync(
+            config.variationsOutputPath,
+            [
+                'ID,duplicateFields,Title,original_Title,Body HTML,original_Body HTML',
+                '102,Title,Zomer sale,Zomer collectie,,',
+                '104,Body HTML,,,<p>Dikke jassen.</p>,<p>Jassen.</p>'
+            ].join('\n')
+        );
+        const { rows, changes, conflicts } = await COMMANDS.apply.run({
+            ...config,
+            inputPath: [config.outputPath]
+        });
+
+        const [header] = fs.readFileSync(config.appliedOutputPath, 'utf8').split('\n');
+        assert.equal(header, 'ID,Handle,Command,Title,Body HTML,SEO Description');
+        assert.deepEqual(
+            rows.map((row) => row.ID),
+            ['101', '102', '103', '104', '105']
+        );
+        assert.equal(rows[1].Title, 'Zomer sale');
+        assert.equal(rows[3]['Body HTML'], '<p>Warme jassen en truien.</p>');
+        assert.deepEqual(changes, [
+            {
+                ID: '102',
+                Handle: 'zomer-sale',
+                field: 'Title',
+                original: 'Zomer collectie',
+                value: 'Zomer sale'
+            }
+        ]);
+        assert.deepEqual(
+            conflicts.map(({ ID, field }) => [ID, field]),
+            [['104', 'Body HTML']]
+        );
+    });
+
+    it('gives near-identical handles a new one from the title and redirects the old URL', async (t) => {
+        const dir = createTempDir(t);
+        const inputPath = path.join(dir, 'smart-collections.csv');
+        fs.writeFileSync(
+            inputPath,
+            [
+                'ID,Handle,Command,Title',
+                '201,zomer-sale,MERGE,Zomer collectie',
+                '202,zomer-sale-1,MERGE,Zomer collectie',
+                '203,winter-sale,MERGE,Winter sale',
+                '204,winter-sale,MERGE,Winter jassen'
+            ].join('\n')
+        );
+        const config = createTestConfig(dir, {
+            inputPath: [inputPath],
+            handleMode: true,
+            requireApproval: false,
+            redirectsPath: path.join(dir, 'url-redirects.csv')
+        });
+
+        const { variations } = await COMMANDS.generate.run(config, {
+            provider: createScriptedModel({ 'Zomer collectie': ['Zomer jurken'] })
+        });
+        const { redirects } = await COMMANDS.apply.run(config);
+
+        assert.deepEqual(
+            variations.map((row) => [row.ID, row.Handle, row.original_Handle, row.variationStatus]),
+            [
+                ['202', 'zomer-jurken', 'zomer-sale-1', 'Title:generated,Handle:generated'],
+                ['204', 'winter-jassen', 'winter-sale', 'Handle:generated']
+            ]
+        );
+        // 203 keeps the winter-sale URL, so only the old URL of 202 is redirected
+        assert.deepEqual(redirects, [
+            {
+                Path: '/collections/zomer-sale-1',
+                Target: '/collections/zomer-jurken',
+                Command: 'MERGE'
+            }
+        ]);
+        assert.equal(
+            fs.readFileSync(config.redirectsPath, 'utf8'),
+            'Path,Target,Command\r\n/collections/zomer-sale-1,/collections/zomer-jurken,MERGE'
+        );
+        const applied = fs.readFileSync(config.appliedOutputPath, 'utf8').split('\n');
+        assert.deepEqual(applied.slice(2), [
+            '202,zomer-jurken,MERGE,Zomer jurken',
+            '203,winter-sale,MERGE,Winter sale',
+            '204,winter-jassen,MERGE,Winter jassen'
+        ]);
+    });
+
+    it('changes only the top row of a product spread over several lines', async (t) => {
+        const dir = createTempDir(t);
+        const inputPath = path.join(dir, 'products.csv');
+        fs.writeFileSync(
+            inputPath,
+            [
+                'ID,Handle,Command,Title,Body HTML,Variant SKU,Option1 Value,Top Row',
+                '1,jurk-rood,MERGE,Zomerjurk,<p>Luchtig</p>,JR-S,S,TRUE',
+                '1,jurk-rood,MERGE,,,JR-M,M,',
+                '2,jurk-blauw,MERGE,Zomerjurk,<p>Luchtig</p>,JB-S,S,TRUE',
+                '2,jurk-blauw,MERGE,,,JB-M,M,'
+            ].join('\n')
+        );
+        const config = createTestConfig(dir, {
+            inputPath: [inputPath],
+            multiRow: true,
+            requireApproval: false,
+            exportOutputPath: path.join(dir, 'matrixify-import.csv')
+        });
+        const model = createScriptedModel({
+            Zomerjurk: ['Blauwe zomerjurk'],
+            '<p>Luchtig</p>': ['<p>Luchtig en blauw</p>']
+        });
+
+        const { variations } = await COMMANDS.generate.run(config, { provider: model });
+        await COMMANDS.apply.run(config);
+        const { sheets } = await COMMANDS.export.run(config);
+
+        assert.deepEqual(model.unexpected, []);
+        assert.deepEqual(
+            variations.map((row) => [row.ID, row.duplicateFields]),
+            [['2', 'Title,Body HTML']]
+        );
+        assert.deepEqual(fs.readFileSync(config.appliedOutputPath, 'utf8').split('\n'), [
+            'ID,Handle,Command,Title,Body HTML,Variant SKU,Option1 Value,Top Row',
+            '1,jurk-rood,MERGE,Zomerjurk,<p>Luchtig</p>,JR-S,S,TRUE',
+            '1,jurk-rood,MERGE,,,JR-M,M,',
+            '2,jurk-blauw,MERGE,Blauwe zomerjurk,<p>Luchtig en blauw</p>,JB-S,S,TRUE',
+            '2,jurk-blauw,MERGE,,,JB-M,M,'
+        ]);
+        assert.deepEqual(sheets, [
+            {
+                entity: 'products',
+                rows: [
+                    {
+                        ID: '2',
+                        Handle: 'jurk-blauw',
+                        Command: 'UPDATE',
+                        Title: 'Blauwe zomerjurk',
+                        'Body HTML': '<p>Luchtig en blauw</p>'
+                    }
+                ]
+            }
+        ]);
+    });
+
+    it('counts entities rather than lines when the report is written again', async (t) => {
+        const dir = createTempDir(t);
+        const inputPath = path.join(dir, 'products.csv');
+        fs.writeFileSync(
+            inputPath,
+            [
+                'ID,Handle,Command,Title,Variant SKU',
+                '1,jurk-rood,MERGE,Zomerjurk,JR-S',
+                '1,jurk-rood,MERGE,,JR-M',
+                '1,jurk-rood,MERGE,,JR-L',
+                '2,jurk-blauw,MERGE,Zomerjurk,JB-S',
+                '2,jurk-blauw,MERGE,,JB-M'
+            ].join('\n')
+        );
+        const config = createTestConfig(dir, {
+            inputPath: [inputPath],
+            multiRow: true,
+            reportPath: path.join(dir, 'duplicate-report')
+        });
+
+        await COMMANDS.detect.run(config);
+        const { totals } = await COMMANDS.report.run(config);
+
+        assert.equal(totals.rows, 2);
+        assert.equal(totals.rowsWithDuplicates, 1);
+    });
+
+    it('answers a second run from the cache', async (t) => {
+        const dir = createTempDir(t);
+        const config = createTestConfig(dir);
+        await COMMANDS.generate.run(config, { provider: createScriptedModel(SCRIPT) });
+
+        // Only the prompt with feedback about the cached empty answer is new
+        const model = createScriptedModel({ 'Shop de winter collectie': ['Ontdek winterjassen'] });
+        const { variations } = await COMMANDS.generate.run(config, { provider: model });
+
+        assert.equal(model.calls.length, 1);
+        assert.deepEqual(
+            variations.map((row) => row.variationStatus),
+            ['Title:generated,Body HTML:generated', 'Body HTML:generated,SEO Description:generated']
+        );
+        assert.equal(variations[1]['SEO Description'], 'Ontdek winterjassen');
+    });
+
+    it('detects the same duplicates when streaming', async (t) => {
+        const dir = createTempDir(t);
+        const config = createTestConfig(dir, { stream: true });
+
+        await COMMANDS.detect.run(config);
+
+        assertMatchesGolden(config.outputPath, 'pipeline/expected/found-duplicates.csv');
+        assertMatchesGolden(config.groupsOutputPath, 'pipeline/expected/duplicate-groups.csv');
+    });
+
+    it('marks fields whose requests keep failing as failed', async (t) => {
+        const dir = createTempDir(t);
+        const config = createTestConfig(dir);
+        const model = createScriptedModel({});
+
+        const { variations } = await COMMANDS.generate.run(config, { provider: model });
+
+        assert.equal(model.unexpected.length, 8);
+        variations.forEach((row) =>
+            row.duplicateFields
+                .split(',')
+                .forEach((field) => assert.equal(row[field], row[`original_${field}`]))
+        );
+        assert.match(variations[0].variationStatus, /^Title:failed,Body HTML:failed$/);
+    });
+});
@@ -0,0 +1,144 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildReport, renderReportHtml } from '../lib/report.js';
+
+// Two duplicate groups: "Zomer" in three titles and "Sale" in two SEO titles
+const GROUP_ROWS = [
+    ['1', 'Title', '1', 'zomer', 'Title', 'true', 'Zomer'],
+    ['1', 'Title', '2', 'zomer-1', 'Title', 'false', 'Zomer'],
+    ['1', 'Title', '3', 'zomer-2', 'Title', 'false', 'Zomer'],
+    ['2', 'SEO Title', '2', 'zomer-1', 'SEO Title', 'true', 'Sale <b>nu</b>'],
+    ['2', 'SEO Title', '4', 'winter', 'SEO Title', 'false', 'Sale <b>nu</b>']
+].map(([group, fieldGroup, ID, Handle, column, kept, value]) => ({
+    group,
+    fieldGroup,
+    sourceFile: 'collections.csv',
+    ID,
+    Handle,
+    column,
+    kept,
+    value
+}));
+
+const VARIATIONS = [
+    {
+        ID: '2',
+        Handle: 'zomer-1',
+        variationStatus: 'Title:generated',
+        variationIssues: ''
+    },
+    {
+        ID: '3',
+        Handle: 'zomer-2',
+        variationStatus: 'Title:not-unique',
+        variationIssues: 'Title: not unique, the same as row 2'
+    }
+];
+
+describe('duplicate report', () => {
+    it('sums up the duplicates per run, column and value', () => {
+        const report = buildReport(GROUP_ROWS, null, { inputs: ['collections.csv'], rows: 6 });
+
+        assert.deepEqual(report.inputs, ['collections.csv']);
+        assert.deepEqual(report.totals, {
+            rows: 6,
+            rowsWithDuplicates: 3,
+            groups: 2,
+            occurrences: 5,
+            duplicates: 3
+        });
+        assert.deepEqual(report.fields, [
+            { field: 'Title', fieldGroup: 'Title', groups: 1, occurrences: 3, duplicates: 2 },
+            {
+                field: 'SEO Title',
+                fieldGroup: 'SEO Title',
+                groups: 1,
+                occurrences: 2,
+                duplicates: 1
+            }
+        ]);
+        assert.deepEqual(report.topValues, [
+            { group: 1, fieldGroup: 'Title', value: 'Zomer', count: 3 },
+            { group: 2, fieldGroup: 'SEO Title', value: 'Sale <b>nu</b>', count: 2 }
+        ]);
+        assert.equal(report.variations, null);
+    });
+
+    it('lists the members of each group with the row that keeps the value', () => {
+        const { groups } = buildReport(GROUP_ROWS);
+
+        assert.deepEqual(
+            groups.map(({ id, value, count, canonical }) => ({ id, value, count, canonical })),
+            [
+                {
+                    id: 1,
+                    value: 'Zomer',
+                    count: 3,
+                    canonical: { sourceFile: 'collections.csv', ID: '1', Handle: 'zomer' }
+                },
+                {
+                    id: 2,
+                    value: 'Sale <b>nu</b>',
+                    count: 2,
+                    canonical: { sourceFile: 'collections.csv', ID: '2', Handle: 'zomer-1' }
+                }
+            ]
+        );
+        assert.deepEqual(
+            groups[0].members.map(({ ID, canonical, outcome }) => [ID, canonical, outcome]),
+            [
+                ['1', true, 'kept'],
+                ['2', false, null],
+                ['3', false, null]
+            ]
+        );
+    });
+
+    it('adds the outcome of every variation once they are generated', () => {
+        const report = buildReport(GROUP_ROWS, VARIATIONS, { inputs: ['collections.csv'] });
+
+        assert.equal(report.totals.rows, null);
+        assert.deepEqual(
+            report.groups.flatMap(({ members }) =>
+                members.map(({ ID, column, outcome }) => `${ID} ${column}: ${outcome}`)
+            ),
+            [
+                '1 Title: kept',
+                '2 Title: generated',
+                '3 Title: not-unique',
+                '2 SEO Title: kept',
+                '4 SEO Title: pending'
+            ]
+        );
+        assert.deepEqual(report.variations, {
+            statuses: { generated: 1, 'not-unique': 1 },
+            rows: [
+                {
+                    sourceFile: 'collections.csv',
+                    ID: '2',
+                    Handle: 'zomer-1',
+                    fields: [{ field: 'Title', status: 'generated', issue: '' }]
+                },
+                {
+                    sourceFile: 'collections.csv',
+                    ID: '3',
+                    Handle: 'zomer-2',
+                    fields: [
+                        {
+                            field: 'Title',
+                            status: 'not-unique',
+                            issue: 'not unique, the same as row 2'
+                        }
+                    ]
+                }
+            ]
+        });
+    });
+
+    it('escapes the values in the HTML page', () => {
+        const html = renderReportHtml(buildReport(GROUP_ROWS, VARIATIONS));
+
+        assert.match(html, /Sale &lt;b&gt;nu&lt;\/b&gt;/);
+        assert.doesNotMatch(html, /Sale <b>nu<\/b>/);
+    });
+});
@@ -0,0 +1,199 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { PassThrough, Readable } from 'stream';
+import { approveVariations, getReviewItems, openDecisions, runReview } from '../lib/review.js';
+import { createTempDir } from './helpers.js';
+
+/**
+ * Build a row of the variations file with a new Title and SEO Title
+ * @param {string} id - Row ID
+ * @param {string} sourceFile - File the row came from, if any
+ * @returns {Object} The row
+ */
+function createVariation(id, sourceFile) {
+    return {
+        ID: id,
+        Handle: `zomer-${id}`,
+        ...(sourceFile ? { sourceFile } : {}),
+        duplicateFields: 'Title,SEO Title',
+        Title: `Zomer collectie ${id}`,
+        original_Title: 'Zomer collectie',
+        'SEO Title': `Zomer sale ${id}`,
+        'original_SEO Title': 'Zomer sale',
+        variationStatus: 'Title:generated,SEO Title:generated',
+        variationIssues: ''
+    };
+}
+
+/**
+ * Review items with answers given up front, as if typed in the terminal
+ * @param {Array<Object>} items - Items from getReviewItems
+ * @param {Object} decisions - Store from openDecisions
+ * @param {Array<string>} answers - One answer per line
+ * @param {Object} options - Other options of runReview
+ * @returns {Promise<Object>} Counts from runReview
+ */
+function review(items, decisions, answers, options = {}) {
+    const output = new PassThrough();
+    output.resume();
+    return runReview(items, decisions, {
+        input: Readable.from([answers.map((answer) => `${answer}\n`).join('')]),
+        output,
+        ...options
+    });
+}
+
+describe('review', () => {
+    it('saves decisions per variation and per source file', (t) => {
+        const filePath = path.join(createTempDir(t), 'review-decisions.json');
+        const decisions = openDecisions(filePath);
+        const rows = [createVariation('1', 'smart.csv'), createVariation('1', 'custom.csv')];
+
+        decisions.set({
+            id: '1',
+            sourceFile: 'smart.csv',
+            field: 'Title',
+            original: 'Zomer collectie',
+            variation: rows[0].Title,
+            decision: 'accepted',
+            value: rows[0].Title
+        });
+        decisions.set({
+            id: '1',
+            sourceFile: 'custom.csv',
+            field: 'Title',
+            original: 'Zomer collectie',
+            variation: rows[1].Title,
+            decision: 'rejected',
+            value: 'Zomer collectie'
+        });
+
+        const reopened = openDecisions(filePath);
+        assert.equal(reopened.size, 2);
+        assert.equal(reopened.get(rows[0], 'Title', rows[0].Title).decision, 'accepted');
+        assert.equal(reopened.get(rows[1], 'Title', rows[1].Title).decision, 'rejected');
+
+        // A field that got another variation since is up for review again
+        assert.equal(reopened.get(rows[0], 'Title', 'Zomerse collectie'), null);
+        assert.equal(reopened.get(createVariation('1'), 'Title', rows[0].Title), null);
+    });
+
+    it('picks up where an earlier review stopped', async (t) => {
+        const filePath = path.join(createTempDir(t), 'review-decisions.json');
+        const variations = [createVariation('1'), createVariation('2')];
+
+        const first = await review(getReviewItems(variations), openDecisions(filePath), [
+            'a',
+            'e',
+            'Zomer sale voor iedereen',
+            'q'
+        ]);
+        assert.deepEqual(first, {
+            accepted: 1,
+            rejected: 0,
+            edited: 1,
+            regenerated: 0,
+            skipped: 2
+        });
+
+        const decisions = openDecisions(filePath);
+        const remaining = getReviewItems(variations).filter(
+            (item) => !decisions.get(item.row, item.field, item.variation)
+        );
+        assert.deepEqual(
+            remaining.map((item) => `${item.row.ID} ${item.field}`),
+            ['2 Title', '2 SEO Title']
+        );
+
+        const second = await review(remaining, decisions, ['r', 's']);
+        assert.deepEqual(second, {
+            accepted: 0,
+            rejected: 1,
+            edited: 0,
+            regenerated: 0,
+            skipped: 1
+        });
+        assert.equal(
+            JSON.parse(fs.readFileSync(filePath, 'utf8')).decisions['2:Title'].decision,
+            'rejected'
+        );
+    });
+
+    it('applies only the approved values', async (t) => {
+        const filePath = path.join(createTempDir(t), 'review-decisions.json');
+        const variations = [createVariation('1'), createVariation('2')];
+        const decisions = openDecisions(filePath);
+        await review(getReviewItems(variations), decisions, ['a', 'e', 'Zomer sale nu', 'r']);
+
+        const { rows, counts } = approveVariations(variations, decisions);
+
+        assert.deepEqual(counts, { approved: 2, rejected: 1, pending: 1 });
+        assert.deepEqual(
+            rows.map((row) => [row.duplicateFields, row.Title, row['SEO Title']]),
+            [
+                ['Title,SEO Title', 'Zomer collectie 1', 'Zomer sale nu'],
+                ['', 'Zomer collectie', 'Zomer sale']
+            ]
+        );
+
+        const unreviewed = approveVariations(variations, decisions, { requireApproval: false });
+        assert.deepEqual(unreviewed.counts, { approved: 3, rejected: 1, pending: 0 });
+        assert.equal(unreviewed.rows[1]['SEO Title'], 'Zomer sale 2');
+    });
+
+    it('keeps the decisions for rows with the same ID in different files apart', async (t) => {
+        const filePath = path.join(createTempDir(t), 'review-decisions.json');
+        const variations = [createVariation('1', 'smart.csv'), createVariation('1', 'custom.csv')];
+        await review(getReviewItems(variations), openDecisions(filePath), ['a', 'a', 'r', 'r']);
+
+        const { rows } = approveVariations(variations, openDecisions(filePath));
+
+        assert.deepEqual(
+            rows.map((row) => [row.sourceFile, row.duplicateFields]),
+            [
+                ['smart.csv', 'Title,SEO Title'],
+                ['custom.csv', '']
+            ]
+        );
+    });
+
+    it('edits values with line breaks over several lines or in the editor', async (t) => {
+        const dir = createTempDir(t);
+        const filePath = path.join(dir, 'review-decisions.json');
+        const variations = [createVariation('1'), createVariation('2')].map((row) => ({
+            ...row,
+            duplicateFields: 'Body HTML',
+            'Body HTML': `<p>Zomer ${row.ID}</p>\n<p>Sale</p>`,
+            'original_Body HTML': '<p>Zomer</p>\n<p>Sale</p>',
+            variationStatus: 'Body HTML:generated'
+        }));
+
+        await review(getReviewItems(variations.slice(0, 1)), openDecisions(filePath), [
+            'e',
+            '<p>Zomerse collectie</p>',
+            '<p>Sale</p>',
+            '.'
+        ]);
+
+        // The editor adds a line to the file it is given
+        const editorPath = path.join(dir, 'editor.mjs');
+        fs.writeFileSync(
+            editorPath,
+            "import fs from 'fs';\nfs.appendFileSync(process.argv[2], '\\n<p>Nu 50% korting</p>\\n');\n"
+        );
+        await review(getReviewItems(variations.slice(1)), openDecisions(filePath), ['e'], {
+            editor: `node ${editorPath}`
+        });
+
+        const { rows } = approveVariations(variations, openDecisions(filePath));
+        assert.deepEqual(
+            rows.map((row) => row['Body HTML']),
+            [
+                '<p>Zomerse collectie</p>\n<p>Sale</p>',
+                '<p>Zomer 2</p>\n<p>Sale</p>\n<p>Nu 50% korting</p>'
+            ]
+        );
+    });
+});
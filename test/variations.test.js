@@ -0,0 +1,170 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { generateVariationsForDuplicates } from '../lib/variations.js';
+import { createUniquenessRegistry } from '../lib/uniqueness.js';
+import { createMockProvider } from '../lib/providers/index.js';
+import { createTempDir, silenceLogs } from './helpers.js';
+
+/**
+ * Build duplicate rows that share the same title
+ * @param {Array<string>} handles - Handles of the rows
+ * @returns {Array<Object>} The rows
+ */
+function createDuplicates(handles) {
+    return handles.map((handle, index) => ({
+        ID: String(201 + index),
+        Handle: handle,
+        Command: 'MERGE',
+        Title: 'Zomer collectie',
+        duplicateFields: 'Title'
+    }));
+}
+
+/**
+ * Generate in group mode with the test defaults
+ * @param {Array<Object>} duplicates - Duplicate rows
+ * @param {Object} provider - The model
+ * @param {Object} options - Settings on top of the test defaults
+ * @returns {Promise<Object>} Result of generateVariationsForDuplicates
+ */
+function generateGroups(duplicates, provider, options = {}) {
+    return generateVariationsForDuplicates(duplicates, provider, {
+        groupMode: true,
+        concurrency: 1,
+        maxRetries: 1,
+        retryDelay: 0,
+        registry: createUniquenessRegistry(),
+        ...options
+    });
+}
+
+describe('generation', () => {
+    beforeEach((t) => silenceLogs(t));
+
+    it('fails the run on errors that are not a cancellation', async () => {
+        const registry = {
+            check() {
+                throw new TypeError('registry.check is broken');
+            }
+        };
+
+        await assert.rejects(
+            generateVariationsForDuplicates(
+                createDuplicates(['zomer']),
+                createMockProvider({ responses: ['Zomerse collectie'] }),
+                { concurrency: 1, maxRetries: 0, retryDelay: 0, registry }
+            ),
+            /registry.check is broken/
+        );
+    });
+});
+
+describe('group mode', () => {
+    beforeEach((t) => silenceLogs(t));
+
+    it('asks for the variants of rows sharing a value in one request', async () => {
+        const duplicates = createDuplicates(['zomer-sale', 'zomer-jurken', 'zomer-schoenen']);
+        const model = createMockProvider({
+            responses: ['["Zomer sale", "Zomerjurken collectie", "Zomerschoenen collectie"]']
+        });
+
+        const { variations } = await generateGroups(duplicates, model);
+
+        assert.equal(model.calls.length, 1);
+        const prompt = model.calls[0].map((message) => message.content).join('\n');
+        assert.match(prompt, /3\. zomer-schoenen/);
+        assert.deepEqual(
+            variations.map((row) => [row.Title, row.variationStatus]),
+            [
+                ['Zomer sale', 'Title:generated'],
+                ['Zomerjurken collectie', 'Title:generated'],
+                ['Zomerschoenen collectie', 'Title:generated']
+            ]
+        );
+    });
+
+    it('asks again only for variants that repeat another one in the answer', async () => {
+        const duplicates = createDuplicates(['zomer-sale', 'zomer-jurken', 'zomer-schoenen']);
+        const model = createMockProvider({
+            responses: [
+                '["Zomer sale", "Zomer sale", "Zomerschoenen collectie"]',
+                '["Zomerjurken collectie"]'
+            ]
+        });
+
+        const { variations } = await generateGroups(duplicates, model);
+
+        assert.equal(model.calls.length, 2);
+        const retry = model.calls[1].map((message) => message.content).join('\n');
+        assert.match(retry, /same as another variation in this answer/);
+        assert.deepEqual(
+            variations.map((row) => row.Title),
+            ['Zomer sale', 'Zomerjurken collectie', 'Zomerschoenen collectie']
+        );
+    });
+
+    it('keeps the original values when the answer is not a usable list', async () => {
+        const duplicates = createDuplicates(['zomer-sale', 'zomer-jurken']);
+        const model = createMockProvider({
+            responses: ['Zomer sale, Zomerjurken', '["Alleen een variatie"]']
+        });
+
+        const { variations } = await generateGroups(duplicates, model);
+
+        assert.equal(model.calls.length, 2);
+        variations.forEach((row) => {
+            assert.equal(row.Title, 'Zomer collectie');
+            assert.equal(row.variationStatus, 'Title:fallback');
+        });
+        assert.match(variations[0].variationIssues, /1 variations instead of 2/);
+    });
+
+    it('keeps the own prompt of HTML fields and mapped fields', async (t) => {
+        const templatesDir = createTempDir(t);
+        fs.writeFileSync(path.join(templatesDir, 'intro.txt'), 'Herschrijf de intro: {{value}}');
+        const duplicates = createDuplicates(['zomer-jurken', 'zomer-schoenen']).map((row) => ({
+            ...row,
+            'Body HTML': '<p>Lichte kleding</p>',
+            Intro: 'Alles voor de zomer',
+            duplicateFields: 'Title,Body HTML,Intro'
+        }));
+        const model = createMockProvider({
+            responses: [
+                '["Zomerjurken collectie", "Zomerschoenen collectie"]',
+                '["Luchtige jurken"]',
+                'Alles voor een zomer in een jurk',
+                '["Luchtige schoenen"]',
+                'Alles voor een zomer op schoenen'
+            ]
+        });
+
+        const { variations } = await generateGroups(duplicates, model, {
+            htmlMode: 'segments',
+            templatesDir,
+            promptMapping: [{ match: 'Intro', template: 'intro' }]
+        });
+
+        const prompts = model.calls.map((messages) => messages[0].content);
+        assert.equal(prompts.length, 5);
+        assert.match(prompts[0], /2\. zomer-schoenen/);
+        assert.match(prompts[1], /"Lichte kleding"/);
+        assert.equal(prompts[2], 'Herschrijf de intro: Alles voor de zomer');
+        assert.deepEqual(
+            variations.map((row) => [row.Title, row['Body HTML'], row.variationStatus]),
+            [
+                [
+                    'Zomerjurken collectie',
+                    '<p>Luchtige jurken</p>',
+                    'Title:generated,Body HTML:generated,Intro:generated'
+                ],
+                [
+                    'Zomerschoenen collectie',
+                    '<p>Luchtige schoenen</p>',
+                    'Title:generated,Body HTML:generated,Intro:generated'
+                ]
+            ]
+        );
+    });
+});